@@ -12,6 +12,7 @@ let openTabs = []; // Array of note IDs
 
 const TABS_STORAGE_KEY = 'numla-open-tabs';
 const ACTIVE_TAB_KEY = 'numla-active-tab';
+const NOTES_STORAGE_KEY = 'numla-notes';
 const CALC_DEBOUNCE_MS = 80;
 const SAVE_DEBOUNCE_MS = 200;
 
@@ -73,6 +74,19 @@ export function initApp() {
   });
   
   setupEventListeners();
+
+  // Cross-note references resolve against saved notes. When a note that open
+  // tabs pull values from changes, recalculate every one of them.
+  ui.calcClient.syncNotes(store.getNotes());
+  ui.calcClient.onStale((noteIds) => {
+    recalculateNotes(noteIds.filter(id => openTabs.includes(id)));
+  });
+  // Notes edited in another window
+  window.addEventListener('storage', (e) => {
+    if (e.key === NOTES_STORAGE_KEY) {
+      ui.calcClient.syncNotes(store.getNotes());
+    }
+  });
   
   // Load tabs from localStorage
   const savedTabs = localStorage.getItem(TABS_STORAGE_KEY);
@@ -108,6 +122,9 @@ export function initApp() {
     }
   }
 
+  // The engine learns which notes a tab references by evaluating it
+  recalculateNotes(openTabs.filter(id => id !== activeNoteId));
+
   // Initialize the interactive tour for first-time users
   initTour();
 }
@@ -155,6 +172,25 @@ function openTab(id) {
   selectNote(id);
 }
 
+/**
+ * Recalculate open notes: the active one is rendered again, the others are
+ * evaluated in the background so they are current when selected and changes
+ * to the notes they reference keep reaching them
+ */
+function recalculateNotes(noteIds) {
+  if (noteIds.length === 0) return;
+  const notes = new Map(store.getNotes().map(note => [note.id, note]));
+
+  noteIds.forEach(noteId => {
+    if (noteId === activeNoteId) {
+      ui.calculateAndRender(ui.elements.editor.value, { force: true });
+    } else if (notes.has(noteId)) {
+      // An engine that failed to load is reported by the active tab
+      ui.calcClient.evaluate(noteId, notes.get(noteId).content || '').catch(() => {});
+    }
+  });
+}
+
 function closeTab(id) {
   const index = openTabs.indexOf(id);
   if (index === -1) return;
@@ -249,6 +285,8 @@ function renderTabs() {
 function selectNote(id) {
   if (activeNoteId && activeNoteId !== id) {
     flushPendingEditorWork();
+    // The note being left may still be streaming results
+    ui.calcClient.cancel(activeNoteId);
   } else {
     debouncedCalculate.cancel();
     debouncedSave.cancel();
@@ -296,6 +334,7 @@ function createNewNote() {
   }
   
   const newNote = store.createNote();
+  ui.calcClient.updateNote(newNote.id, newNote.content);
   closeSpotlight();
   openTab(newNote.id);
   ui.elements.editor.focus();
@@ -311,7 +350,15 @@ function persistNoteContent(noteId, content, timestamp = Date.now()) {
   if (!noteId) return;
   const note = store.getNoteById(noteId);
   if (!note) return;
-  store.saveNote({ ...note, content, updatedAt: timestamp });
+  const saved = store.saveNote({ ...note, content, updatedAt: timestamp });
+  if (saved) {
+    ui.calcClient.updateNote(noteId, saved.content);
+  }
+}
+
+function deleteStoredNote(noteId) {
+  store.deleteNote(noteId);
+  ui.calcClient.updateNote(noteId, null);
 }
 
 function flushPendingEditorWork() {
@@ -323,7 +370,7 @@ function flushPendingEditorWork() {
 
 function deleteNoteFromManager(noteId) {
   // Delete the note from store
-  store.deleteNote(noteId);
+  deleteStoredNote(noteId);
   
   // Close the tab if it's open
   const tabIndex = openTabs.indexOf(noteId);
@@ -350,7 +397,7 @@ function deleteAllNotes() {
   
   // Get all notes and delete them
   const notes = store.getNotes();
-  notes.forEach(note => store.deleteNote(note.id));
+  notes.forEach(note => deleteStoredNote(note.id));
   
   // Clear all tabs
   openTabs = [];
@@ -538,7 +585,7 @@ function setupEventListeners() {
   // Confirm Delete Button (Modal)
   ui.elements.confirmDeleteBtn.addEventListener('click', () => {
       if (activeNoteId) {
-          store.deleteNote(activeNoteId);
+          deleteStoredNote(activeNoteId);
           closeTab(activeNoteId);
           ui.hideDeleteModal();
       }
@@ -0,0 +1,277 @@
+/**
+ * Calculation Client - main-thread side of the engine protocol
+ * Sends evaluate requests tagged with note id and revision to the calculator
+ * worker and reassembles the streamed result chunks. Only the latest revision
+ * per note is reported; older ones are cancelled and their results dropped.
+ *
+ * Falls back to running the same engine in-process when Web Workers are not
+ * available (tests, very old browsers) or the worker fails to start. If that
+ * engine cannot be loaded either, evaluate requests are rejected.
+ *
+ * Saved note contents are mirrored to the engine (syncNotes/updateNote) so
+ * [[Title]] references can be resolved off the main thread; onStale
+ * listeners hear about notes whose references changed.
+ *
+ * Imported historical exchange rate tables (importRates), the chosen
+ * exchange rate provider (setRatesProvider) and rates saved from an earlier
+ * session (restoreRates) are forwarded the same way; onRates listeners hear
+ * when more historical rates are available. Once those are set, start() lets
+ * the engine configure currencies.
+ */
+
+function createDefaultWorker() {
+  if (typeof Worker === 'undefined') return null;
+  try {
+    return new Worker(new URL('./calculatorWorker.js', import.meta.url), { type: 'module' });
+  } catch (e) {
+    console.warn('Calculator worker unavailable, evaluating on main thread:', e);
+    return null;
+  }
+}
+
+function loadDefaultEngine() {
+  // Loaded lazily so the main bundle doesn't carry mathjs when the worker works
+  return import('./calcEngine.js');
+}
+
+export function createCalcClient({ createWorker = createDefaultWorker, loadEngine = loadDefaultEngine } = {}) {
+  let revision = 0;
+  let send = null;
+  let worker = null;
+  let started = false; // start() was called, replayed too
+  let engineError = null; // Set when no engine could be loaded
+  const pending = new Map(); // noteId -> { revision, records, onUpdate, resolve, reject }
+  const notes = new Map(); // noteId -> content, replayed if the engine is restarted
+  let config = null; // Last { type: 'config' } message, replayed too
+  const rateTables = []; // Imported rates files, replayed too
+  let provider = null; // Last { type: 'provider' } message, replayed too
+  let latestRates = null; // Rates info from the last 'ready', restored on restart
+  const readyListeners = [];
+  const staleListeners = [];
+  const ratesListeners = [];
+
+  function handleMessage(message) {
+    if (!message) return;
+
+    if (message.type === 'ready') {
+      latestRates = message.rates || latestRates;
+      readyListeners.forEach(listener => listener(latestRates));
+      return;
+    }
+
+    if (message.type === 'stale') {
+      staleListeners.forEach(listener => listener(message.noteIds));
+      return;
+    }
+
+    if (message.type === 'rates') {
+      ratesListeners.forEach(listener => listener());
+      return;
+    }
+
+    if (message.type !== 'result') return;
+
+    const request = pending.get(message.noteId);
+    if (!request || request.revision !== message.revision) {
+      return; // Stale revision
+    }
+
+    request.records.splice(message.start, message.records.length, ...message.records);
+    if (request.onUpdate) {
+      request.onUpdate(request.records, { done: message.done, lineCount: message.lineCount });
+    }
+
+    if (message.done) {
+      pending.delete(message.noteId);
+      request.resolve(request.records);
+    }
+  }
+
+  function notesMessage() {
+    return { type: 'notes', notes: [...notes].map(([id, content]) => ({ id, content })) };
+  }
+
+  function useInProcessEngine() {
+    const queue = [];
+    send = (message) => queue.push(message);
+    loadEngine().then(({ createCalcEngine }) => {
+      // Deliver asynchronously, like a worker would
+      const engine = createCalcEngine(message => setTimeout(() => handleMessage(message), 0));
+      send = (message) => engine.handleMessage(message);
+      queue.forEach(message => send(message));
+    }).catch(error => {
+      console.error('Calculation engine failed to load:', error);
+      engineError = error;
+      send = () => {};
+      pending.forEach(request => request.reject(error));
+      pending.clear();
+    });
+  }
+
+  worker = createWorker();
+  if (worker) {
+    worker.onmessage = (event) => handleMessage(event.data);
+    worker.onerror = (event) => {
+      console.warn('Calculator worker failed, evaluating on main thread:', event.message || event);
+      worker.terminate();
+      worker = null;
+      useInProcessEngine();
+      // Re-issue whatever was in flight
+      if (config) send(config);
+      if (provider) send(provider);
+      rateTables.forEach(text => send({ type: 'rates', text }));
+      if (latestRates) send({ type: 'restoreRates', rates: latestRates });
+      if (started) send({ type: 'start' });
+      send(notesMessage());
+      pending.forEach((request, noteId) => {
+        send({ type: 'evaluate', noteId, revision: request.revision, text: request.text });
+      });
+    };
+    send = (message) => worker.postMessage(message);
+  } else {
+    useInProcessEngine();
+  }
+
+  return {
+    /**
+     * Evaluate a note. onUpdate(records, { done, lineCount }) is called for
+     * every streamed chunk of this revision. Resolves with the full records,
+     * or null if a newer revision for the same note superseded it; rejects
+     * if the engine could not be loaded.
+     */
+    evaluate(noteId, text, onUpdate = null) {
+      if (engineError) {
+        return Promise.reject(engineError);
+      }
+      const previous = pending.get(noteId);
+      if (previous) {
+        previous.resolve(null);
+      }
+
+      revision++;
+      return new Promise((resolve, reject) => {
+        pending.set(noteId, { revision, text, records: [], onUpdate, resolve, reject });
+        send({ type: 'evaluate', noteId, revision, text });
+      });
+    },
+
+    cancel(noteId) {
+      const request = pending.get(noteId);
+      if (!request) return;
+      pending.delete(noteId);
+      request.resolve(null);
+      send({ type: 'cancel', noteId });
+    },
+
+    /**
+     * Replace the saved notes [[Title]] references resolve against
+     */
+    syncNotes(allNotes) {
+      notes.clear();
+      allNotes.forEach(note => notes.set(note.id, note.content || ''));
+      send(notesMessage());
+    },
+
+    /**
+     * Update one saved note; content null means it was deleted
+     */
+    updateNote(noteId, content) {
+      if (typeof content === 'string') {
+        if (notes.get(noteId) === content) return;
+        notes.set(noteId, content);
+      } else {
+        if (!notes.has(noteId)) return;
+        notes.delete(noteId);
+        content = null;
+      }
+      send({ type: 'note', id: noteId, content });
+    },
+
+    /**
+     * Set the number locale used to read and format numbers and dates
+     * (e.g. 'en-US'); notes can still override it with a "locale" line
+     */
+    setLocale(locale) {
+      config = { type: 'config', locale };
+      send(config);
+    },
+
+    /**
+     * Add a historical exchange rates file, CSV or JSON (see parseRatesFile
+     * in rateProviders.js)
+     */
+    importRates(text) {
+      rateTables.push(text);
+      send({ type: 'rates', text });
+    },
+
+    /**
+     * Take exchange rates from a built-in provider ('exchangerate-api',
+     * 'frankfurter') or, with id 'file', from the given rates file only
+     */
+    setRatesProvider(id, file = null, name = null) {
+      provider = { type: 'provider', id, file, name };
+      send(provider);
+    },
+
+    /**
+     * Reuse exchange rates saved from an onReady listener in an earlier
+     * session; ignored if they came from another provider
+     */
+    restoreRates(rates) {
+      latestRates = rates;
+      send({ type: 'restoreRates', rates });
+    },
+
+    /**
+     * Configure currencies once the locale, rates files, provider and saved
+     * rates above were set; onReady listeners hear when they are in
+     */
+    start() {
+      started = true;
+      send({ type: 'start' });
+    },
+
+    /**
+     * Fetch the latest exchange rates now; onReady listeners hear the result
+     */
+    refreshRates() {
+      send({ type: 'refreshRates' });
+    },
+
+    /**
+     * listener(rates) is called whenever currencies were configured, with
+     * where the rates came from (see getRatesInfo in currencyService.js)
+     */
+    onReady(listener) {
+      readyListeners.push(listener);
+    },
+
+    /**
+     * listener(noteIds) is called when notes referenced by those notes changed
+     */
+    onStale(listener) {
+      staleListeners.push(listener);
+    },
+
+    /**
+     * listener() is called when historical exchange rates were loaded or imported
+     */
+    onRates(listener) {
+      ratesListeners.push(listener);
+    },
+
+    get usesWorker() {
+      return worker !== null;
+    },
+
+    dispose() {
+      pending.forEach(request => request.resolve(null));
+      pending.clear();
+      if (worker) {
+        worker.terminate();
+        worker = null;
+      }
+    }
+  };
+}
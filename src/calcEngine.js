@@ -0,0 +1,276 @@
+/**
+ * Calculation Engine - message protocol around Calculator
+ * Runs unchanged inside the Web Worker (calculatorWorker.js) or in-process
+ * as a fallback; all it needs is a function to post messages with.
+ *
+ * Requests:
+ *   { type: 'evaluate', noteId, revision, text }
+ *   { type: 'cancel', noteId }
+ *   { type: 'notes', notes: [{ id, content }] }        replace all saved notes
+ *   { type: 'note', id, content }                      upsert one (content null deletes)
+ *   { type: 'config', locale }                         number locale for all notes
+ *   { type: 'rates', text }                            import a historical rates file (CSV or JSON)
+ *   { type: 'provider', id, file, name }               exchange rate source (file: its text, for id 'file')
+ *   { type: 'restoreRates', rates }                    reuse rates saved from a 'ready' message
+ *   { type: 'refreshRates' }                           fetch the latest rates now
+ *   { type: 'start' }                                  the above are set: configure currencies
+ * Responses:
+ *   { type: 'ready', rates }                           currencies configured (after 'start', again after
+ *                                                      'provider' or 'refreshRates'); rates: currencyService.getRatesInfo()
+ *   { type: 'rates' }                                  historical rates arrived (re-render)
+ *   { type: 'result', noteId, revision, start, records, lineCount, done }
+ *   { type: 'stale', noteIds }                         notes whose references changed
+ *
+ * Results are streamed in chunks; between chunks the engine yields so that a
+ * newer revision (or a cancel) for the same note can stop stale work.
+ *
+ * [[Title]] references are resolved against the saved notes the client
+ * syncs here (the worker has no access to the store). Each referenced note
+ * is evaluated with its own Calculator; the chain of notes being resolved is
+ * threaded through so cycles are reported instead of recursing forever.
+ */
+
+import { Calculator, reloadCurrencies } from './calculator.js';
+import { currencyService } from './currencyService.js';
+import { createFileProvider } from './rateProviders.js';
+
+const CHUNK_SIZE = 100; // Lines per streamed result message
+const MAX_CALCULATORS = 20; // Per-note calculators kept for incremental caches
+
+// Yield to the event loop so queued messages are handled between chunks
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Records must survive structured cloning: keep numbers, strings, Dates and
+ * plain objects; anything else (matrices, booleans from mathjs) becomes text.
+ */
+function toTransferable(record) {
+  const { value } = record;
+  if (value === null || typeof value === 'number' || typeof value === 'string' || value instanceof Date) {
+    return { ...record };
+  }
+  return { ...record, value: record.text };
+}
+
+/**
+ * Title used to reference a note: its first line, without a leading "#",
+ * compared case-insensitively
+ */
+function titleKey(content) {
+  const firstLine = (content || '').split('\n')[0];
+  return firstLine.replace(/^#+/, '').trim().toLowerCase();
+}
+
+function getCalculator(calculators, noteId) {
+  let calc = calculators.get(noteId);
+  if (calc) {
+    // Refresh LRU position
+    calculators.delete(noteId);
+  } else {
+    calc = new Calculator();
+  }
+  calculators.set(noteId, calc);
+
+  if (calculators.size > MAX_CALCULATORS) {
+    const oldest = calculators.keys().next().value;
+    calculators.delete(oldest);
+  }
+  return calc;
+}
+
+export function createCalcEngine(post) {
+  const calculators = new Map(); // Rendered notes (evaluated incrementally, may be mid-stream)
+  const referenceCalculators = new Map(); // Notes evaluated as the target of a [[reference]]
+  const latestRevision = new Map();
+  const notes = new Map(); // noteId -> saved content
+  const dependencies = new Map(); // noteId -> Set of title keys it reads, directly or not
+  let locale = null; // null keeps the Calculator's historical format
+
+  function findNoteId(key) {
+    for (const [id, content] of notes) {
+      if (titleKey(content) === key) return id;
+    }
+    return null;
+  }
+
+  function displayTitle(noteId) {
+    const content = notes.get(noteId);
+    return content ? content.split('\n')[0].replace(/^#+/, '').trim() || 'Untitled' : 'this note';
+  }
+
+  /**
+   * Evaluate the note titled `title` on behalf of the notes in `chain`
+   * (outermost first) and return its Calculator, or null if there is none
+   */
+  function resolveNote(chain, title) {
+    const key = titleKey(title);
+    dependencies.get(chain[0])?.add(key);
+
+    const noteId = findNoteId(key);
+    if (!noteId) return null;
+    if (chain.includes(noteId)) {
+      throw new Error(`Circular reference: ${[...chain, noteId].map(displayTitle).join(' → ')}`);
+    }
+
+    const calc = getCalculator(referenceCalculators, noteId);
+    calc.locale = locale;
+    calc.resolveNote = (nextTitle) => resolveNote([...chain, noteId], nextTitle);
+    const records = calc.evaluateLines(notes.get(noteId));
+
+    // A cycle further down makes this note's values meaningless too
+    const cycle = records.find(record => record.error?.type === 'circular-reference');
+    if (cycle) {
+      throw new Error(cycle.error.message);
+    }
+    return calc;
+  }
+
+  /**
+   * Store a note's saved content and collect the titles it had and has
+   */
+  function setNote(noteId, content, changedTitles) {
+    const previous = notes.get(noteId);
+    if (previous === content) return;
+
+    if (previous !== undefined) changedTitles.add(titleKey(previous));
+    if (typeof content === 'string') {
+      notes.set(noteId, content);
+      changedTitles.add(titleKey(content));
+    } else {
+      notes.delete(noteId);
+      referenceCalculators.delete(noteId);
+      dependencies.delete(noteId);
+    }
+  }
+
+  function notifyDependents(changedTitles) {
+    if (changedTitles.size === 0) return;
+
+    const noteIds = [];
+    dependencies.forEach((titles, noteId) => {
+      for (const key of titles) {
+        if (changedTitles.has(key)) {
+          noteIds.push(noteId);
+          return;
+        }
+      }
+    });
+    if (noteIds.length > 0) {
+      post({ type: 'stale', noteIds });
+    }
+  }
+
+  function setProvider({ id, file, name }) {
+    try {
+      currencyService.setProvider(id === 'file' ? createFileProvider(file || '', name) : id);
+    } catch (e) {
+      console.warn('Exchange rate provider not changed:', e.message);
+      return;
+    }
+    announceRates(reloadCurrencies());
+  }
+
+  // Currency units are rebuilt from the new rates; the client re-renders
+  function announceRates(configured) {
+    configured
+      .then(() => post({ type: 'ready', rates: currencyService.getRatesInfo() }))
+      .catch(err => console.warn('Currencies kept their previous rates:', err));
+  }
+
+  async function evaluate({ noteId, revision, text }) {
+    latestRevision.set(noteId, revision);
+    const calc = getCalculator(calculators, noteId);
+    calc.locale = locale;
+    dependencies.set(noteId, new Set());
+    calc.resolveNote = (title) => resolveNote([noteId], title);
+    const lineCount = typeof text === 'string' ? text.split('\n').length : 0;
+
+    let chunk = [];
+    let start = 0;
+    for (const record of calc.iterateLines(text)) {
+      chunk.push(toTransferable(record));
+      if (chunk.length < CHUNK_SIZE) continue;
+
+      post({ type: 'result', noteId, revision, start, records: chunk, lineCount, done: false });
+      start += chunk.length;
+      chunk = [];
+
+      await nextTick();
+      if (latestRevision.get(noteId) !== revision) {
+        return; // Superseded or cancelled
+      }
+    }
+
+    post({ type: 'result', noteId, revision, start, records: chunk, lineCount, done: true });
+  }
+
+  const engine = {
+    handleMessage(message) {
+      if (!message || typeof message !== 'object') return;
+
+      switch (message.type) {
+        case 'evaluate':
+          return evaluate(message);
+        case 'cancel':
+          latestRevision.delete(message.noteId);
+          return;
+        case 'config':
+          locale = message.locale || null;
+          return;
+        case 'rates':
+          currencyService.importRatesFile(message.text);
+          return;
+        case 'provider':
+          setProvider(message);
+          return;
+        case 'restoreRates':
+          currencyService.restoreRates(message.rates);
+          return;
+        case 'refreshRates':
+          currencyService.expireRates();
+          announceRates(reloadCurrencies());
+          return;
+        case 'start':
+          // Messages arrive in order, so the provider and saved rates sent
+          // before this one are already applied
+          announceRates(new Calculator().waitForReady());
+          return;
+        case 'notes': {
+          const changedTitles = new Set();
+          const incoming = new Set();
+          (message.notes || []).forEach(note => {
+            incoming.add(note.id);
+            setNote(note.id, note.content, changedTitles);
+          });
+          [...notes.keys()].forEach(noteId => {
+            if (!incoming.has(noteId)) setNote(noteId, null, changedTitles);
+          });
+          notifyDependents(changedTitles);
+          return;
+        }
+        case 'note': {
+          const changedTitles = new Set();
+          setNote(message.id, message.content, changedTitles);
+          notifyDependents(changedTitles);
+          return;
+        }
+        default:
+          console.warn('Unknown engine message:', message.type);
+      }
+    }
+  };
+
+  // Lines converting at past rates show "loading" until the provider answers
+  currencyService.onHistoricalRates(() => post({ type: 'rates' }));
+
+  return engine;
+}
+
+/**
+ * Wire an engine to a worker global scope (or anything shaped like one)
+ */
+export function attachEngine(scope) {
+  const engine = createCalcEngine(message => scope.postMessage(message));
+  scope.onmessage = (event) => engine.handleMessage(event.data);
+  return engine;
+}
@@ -1,44 +1,76 @@
 import { create, all } from 'mathjs';
 import * as chrono from 'chrono-node';
 import { currencyService } from './currencyService.js';
+import { CURRENCY_CODES, CURRENCY_SIGNS, currencyDecimals, currencyForSign, currencySymbol, isAsset, metalCode } from './currencies.js';
+import { DEFAULT_HOLIDAY_REGION, HOLIDAY_NAME_PATTERN, holidayDate, holidayRegion, nextHoliday } from './holidays.js';
+import { DEFAULT_WORKWEEK, addWorkdays, countWorkdays, countWorkingHours, workingHoursOverlap } from './workdays.js';
+import { resolveTimeZone, timeZoneAbbreviation, zonedTime } from './timezones.js';
+import { amortization, cagr, compound, deflate, irr, npv, payment } from './finance.js';
+import { renderResultHtml } from './formatter.js';
 
 const math = create(all);
+// mathjs short-circuits & and | in expressions with transforms that only
+// understand numbers; use the plain functions so BigInt operands work
+math.expression.mathWithTransform.bitAnd = math.bitAnd;
+math.expression.mathWithTransform.bitOr = math.bitOr;
 
 // ============================================================================
 // PRE-COMPILED REGEX PATTERNS (Performance optimization)
 // ============================================================================
 
 // Format modifiers pattern
-const FORMAT_MODIFIER_REGEX = /\s+in\s+(hex|bin|oct|sci|scientific|binary|octal|hexadecimal)\s*$/i;
+const FORMAT_MODIFIER_REGEX = /\s+in\s+(hex|bin|oct|sci|scientific|eng|engineering|binary|octal|hexadecimal)(?:\s+notation)?(?:\s+(8|16|32|64)[-\s]?bits?)?\s*$/i;
+// Output formatting: "to 4 dp", "rounded up to 0.05", "as fraction"; a "format ..." line sets the note's default
+const DECIMALS_MODIFIER_REGEX = /\s+to\s+(\d{1,2})\s*(?:dp|decimals?|decimal\s+places?|places)\s*$/i;
+const ROUNDING_MODIFIER_REGEX = /\s+rounded(?:\s+(up|down))?(?:\s+to(?:\s+(?:the\s+)?nearest)?\s+(\d*[.,]?\d+))?\s*$/i;
+const FRACTION_MODIFIER_REGEX = /\s+(?:as|in)\s+(?:an?\s+)?fractions?\s*$/i;
+// Date styles: "in ISO", "as unix timestamp", "as weekday", "as long date"
+// Durations: "as h:mm", "in decimal hours"
+const DURATION_FORMAT_MODIFIER_REGEX = /\s+(?:as|in)\s+(h{1,2}:mm(:ss)?|hours\s+and\s+minutes|decimal\s+hours)\s*$/i;
+const DATE_FORMAT_MODIFIER_REGEX = /\s+(?:as|in)\s+(?:an?\s+)?(iso(?:[\s-]?8601)?|unix(?:\s+time(?:stamp)?)?|epoch|timestamp|weekday|day\s+of\s+(?:the\s+)?week|(?:long|full|short)(?:\s+date)?|date(?:\s*time)?|time)(?:\s+format)?\s*$/i;
+const FORMAT_DIRECTIVE_REGEX = /^format\s*:?(\s+.+)$/i;
+const NOTATION_NAMES = {
+    hex: 'hex', hexadecimal: 'hex',
+    bin: 'bin', binary: 'bin',
+    oct: 'oct', octal: 'oct',
+    sci: 'sci', scientific: 'sci',
+    eng: 'eng', engineering: 'eng'
+};
+const DATE_STYLE_NAMES = {
+    iso: 'iso',
+    unix: 'unix', epoch: 'unix', timestamp: 'unix',
+    weekday: 'weekday', day: 'weekday',
+    long: 'long', full: 'full', short: 'short',
+    date: 'date', datetime: 'date',
+    time: 'time'
+};
 
 // Currency patterns
-const IN_CURRENCY_REGEX = /\s+in\s+([A-Z]{3})\s*$/i;
-const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD', 'NZD', 'CNY', 'HKD', 'SGD', 'SEK', 'NOK', 'DKK', 'KRW', 'INR', 'BRL', 'MXN', 'ZAR', 'RUB', 'TRY', 'PLN', 'CZK', 'HUF', 'ILS', 'THB', 'MYR', 'PHP', 'IDR', 'TWD', 'AED', 'SAR'];
+const IN_CURRENCY_REGEX = /\s+in\s+([A-Za-z][A-Za-z0-9_]*)\s*$/i;
+// Conversion at past rates: "€500 in USD on 2024-03-01", "100 GBP to EUR as of 1 March 2024"
+const HISTORICAL_CONVERSION_REGEX = /^(.+?)\s+(?:in|to)\s+([A-Za-z]{3})\s+(?:on|at|as\s+of)\s+(\S.*)$/i;
+const ISO_DATE_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
 const CURRENCY_DOUBLE_PATTERN = new RegExp(`^(\\d+(?:\\.\\d+)?)\\s+(${CURRENCY_CODES.join('|')})\\s+(${CURRENCY_CODES.join('|')})$`, 'i');
 
+// Precious metals by weight: "2 oz gold", "10 g of silver" (oz is a troy ounce)
+const METAL_AMOUNT_REGEX = /\b(\d+(?:\.\d+)?)\s*(troy\s+ounces?|troy\s+oz|ozt|oz|ounces?|g|grams?|kg|kilograms?)\s+(?:of\s+)?(gold|silver|platinum|palladium)\b/gi;
+const GRAMS_PER_TROY_OUNCE = 31.1034768;
+
 // Preprocess patterns
 const LABEL_PREFIX_REGEX = /^[a-zA-Z][a-zA-Z0-9\s]*:\s*/;
 const VARIABLE_REGEX = /\$([A-Z_][A-Z0-9_]*)/gi;
 const PERCENT_ASSIGN_REGEX = /^([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*(\d+(?:\.\d+)?)\s*%\s*$/;
 
 // Scale patterns
-const SCALE_USD_K = /\$(\d+(?:\.\d+)?)\s*k\b/gi;
-const SCALE_USD_M = /\$(\d+(?:\.\d+)?)\s*M\b/g;
-const SCALE_USD_B = /\$(\d+(?:\.\d+)?)\s*(?:B|billion)\b/gi;
-const SCALE_EUR_K = /€(\d+(?:\.\d+)?)\s*k\b/gi;
-const SCALE_EUR_M = /€(\d+(?:\.\d+)?)\s*M\b/g;
-const SCALE_GBP_K = /£(\d+(?:\.\d+)?)\s*k\b/gi;
-const SCALE_GBP_M = /£(\d+(?:\.\d+)?)\s*M\b/g;
 const SCALE_K = /(\d+(?:\.\d+)?)\s*k\b/gi;
 const SCALE_M = /(\d+(?:\.\d+)?)\s*M\b/g;
 const SCALE_B = /(\d+(?:\.\d+)?)\s*(?:B|billion|billions)\b/gi;
 const SCALE_THOUSAND = /(\d+(?:\.\d+)?)\s*(?:thousand|thousands)\b/gi;
 const SCALE_MILLION = /(\d+(?:\.\d+)?)\s*(?:million|millions)\b/gi;
 
-// Currency symbol patterns
-const CURRENCY_USD = /\$(\d+(?:[.,]\d+)?)/g;
-const CURRENCY_EUR = /€(\d+(?:[.,]\d+)?)/g;
-const CURRENCY_GBP = /£(\d+(?:[.,]\d+)?)/g;
+// Currency sign patterns: "$10", "R$ 2k" before the amount, "100 zł", "50€" after it
+const CURRENCY_AMOUNT_PATTERN = '\\d+(?:\\.\\d+)?(?:\\s*(?:[kKMbB]|billions?|thousands?|millions?)\\b)?';
+const CURRENCY_SIGN_PATTERNS = currencySignPatterns(CURRENCY_SIGNS);
 
 // Unit conversion patterns
 const UNIT_CONVERSION_REGEX = /\b\d+\s*(px|pt|em|rem)\s+(to|in)\s+(px|pt|em|rem)\b/i;
@@ -48,8 +80,14 @@ const SQ_UNIT_REGEX = /\b(?:sq)\s*(m|cm|mm|km|ft|feet|foot|in|inch|inches|yd|yar
 const SQUARE_UNIT_REGEX = /\bsquare\s+(meter|meters|metre|metres|centimeter|centimeters|millimeter|millimeters|kilometer|kilometers|foot|feet|inch|inches|yard|yards|mile|miles|m|cm|mm|km|ft|in|yd|mi)\b/gi;
 
 // Number format patterns
+// Decimal-comma locales (it, de, fr...): 1.000.000,5
 const THOUSANDS_SEP_REGEX = /(\d)\.(\d{3})(?=[.\s\D]|$)/g;
 const DECIMAL_COMMA_REGEX = /(\d),(\d)/g;
+// Decimal-point locales (en, ja, de-CH...): 1,000,000.5 / 1’000’000.5 / 10,00,000 (en-IN)
+const GROUPED_NUMBER_REGEX = /(^|[^\d.,'’])(\d{1,3}(?:[,'’]\d{2,3})*[,'’]\d{3})(?![\d,'’])/g;
+const GROUP_SEPARATOR_REGEX = /[,'’]/g;
+// No-break spaces some locales group with (fr: 1 000 000)
+const SPACE_GROUP_REGEX = /(\d)[\u00a0\u202f](?=\d)/g;
 
 // Percentage patterns
 const PERCENT_OF_WHAT_IS = /(\d+(?:\.\d+)?%)\s+of\s+what\s+is\s+(.+)/i;
@@ -64,131 +102,210 @@ const PERCENT_OF = /(\d+(?:\.\d+)?%)\s+of\s+(.+)/i;
 const PERCENT_TRAILING = /(\d+%)\s+(?:discount|fee|tax|tip|markup|margin|bonus|interest|rate|increase|decrease|reduction|savings)\b/gi;
 
 // Assignment pattern
+// Per-note precision: "precision float", "precision 34 digits", "precision bignumber", "precision exact"
+// Per-note number locale: "locale en-US", "locale de-CH"
+const LOCALE_DIRECTIVE_REGEX = /^locale\s*:?\s*([A-Za-z]{2,3}(?:[-_][A-Za-z0-9]{2,8})*)\s*$/;
+const PRECISION_DIRECTIVE_REGEX = /^precision\s*:?\s*(float|number|bignumber|big|exact|fraction|(\d+)\s*digits?)\s*$/i;
+const FRACTION_UNSUPPORTED_ERROR = /Cannot implicitly convert a Fraction|Invalid argument/;
+// Programmer mode: "programmer", "programmer 32-bit", "programmer 16-bit unsigned"
+const PROGRAMMER_DIRECTIVE_REGEX = /^programmer(?:\s+mode)?\s*:?\s*(?:(8|16|32|64)[-\s]?bits?)?\s*(signed|unsigned)?\s*$/i;
+// Note currencies: "rate EUR = 1.10 USD" (or "rate 1 EUR = $1.10") fixes a rate for the
+// note, "currency GOLD (⛁) = 0.02 USD" adds a currency with an optional symbol
+const RATE_DIRECTIVE_REGEX = /^rate(?:\s*:\s*|\s+)(?:1\s+)?([A-Za-z]{3,4})\s*=\s*(\S.*)$/i;
+const CURRENCY_DIRECTIVE_REGEX = /^currency(?:\s*:\s*|\s+)([A-Za-z][A-Za-z0-9_]{1,15})(?:\s*\(\s*([^\s\d()=]{1,4})\s*\))?\s*=\s*(\S.*)$/i;
+// Report currency: "report currency EUR" totals the note's currency lines in EUR
+const REPORT_CURRENCY_DIRECTIVE_REGEX = /^report\s+currency\s*:?\s*([A-Za-z][A-Za-z0-9_]{1,15})\s*$/i;
+// Holiday calendar: "holidays UK" dates the note's holidays by that region's calendar
+const HOLIDAYS_DIRECTIVE_REGEX = /^holidays\s*:?\s*([A-Za-z]{2})\s*$/i;
+// Workweek: "weekend fri sat" (or "weekend none"), "working hours 8:30-17" / "work hours 9am to 5pm"
+const WEEKEND_DIRECTIVE_REGEX = /^weekends?\s*:?\s*(none|[A-Za-z]+(?:\s*(?:,|&|\band\b)?\s*[A-Za-z]+)*)\s*$/i;
+const WORKING_HOURS_DIRECTIVE_REGEX = /^(?:working|work|business|office)\s+hours\s*:?\s*(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?\s*(?:-|–|to)\s*(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?\s*$/i;
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const BIGINT_UNSUPPORTED_ERROR = /BigInt|must be positive|Division by zero/i;
+// Base-prefixed literals with optional _ grouping: 0xFF_FF, 0b1010_0101, 0o755
+const BASE_LITERAL_REGEX = /\b0(?:x[0-9a-f]+(?:_[0-9a-f]+)*|b[01]+(?:_[01]+)*|o[0-7]+(?:_[0-7]+)*)\b/gi;
+const BITWISE_WORDS = [
+    [/\bxor\b/gi, ' ^| '],
+    [/\band\b/gi, ' & '],
+    [/\bor\b/gi, ' | '],
+    [/\bnot\s*/gi, '~'],
+    [/\bshl\b/gi, ' << '],
+    [/\bshr\b/gi, ' >> ']
+];
+const FUNCTION_DEFINITION_REGEX = /^([a-zA-Z_][a-zA-Z0-9_]*)\s*\(\s*((?:[a-zA-Z_][a-zA-Z0-9_]*\s*(?:,\s*[a-zA-Z_][a-zA-Z0-9_]*\s*)*)?)\)\s*=(?!=)\s*(\S.*)$/;
 const SIMPLE_ASSIGNMENT_REGEX = /^[\$_a-zA-Z][\$_a-zA-Z0-9]*\s*=\s*[\d.,\s]+$/;
 const TRAILING_RESULT_REGEX = /\s*=\s*[\d.,\s]+[a-zA-Z%€$£¥]*$/;
 
+// Error diagnostic patterns (mathjs error messages)
+const UNDEFINED_SYMBOL_ERROR = /Undefined symbol\s+(\S+)/i;
+const UNIT_NOT_FOUND_ERROR = /Unit "([^"]+)" not found/i;
+const UNIT_MISMATCH_ERROR = /Units do not match|Cannot convert|not compatible/i;
+// A failed line is an attempted calculation when an operator joins two operands
+// ("rent + utilites", "x = y") or follows a number ("5 +* 3"; "-" only next to
+// a number, so "follow-up" is prose), or it has a percentage or a function
+// call ("sqrt(", not "Items (see below)"). "Trip to Paris 2024" is a comment
+const CALCULATION_HINT_REGEX = /[\w)$€£%.]\s*[+*\/^=×÷]\s*[\w($€£.]|[\d)]\s*[-+*\/^×÷]|-\s*[\d($€£]|\d\s*%|\b[a-z_]\w*\(/i;
+// Errors only amounts cause ("100 zł", "0,5 ETH in EUR", "5 kg + 3 m") are always flagged
+const AMOUNT_ERROR_TYPES = new Set(['unknown-currency', 'exchange-rate', 'incompatible-units']);
+// "totl", "totl in EUR": a lone misspelled name, checked against the note's names
+const LONE_NAME_REGEX = /^\$?([a-z_]\w*)(?:\s+(?:in|to|as)\s+\S+)?$/i;
+const MAX_TYPO_DISTANCE = 2;
+const CIRCULAR_REFERENCE_ERROR = /^Circular reference/;
+const NOTE_NOT_FOUND_ERROR = /^No note titled "([^"]+)"/;
+const NOTE_VARIABLE_ERROR = /^"([^"]+)" is not defined in "/;
+
+// Business days and working hours: "10 business days from today", "in 5 workdays",
+// "workdays between Jan 3 and Mar 1", "working hours until Friday 5pm"
+const WORKDAYS_OFFSET_REGEX = /^(?:in\s+)?(\d+)\s+(?:business|working|work)\s*days?(?:\s+(from|after|before)\s+(.+))?$/i;
+const WORKDAYS_COUNT_REGEX = /^(?:business|working|work)\s*(days?|hours?)\s+(?:(?:until|till|to|before)\s+(.+)|between\s+(.+?)\s+and\s+(.+)|from\s+(.+?)\s+(?:to|until|till)\s+(.+))$/i;
+
+// Holidays by name, optionally in a given year: "easter", "Mother's Day 2027"
+const HOLIDAY_KEYWORD_PATTERN = `(?:${HOLIDAY_NAME_PATTERN})(?:\\s+\\d{4})?`;
+const HOLIDAY_KEYWORD_REGEX = new RegExp(`\\b${HOLIDAY_KEYWORD_PATTERN}\\b`, 'gi');
+const HOLIDAY_DATE_TEXT = new Intl.DateTimeFormat('en-US', { month: 'long', day: 'numeric', year: 'numeric' }); // What chrono reads
+
+// Cross-note references: [[Note title]] (its final total) or [[Note title]].variable
+const NOTE_REFERENCE_REGEX = /\[\[([^\[\]\n]+)\]\](?:\.(\$?[A-Za-z_][A-Za-z0-9_]*))?/g;
+const AGGREGATE_NAMES = ['sum', 'total', 'avg', 'mean', 'prev'];
+const AVERAGE_NAMES = ['avg', 'mean'];
+
+// Incremental evaluation patterns
+const IDENTIFIER_REGEX = /[A-Za-z_][A-Za-z0-9_]*/g;
+const VOLATILE_FUNCTION_REGEX = /\brandom(?:Int)?\s*\(|\bpickRandom\s*\(/;
+
 // Timezone patterns
 const LOCATION_TIME_REGEX = /^(.+?)\s+time$/;
 const TIME_IN_REGEX = /^(?:time|now)\s+in\s+(.+)$/;
-const TIME_CONVERSION_REGEX = /^(\d{1,2}(?::\d{2})?\s*(?:am|pm)?)\s+(\w+)\s+in\s+(.+)$/i;
+// "9am EST in Tokyo", "Friday 9am EST in London, Tokyo" (see _parseZonedTime)
+const TIME_CONVERSION_REGEX = /^(.+?)\s+in\s+(.+)$/i;
 const TIME_PARSE_REGEX = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i;
+// A day, if any, then the time: "Friday 9am", "2026-03-29 at 02:30", "9:30 pm"
+const ZONED_TIME_REGEX = /^(?:(.+?)\s+(?:at\s+)?)?(\d{1,2}(?::\d{2})?\s*(?:am|pm)?)$/i;
+// World clocks: "time in London, Tokyo and Berlin"; Intl's "GMT", "GMT+1", "UTC−3" zone names
+const PLACE_LIST_SEPARATOR_REGEX = /\s*,\s*|\s*&\s*|\s+and\s+/i;
+const GMT_OFFSET_NAME_REGEX = /^(?:GMT|UTC)(?:[+\-−]|$)/;
+// Meeting planner: "overlap New York, Berlin, Tokyo 9-18 on Friday" (hours as in a working hours line)
+const OVERLAP_REGEX = /^(?:meeting\s+)?overlap\s*:?\s+(.+?)(?:\s+(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?\s*(?:-|–|to)\s*(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?)?(?:\s+(?:on|for)\s+(.+))?\s*$/i;
+
+// Duration patterns. Time worked between two clock times: "9:15 to 17:40", "9am – 5pm"
+const CLOCK_SPAN_REGEX = /\b(?:from\s+)?(\d{1,2})(?::([0-5]\d))?\s*(am|pm)?\s*(?:to|until|till|–)\s*(\d{1,2})(?::([0-5]\d))?\s*(am|pm)?\b/gi;
+// "1h20", "2h 45m"; a bare "35m" is minutes only on lines written in h and m
+// or h:mm, or right after a duration; elsewhere "5 m" is metres
+const COMPACT_DURATION_REGEX = /(?<![\w.])(\d+(?:\.\d+)?)\s*h\s*(\d{1,2})\s*(?:m|min)?(?![\w.])/gi;
+const HOURS_ABBREVIATION_REGEX = /(?<![\w.])\d+(?:\.\d+)?\s*h(?![a-z])/i;
+const MINUTES_ABBREVIATION_REGEX = /(?<![\w.])(\d+(?:\.\d+)?)\s*m(?![\w^²³])/g;
+// "sum of 1h20 + 2h45 + 35m": a list of durations added up
+const DURATION_SUM_PREFIX_REGEX = /^\s*(?:sum|total)\s+of\s+/i;
+const AGGREGATE_WORD_REGEX = /\b(?:sum|total|avg|mean|prev)\b/i;
+// "7:40" is a duration when used in arithmetic ("7:40 * $RATE", "1:30 + 0:45"), not a time of day
+const CLOCK_DURATION_REGEX = /(?<![\d:.])(\d{1,3}):([0-5]\d)(?::([0-5]\d))?(?![\d:])/g;
+const CLOCK_ARITHMETIC_REGEX = /\d:[0-5]\d\s*[*\/]|[*\/]\s*\d{1,3}:[0-5]\d|\d:[0-5]\d\s*[-+]\s*\d{1,3}:[0-5]\d/;
+const DURATION_WORDS = [
+    [/\ban\s+hour\s+and\s+a\s+half\b/gi, '90 minutes'],
+    [/\b(\d+)\s+and\s+a\s+half\s+hours?\b/gi, '$1.5 hours'],
+    [/\b(?:a\s+)?half\s+(?:an\s+)?hour\b/gi, '30 minutes'],
+    [/\b(?:a\s+)?quarter\s+(?:of\s+)?(?:an\s+)?hour\b/gi, '15 minutes'],
+    [/\ban\s+hour\b/gi, '1 hour'],
+    [/(\d)\s*mins?\b/gi, '$1 minutes'],
+    [/(\d)\s*hrs?\b/gi, '$1 hours'],
+    [/(\d)\s*secs?\b/gi, '$1 seconds']
+];
+// "2 hours 35 minutes", "1 day and 4 hours": one duration, not a product of units
+const DURATION_TERM_PATTERN = '\\d+(?:\\.\\d+)?\\s*(?:weeks?|days?|hours?|minutes?|seconds?|h)\\b';
+const DURATION_TERM_REGEX = new RegExp(DURATION_TERM_PATTERN, 'i');
+const DURATION_CHAIN_REGEX = new RegExp(`${DURATION_TERM_PATTERN}(?:\\s+(?:and\\s+)?${DURATION_TERM_PATTERN})+`, 'gi');
+// "45 min lunch": a word naming what the time was spent on
+const DURATION_LABEL_REGEX = /(\d\s*(?:weeks?|days?|hours?|minutes?|seconds?)\)?)\s+([a-z]+)(?=\s*(?:[-+)]|$))/gi;
+const DURATION_KEYWORDS = new Set(['in', 'to', 'as', 'and', 'plus', 'minus', 'times', 'per', 'of', 'with', 'without']);
+// "in hours", "to minutes": a conversion the line asks for, shown in that unit
+const UNIT_CONVERSION_SUFFIX_REGEX = /\s(?:in|to)\s+[a-z]+\s*$/i;
+
+// Financial phrases (see _evaluateFinance). Loans are paid monthly: "mortgage $300k at 4.5% for 30 years"
+const LOAN_REGEX = /^(mortgage|loan|amorti[sz]ation(?:\s+schedule)?)(?:\s+(?:of|for|on))?\s+(.+?)\s+at\s+(.+?%)(?:\s+(?:a|per)\s+year|\s+apr)?\s+(?:for|over)\s+(\d+(?:[.,]\d+)?)\s+(years?|months?)$/i;
+// "$10k at 5% for 10 years compounded monthly" (yearly if not said); "interest on ..." is what it earns
+const COMPOUND_INTEREST_REGEX = /^(interest\s+on\s+)?(.+?)\s+at\s+(.+?%)(?:\s+(?:a|per)\s+year|\s+apr)?\s+(?:for|over)\s+(\d+(?:[.,]\d+)?)\s+(years?|months?)(?:\s+compounded\s+(daily|weekly|monthly|quarterly|yearly|annually))?$/i;
+const COMPOUNDING_PERIODS = { daily: 365, weekly: 52, monthly: 12, quarterly: 4, yearly: 1, annually: 1 };
+// "$50k after 10 years of 3% inflation": what it buys in today's money
+const INFLATION_REGEX = /^(.+?)\s+(?:after|in)\s+(\d+(?:[.,]\d+)?)\s+years?\s+(?:of|at)\s+(.+?%)\s+inflation$/i;
+const CAGR_REGEX = /^cagr\s+(?:from\s+)?(.+?)\s+to\s+(.+?)\s+(?:in|over)\s+(\d+(?:[.,]\d+)?)\s+years?$/i;
+// Yearly cash flows, the first today: "NPV of -$1000, $300, $800 at 8%", "IRR of -$1000, $300, $800"
+const NPV_REGEX = /^npv\s+(?:of\s+)?(.+?)\s+at\s+(.+?%)$/i;
+const IRR_REGEX = /^irr\s+(?:of\s+)?(.+)$/i;
+const CASH_FLOW_SEPARATOR_REGEX = /\s*;\s*|,\s+/; // "1,5" is a number where the comma is the decimal point
 
 // ============================================================================
 // CACHED FORMATTERS (Performance optimization)
 // ============================================================================
 
-const NUMBER_FORMATTER = new Intl.NumberFormat('it-IT', { 
+const NUMBER_FORMAT_OPTIONS = {
     minimumFractionDigits: 0,
     maximumFractionDigits: 2,
-    useGrouping: true 
-});
+    useGrouping: true
+};
 
-const DATE_FORMATTER = new Intl.DateTimeFormat('en-US', {
+const DATE_FORMAT_OPTIONS = {
     month: 'numeric',
     day: 'numeric',
     year: '2-digit'
-});
+};
+
+// Historical defaults, used when no locale is configured
+const NUMBER_FORMATTER = new Intl.NumberFormat('it-IT', NUMBER_FORMAT_OPTIONS);
+const DATE_FORMATTER = new Intl.DateTimeFormat('en-US', DATE_FORMAT_OPTIONS);
+
+const localeProfiles = new Map(); // locale -> formatters and parsing rules
+const LEADING_NUMBER_REGEX = /^-?\d+(?:\.\d+)?/;
 
 // ============================================================================
 // CONSTANTS
 // ============================================================================
 
 const MAX_INPUT_LENGTH = 100000;
+const DEFAULT_BIGNUMBER_DIGITS = 64; // mathjs default BigNumber precision
+const MAX_BIGNUMBER_DIGITS = 1000;
+const MAX_DECIMALS = 20; // Intl.NumberFormat's limit in older engines
+const DEFAULT_WORD_BITS = 64;
+const BIGINT_PRECISION = { number: 'bigint', precision: DEFAULT_BIGNUMBER_DIGITS }; // Programmer mode
+const FRACTION_TOLERANCE = 1e-9; // How far "as fraction" may stray from a float to find a simple fraction
+const FLOAT_PRECISION = { number: 'number', precision: DEFAULT_BIGNUMBER_DIGITS };
 const MAX_LINES = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MILLISECOND_TIMESTAMP = 1e11; // Larger unix timestamps are in ms (1e11 s is the year 5138)
 
 // Initialize currency service and configure units
 let currenciesConfigured = false;
+let unitsVersion = 0; // Bumped whenever unit definitions change; invalidates cached line results
 let configurePromise = null;
 let currencyRetryTimeout = null;
+let activePrecisionKey = 'number'; // Numeric type the shared mathjs instance is configured for
+// Currency definitions of the note being evaluated (see applyNoteCurrencies)
+let activeCurrencyKey = '[]';
+let noteCurrencyUnits = []; // [{ code, custom }] the active note (re)defined
+const noteCurrencySymbols = new Map(); // Custom currency code → symbol (null: none)
+const noteCurrencyErrors = new Map(); // Directive line → why it could not be applied
 const CURRENCY_RETRY_DELAY = 5 * 60 * 1000; // Retry every 5 minutes on failure
 
-// Timezone mappings for natural language
-const TIMEZONE_MAP = {
-    // US timezones
-    'pst': 'America/Los_Angeles',
-    'pacific': 'America/Los_Angeles',
-    'pdt': 'America/Los_Angeles',
-    'mst': 'America/Denver',
-    'mountain': 'America/Denver',
-    'mdt': 'America/Denver',
-    'cst': 'America/Chicago',
-    'central': 'America/Chicago',
-    'cdt': 'America/Chicago',
-    'est': 'America/New_York',
-    'eastern': 'America/New_York',
-    'edt': 'America/New_York',
-    'hst': 'Pacific/Honolulu',
-    'akst': 'America/Anchorage',
-    'akdt': 'America/Anchorage',
-    
-    // Cities
-    'new york': 'America/New_York',
-    'los angeles': 'America/Los_Angeles',
-    'chicago': 'America/Chicago',
-    'denver': 'America/Denver',
-    'london': 'Europe/London',
-    'paris': 'Europe/Paris',
-    'berlin': 'Europe/Berlin',
-    'madrid': 'Europe/Madrid',
-    'rome': 'Europe/Rome',
-    'milan': 'Europe/Rome',
-    'amsterdam': 'Europe/Amsterdam',
-    'brussels': 'Europe/Brussels',
-    'zurich': 'Europe/Zurich',
-    'vienna': 'Europe/Vienna',
-    'stockholm': 'Europe/Stockholm',
-    'oslo': 'Europe/Oslo',
-    'copenhagen': 'Europe/Copenhagen',
-    'helsinki': 'Europe/Helsinki',
-    'moscow': 'Europe/Moscow',
-    'dubai': 'Asia/Dubai',
-    'mumbai': 'Asia/Kolkata',
-    'delhi': 'Asia/Kolkata',
-    'bangalore': 'Asia/Kolkata',
-    'singapore': 'Asia/Singapore',
-    'hong kong': 'Asia/Hong_Kong',
-    'hkt': 'Asia/Hong_Kong',
-    'tokyo': 'Asia/Tokyo',
-    'jst': 'Asia/Tokyo',
-    'seoul': 'Asia/Seoul',
-    'kst': 'Asia/Seoul',
-    'shanghai': 'Asia/Shanghai',
-    'beijing': 'Asia/Shanghai',
-    'cst china': 'Asia/Shanghai',
-    'sydney': 'Australia/Sydney',
-    'aest': 'Australia/Sydney',
-    'aedt': 'Australia/Sydney',
-    'melbourne': 'Australia/Melbourne',
-    'auckland': 'Pacific/Auckland',
-    'nzst': 'Pacific/Auckland',
-    'nzdt': 'Pacific/Auckland',
-    
-    // Other timezone codes
-    'gmt': 'Etc/GMT',
-    'utc': 'Etc/UTC',
-    'bst': 'Europe/London',
-    'cet': 'Europe/Paris',
-    'cest': 'Europe/Paris',
-    'ist': 'Asia/Kolkata',
-    'sgt': 'Asia/Singapore',
+// Currencies usable before the live rates are in, with their word aliases
+const BASIC_CURRENCY_ALIASES = {
+    EUR: ['euro', 'euros', 'eur'],
+    GBP: ['pound', 'pounds', 'gbp'],
+    JPY: ['yen', 'jpy'],
 };
 
-// Initialize basic currencies synchronously
+// Initialize basic currencies synchronously, at the currency service's
+// current rates (its fallback set on a cold start) so both agree
 function initBasicCurrencies() {
     try {
         // Base currency
         if (!math.Unit.isValuelessUnit('USD')) {
             math.createUnit('USD', { aliases: ['dollar', 'dollars', 'usd'] });
         }
-        // Common currencies with approximate rates
-        if (!math.Unit.isValuelessUnit('EUR')) {
-            math.createUnit('EUR', { definition: '0.92 USD', aliases: ['euro', 'euros', 'eur'] });
-        }
-        if (!math.Unit.isValuelessUnit('GBP')) {
-            math.createUnit('GBP', { definition: '0.79 USD', aliases: ['pound', 'pounds', 'gbp'] });
-        }
-        if (!math.Unit.isValuelessUnit('JPY')) {
-            math.createUnit('JPY', { definition: '0.0067 USD', aliases: ['yen', 'jpy'] });
+        const rates = currencyService.getRates();
+        for (const [currency, aliases] of Object.entries(BASIC_CURRENCY_ALIASES)) {
+            if (!math.Unit.isValuelessUnit(currency) && rates[currency] > 0) {
+                // 1 USD = rate * Currency, so 1 Currency = (1 / rate) USD
+                math.createUnit(currency, { definition: `${1 / rates[currency]} USD`, aliases });
+            }
         }
     } catch (e) {
         console.warn('Failed to init basic currencies:', e);
@@ -242,10 +359,422 @@ function initTemperatureUnits() {
     }
 }
 
+// Financial functions (see finance.js). Amounts may be money: "pmt(4.5% / 12, 360, $300k)" → $ 1.520,06
+const RATE_FUNCTIONS = new Set(['irr', 'cagr']);
+
+function initFinanceFunctions() {
+    try {
+        math.import({
+            pmt: (rate, periods, principal) => {
+                const { numbers: [amount], money } = moneyArguments([principal]);
+                return money(payment(toRate(rate), math.number(periods), amount));
+            },
+            compound: (principal, rate, periods) => {
+                const { numbers: [amount], money } = moneyArguments([principal]);
+                return money(compound(amount, toRate(rate), math.number(periods)));
+            },
+            deflate: (value, rate, periods) => {
+                const { numbers: [amount], money } = moneyArguments([value]);
+                return money(deflate(amount, toRate(rate), math.number(periods)));
+            },
+            npv: (rate, ...flows) => {
+                const { numbers, money } = moneyArguments(flattenArguments(flows));
+                return money(npv(toRate(rate), numbers));
+            },
+            irr: (...flows) => irr(moneyArguments(flattenArguments(flows)).numbers),
+            cagr: (start, end, years) => {
+                const { numbers: [from, to] } = moneyArguments([start, end]);
+                return cagr(from, to, math.number(years));
+            }
+        });
+    } catch (e) {
+        console.warn('Failed to init financial functions:', e);
+    }
+}
+
+// Whether an expression is a call to irr or cagr, or assigns one to a variable
+function isRateFunctionCall(expression) {
+    if (!/\b(?:irr|cagr)\s*\(/i.test(expression)) return false;
+    try {
+        let node = math.parse(expression);
+        if (node.isAssignmentNode) node = node.value;
+        return node.isFunctionNode && RATE_FUNCTIONS.has(node.fn.name);
+    } catch (e) {
+        return false;
+    }
+}
+
+function currencyAliases(currency) {
+    const lower = currency.toLowerCase();
+    return [...new Set([lower, `${lower}s`, currency, `${currency}s`, ...(BASIC_CURRENCY_ALIASES[currency] || [])])];
+}
+
+// Create or override a currency unit from a rate as the currency service
+// gives it: 1 USD = rate * Currency, so 1 Currency = (1 / rate) USD
+function defineCurrencyUnit(currency, rate) {
+    math.createUnit(currency, { definition: `${1 / rate} USD`, aliases: currencyAliases(currency) }, { override: true });
+}
+
+/**
+ * Switch the shared mathjs units to a note's own currencies: its agreed
+ * rates replace the live ones and its custom currencies exist, until a note
+ * with other definitions is evaluated. Like applyPrecision this runs before
+ * every line, since notes take turns on the same instance.
+ */
+function applyNoteCurrencies(definitions) {
+    const key = JSON.stringify(definitions);
+    if (key === activeCurrencyKey) return;
+    applyPrecision(FLOAT_PRECISION); // Unit values would take the note's numeric type
+
+    // Undo the previous note's definitions
+    const rates = currencyService.getRates();
+    for (const { code, custom } of noteCurrencyUnits) {
+        try {
+            if (custom) {
+                math.Unit.deleteUnit(code);
+            } else if (rates[code]) {
+                defineCurrencyUnit(code, rates[code]);
+            } else {
+                // Only this note priced it (an asset, say); deleteUnit leaves aliases behind
+                currencyAliases(code).forEach(name => math.Unit.deleteUnit(name));
+            }
+        } catch (e) {
+            console.warn(`Failed to restore ${code}:`, e.message);
+        }
+    }
+    noteCurrencyUnits = [];
+    noteCurrencySymbols.clear();
+    noteCurrencyErrors.clear();
+
+    // In order, so a currency can be defined in terms of an earlier one
+    for (const definition of definitions) {
+        try {
+            const unit = defineNoteCurrency(definition);
+            noteCurrencyUnits.push(unit);
+            if (unit.custom) noteCurrencySymbols.set(unit.code, definition.symbol);
+        } catch (e) {
+            noteCurrencyErrors.set(definition.line, e.message);
+        }
+    }
+    activeCurrencyKey = key;
+}
+
+/**
+ * Define one note currency from its normalized expression ("1.1 USD");
+ * returns { code, custom } with the unit actually (re)defined
+ */
+function defineNoteCurrency({ code, expression }) {
+    const value = math.evaluate(expression);
+    if (!value || !value.isUnit || !value.equalBase(math.unit(1, 'USD'))) {
+        throw new Error(`${code} needs an amount of another currency, like "1.10 USD"`);
+    }
+
+    let target = code;
+    let usd = value.toNumber('USD');
+    if (code === 'USD') {
+        // Every currency is defined in USD: "1 USD = 0.9 EUR" fixes EUR instead
+        const other = value.units.length === 1 ? value.units[0].unit.name : 'USD';
+        if (other === 'USD') {
+            throw new Error('USD needs an amount of another currency, like "0.90 EUR"');
+        }
+        target = other;
+        usd = 1 / value.toNumber(other);
+    }
+    if (!(usd > 0) || !Number.isFinite(usd)) {
+        throw new Error(`${target} needs a positive rate`);
+    }
+
+    const kind = reservedNameKind(target);
+    if (kind && kind !== 'currency') {
+        throw new Error(`"${target}" is already a ${kind}`);
+    }
+    const custom = kind === null;
+    math.createUnit(target, { definition: `${usd} USD`, aliases: custom ? [] : currencyAliases(target) }, { override: !custom });
+    return { code: target, custom };
+}
+
+/**
+ * Switch the shared mathjs instance to a note's numeric type. Literals are
+ * parsed as that type, so this must be set before evaluating a line and reset
+ * to float before defining units (their values would take the type too).
+ */
+function applyPrecision(mode) {
+    const key = `${mode.number}:${mode.precision}`;
+    if (key === activePrecisionKey) return;
+    math.config({ number: mode.number, precision: mode.precision });
+    activePrecisionKey = key;
+}
+
+function parsePrecisionDirective(line) {
+    const match = line.trim().match(PRECISION_DIRECTIVE_REGEX);
+    if (!match) return null;
+
+    const kind = match[1].toLowerCase();
+    if (kind === 'float' || kind === 'number') {
+        return FLOAT_PRECISION;
+    }
+    if (kind === 'exact' || kind === 'fraction') {
+        return { number: 'Fraction', precision: DEFAULT_BIGNUMBER_DIGITS };
+    }
+    const digits = match[2] ? Math.min(Math.max(parseInt(match[2], 10), 1), MAX_BIGNUMBER_DIGITS) : DEFAULT_BIGNUMBER_DIGITS;
+    return { number: 'BigNumber', precision: digits };
+}
+
+/**
+ * Formatters and parsing rules for a number locale, cached per locale.
+ * Without a locale the historical format is kept: it-IT numbers with
+ * en-US (month-first) dates.
+ */
+function getLocaleProfile(locale) {
+    const key = locale || '';
+    let profile = localeProfiles.get(key);
+    if (profile) return profile;
+
+    if (!locale) {
+        profile = {
+            locale: null,
+            numberLocale: 'it-IT',
+            numberFormatter: NUMBER_FORMATTER,
+            dateFormatter: DATE_FORMATTER,
+            dateLocale: 'en-US',
+            hour12: true,
+            decimalComma: true,
+            region: null, // Shared currency signs ("kr") read as their first currency
+            dateParser: chrono
+        };
+    } else {
+        const decimal = new Intl.NumberFormat(locale).formatToParts(1.5).find(part => part.type === 'decimal');
+        const dateOrder = new Intl.DateTimeFormat(locale).formatToParts(new Date(2020, 11, 31)).map(part => part.type);
+        profile = {
+            locale,
+            numberLocale: locale,
+            numberFormatter: new Intl.NumberFormat(locale, NUMBER_FORMAT_OPTIONS),
+            unitNumberFormatter: new Intl.NumberFormat(locale, { maximumSignificantDigits: 4 }), // Matches format({ precision: 4 })
+            dateFormatter: new Intl.DateTimeFormat(locale, DATE_FORMAT_OPTIONS),
+            dateLocale: locale,
+            hour12: undefined, // The locale's own clock
+            decimalComma: decimal?.value === ',',
+            region: new Intl.Locale(locale).maximize().region || null, // "kr" in nb-NO is NOK
+            // Day-first locales read 3/1 as the 3rd of January
+            dateParser: dateOrder.indexOf('day') < dateOrder.indexOf('month') ? chrono.en.GB : chrono
+        };
+    }
+
+    profile.fixedFormatters = new Map(); // See getFixedFormatter, getCurrencyFormatter and getDateFormatter
+    localeProfiles.set(key, profile);
+    return profile;
+}
+
+function parseLocaleDirective(line) {
+    const match = line.trim().match(LOCALE_DIRECTIVE_REGEX);
+    if (!match) return null;
+    try {
+        return Intl.getCanonicalLocales(match[1].replace(/_/g, '-'))[0];
+    } catch (e) {
+        return null; // Not a valid language tag
+    }
+}
+
+const OUTPUT_MODIFIERS = [
+    [FORMAT_MODIFIER_REGEX, (format, match) => {
+        format.notation ??= NOTATION_NAMES[match[1].toLowerCase()];
+        format.bits ??= match[2] ? parseInt(match[2], 10) : null;
+    }],
+    [FRACTION_MODIFIER_REGEX, (format) => { format.notation ??= 'fraction'; }],
+    [DECIMALS_MODIFIER_REGEX, (format, match) => { format.decimals ??= Math.min(parseInt(match[1], 10), MAX_DECIMALS); }],
+    [ROUNDING_MODIFIER_REGEX, (format, match) => {
+        format.rounding ??= { mode: match[1] ? match[1].toLowerCase() : 'nearest', step: match[2] || null };
+    }],
+    [DATE_FORMAT_MODIFIER_REGEX, (format, match) => { format.date ??= DATE_STYLE_NAMES[match[1].toLowerCase().match(/^[a-z]+/)[0]]; }],
+    [DURATION_FORMAT_MODIFIER_REGEX, (format, match) => {
+        format.duration ??= /^decimal/i.test(match[1]) ? 'decimal' : match[2] ? 'seconds' : 'clock';
+    }]
+];
+const EMPTY_OUTPUT_FORMAT = { notation: null, bits: null, decimals: null, rounding: null, date: null, duration: null };
+
+/**
+ * Strip trailing output modifiers ("in hex 32-bit", "to 2 dp", "rounded up
+ * to 0.05", "as fraction", "in ISO", "as h:mm", in any combination) from a
+ * line. Returns the remaining text and { notation, bits, decimals, rounding,
+ * date, duration }, or a null format if there were none.
+ */
+function parseOutputFormat(text) {
+    let format = null;
+    for (let matched = true; matched;) {
+        matched = false;
+        for (const [regex, apply] of OUTPUT_MODIFIERS) {
+            const match = text.match(regex);
+            if (!match) continue;
+            format = format || { ...EMPTY_OUTPUT_FORMAT };
+            apply(format, match);
+            text = text.slice(0, match.index);
+            matched = true;
+        }
+    }
+    return { text, format };
+}
+
+/**
+ * "format to 2 dp", "format in engineering notation"... sets the default
+ * output format of a note
+ */
+function parseFormatDirective(line) {
+    const match = line.trim().match(FORMAT_DIRECTIVE_REGEX);
+    if (!match) return null;
+    const { text, format } = parseOutputFormat(match[1]);
+    return text.trim() ? null : format;
+}
+
+/**
+ * "programmer 16-bit unsigned" → { bits: 16, signed: false }
+ */
+function parseProgrammerDirective(line) {
+    const match = line.trim().match(PROGRAMMER_DIRECTIVE_REGEX);
+    if (!match) return null;
+    return {
+        bits: match[1] ? parseInt(match[1], 10) : DEFAULT_WORD_BITS,
+        signed: match[2]?.toLowerCase() !== 'unsigned'
+    };
+}
+
+function parseHolidaysDirective(line) {
+    const match = line.trim().match(HOLIDAYS_DIRECTIVE_REGEX);
+    return match ? match[1] : null;
+}
+
+// "weekend fri sat" → [5, 6]; null unless every word is a weekday
+function parseWeekendDirective(line) {
+    const match = line.trim().match(WEEKEND_DIRECTIVE_REGEX);
+    if (!match) return null;
+    if (match[1].toLowerCase() === 'none') return [];
+
+    const words = match[1].toLowerCase().split(/[\s,&]+|\band\b/).filter(Boolean);
+    const days = words.map(word => WEEKDAY_NAMES.findIndex(name => word.length >= 3 && name.startsWith(word)));
+    if (days.includes(-1) || new Set(days).size === WEEKDAY_NAMES.length) return null; // Not a weekend, or no workdays
+    return [...new Set(days)];
+}
+
+// "working hours 8:30-17" → [510, 1020] in minutes after midnight; null if they don't end after they start
+function parseWorkingHoursDirective(line) {
+    const match = line.trim().match(WORKING_HOURS_DIRECTIVE_REGEX);
+    return match ? parseHourRange(match.slice(1, 7)) : null;
+}
+
+// Hour, minute and am/pm of a start and an end ("8:30", "5pm") → [start, end] in minutes after midnight; null unless end is later
+function parseHourRange([startHour, startMinute, startMeridiem, endHour, endMinute, endMeridiem]) {
+    const minutes = (hour, minute, meridiem) => {
+        let h = parseInt(hour, 10) % (meridiem ? 12 : 24);
+        if (meridiem && meridiem.toLowerCase() === 'pm') h += 12;
+        return h * 60 + (minute ? parseInt(minute, 10) : 0);
+    };
+    const start = minutes(startHour, startMinute, startMeridiem);
+    const end = endHour === '24' && !endMinute ? 24 * 60 : minutes(endHour, endMinute, endMeridiem);
+    return end > start ? [start, end] : null;
+}
+
+function parseReportCurrencyDirective(line) {
+    const match = line.trim().match(REPORT_CURRENCY_DIRECTIVE_REGEX);
+    return match ? match[1] : null;
+}
+
+/**
+ * "rate EUR = 1.10 USD" → { code: 'EUR', symbol: null, amount: '1.10 USD', line }
+ * "currency GOLD (⛁) = 0.02 USD" → { code: 'GOLD', symbol: '⛁', amount: '0.02 USD', line }
+ * The amount is still note text; the Calculator normalizes it.
+ */
+function parseCurrencyDirective(line) {
+    const trimmed = line.trim();
+    const rate = trimmed.match(RATE_DIRECTIVE_REGEX);
+    if (rate) {
+        return { code: rate[1].toUpperCase(), symbol: null, amount: rate[2], line: trimmed };
+    }
+    const custom = trimmed.match(CURRENCY_DIRECTIVE_REGEX);
+    if (custom) {
+        return { code: custom[1], symbol: custom[2] || null, amount: custom[3], line: trimmed };
+    }
+    return null;
+}
+
+/**
+ * Number formatter of a locale profile with a fixed number of decimals
+ * (null keeps the usual 0-2) and an Intl notation, cached per profile
+ */
+function getFixedFormatter(profile, decimals, notation = 'standard') {
+    const key = `${notation}:${decimals}`;
+    let formatter = profile.fixedFormatters.get(key);
+    if (!formatter) {
+        formatter = new Intl.NumberFormat(profile.numberLocale, {
+            ...NUMBER_FORMAT_OPTIONS,
+            notation,
+            minimumFractionDigits: decimals ?? NUMBER_FORMAT_OPTIONS.minimumFractionDigits,
+            maximumFractionDigits: decimals ?? NUMBER_FORMAT_OPTIONS.maximumFractionDigits
+        });
+        profile.fixedFormatters.set(key, formatter);
+    }
+    return formatter;
+}
+
+/**
+ * Number formatter of a locale profile for amounts in a currency with this
+ * many minor units: up to that many decimals, none when they are zero
+ */
+function getCurrencyFormatter(profile, decimals) {
+    if (decimals === NUMBER_FORMAT_OPTIONS.maximumFractionDigits) return profile.numberFormatter;
+    const key = `currency:${decimals}`;
+    let formatter = profile.fixedFormatters.get(key);
+    if (!formatter) {
+        formatter = new Intl.NumberFormat(profile.numberLocale, { ...NUMBER_FORMAT_OPTIONS, maximumFractionDigits: decimals });
+        profile.fixedFormatters.set(key, formatter);
+    }
+    return formatter;
+}
+
+/**
+ * Date formatter of a locale profile for a date style from parseOutputFormat
+ * (null is the short numeric date) and a time of day: null for a date
+ * alone, 'minute' or 'second'
+ */
+function getDateFormatter(profile, style, time) {
+    if (!time && (!style || style === 'short' || style === 'date')) return profile.dateFormatter;
+    const key = `date:${style}:${time}`;
+    let formatter = profile.fixedFormatters.get(key);
+    if (!formatter) {
+        const clock = {
+            hour: 'numeric',
+            minute: '2-digit',
+            ...(time === 'second' && { second: '2-digit' }),
+            hour12: profile.hour12
+        };
+        let options;
+        switch (style) {
+            case 'long':
+            case 'full':
+                // Intl's own styles can't be mixed with hour/minute
+                options = time
+                    ? { dateStyle: style, timeStyle: time === 'second' ? 'medium' : 'short', hour12: profile.hour12 }
+                    : { dateStyle: style };
+                break;
+            case 'weekday':
+                options = time ? { weekday: 'long', ...clock } : { weekday: 'long' };
+                break;
+            case 'time':
+                options = clock;
+                break;
+            default:
+                options = time ? { ...DATE_FORMAT_OPTIONS, ...clock } : DATE_FORMAT_OPTIONS;
+        }
+        formatter = new Intl.DateTimeFormat(profile.dateLocale, options);
+        profile.fixedFormatters.set(key, formatter);
+    }
+    return formatter;
+}
+
 // Initialize basic currencies immediately
+applyPrecision(FLOAT_PRECISION);
 initBasicCurrencies();
 initCSSUnits();
 initTemperatureUnits();
+initFinanceFunctions();
 
 async function configureCurrencies() {
     // Check if already configured or in progress first
@@ -256,6 +785,7 @@ async function configureCurrencies() {
     configurePromise = (async () => {
         try {
             // Ensure USD base unit exists first
+            applyPrecision(FLOAT_PRECISION);
             try {
                 if (!math.Unit.isValuelessUnit('USD')) {
                     math.createUnit('USD', { aliases: ['dollar', 'dollars', 'usd'] });
@@ -266,33 +796,24 @@ async function configureCurrencies() {
             
             // Fetch live rates
             await currencyService.fetchRates();
+            await currencyService.fetchAssetPrices();
             const rates = currencyService.getRates();
+            applyPrecision(FLOAT_PRECISION); // A note may have left BigNumber/Fraction active
             
             // Update all available currencies with live rates (except USD which is base)
             for (const [currency, rate] of Object.entries(rates)) {
                 if (currency === 'USD') continue; // Skip base currency
                 
                 try {
-                    const aliases = [
-                        currency.toLowerCase(),
-                        currency.toLowerCase() + 's',
-                        currency,
-                        currency + 's'
-                    ];
-                    
-                    // Create or override unit based on USD rate
-                    // API returns 1 USD = rate * Currency
-                    // So 1 Currency = (1 / rate) USD
-                    math.createUnit(currency, { 
-                        definition: `${1 / rate} USD`, 
-                        aliases 
-                    }, { override: true });
+                    defineCurrencyUnit(currency, rate);
                 } catch (e) {
                     console.warn(`Failed to configure ${currency}:`, e.message);
                 }
             }
             
             currenciesConfigured = true;
+            unitsVersion++;
+            activeCurrencyKey = null; // Note rates were overwritten; apply them again
             console.log('Currencies configured with live rates');
         } catch (e) {
             currenciesConfigured = false;
@@ -315,9 +836,56 @@ function scheduleCurrencyRetry() {
     }, CURRENCY_RETRY_DELAY);
 }
 
+/**
+ * Re-create the currency units from the currency service's current provider
+ * (after currencyService.setProvider); waits out a configuration in progress
+ */
+export function reloadCurrencies() {
+    const pending = configurePromise ? configurePromise.catch(() => {}) : Promise.resolve();
+    return pending.then(() => {
+        currenciesConfigured = false;
+        return configureCurrencies();
+    });
+}
+
 export class Calculator {
-    constructor() {
+    /**
+     * resolveNote(title) lets [[Title]] references reach other notes: it
+     * returns a Calculator that has evaluated that note, or null when no note
+     * has that title. It may throw to report a circular reference.
+     *
+     * locale drives how numbers are read and how numbers and dates are
+     * shown; a "locale xx-XX" line in the note overrides it.
+     *
+     * A "format ..." line (e.g. "format to 4 dp") sets how the note's
+     * numbers are shown; the same modifiers at the end of a line apply to
+     * that line only.
+     *
+     * A "programmer" line switches the note to integer arithmetic on BigInt
+     * wrapped to a word size, with and/or/xor/not/shl/shr as bitwise words.
+     *
+     * A "report currency EUR" line makes sum/total/avg add up each block's
+     * currency lines converted into EUR, whatever currency they are in.
+     *
+     * A "holidays IT" line dates holidays ("days until mothers day") by that
+     * region's calendar; otherwise the locale's region picks it, if it has one.
+     * Business days skip its public holidays and the weekend, which a
+     * "weekend fri sat" line changes; "working hours 8-16" sets the workday.
+     */
+    constructor({ resolveNote = null, locale = null } = {}) {
         this.scope = {};
+        this.lastTotal = 0;
+        this.locale = locale; // Number locale (e.g. 'en-US'); null keeps the historical format
+        this.profile = getLocaleProfile(locale);
+        this.precision = FLOAT_PRECISION;
+        this.outputFormat = null; // Note default from a "format ..." line
+        this.wordSize = null; // { bits, signed } in programmer mode
+        this.currencies = []; // Note rates and custom currencies, from "rate"/"currency" lines
+        this.reportCurrency = null; // Currency as written in a "report currency ..." line
+        this.holidayRegion = DEFAULT_HOLIDAY_REGION; // Calendar holiday names are dated by
+        this.workweek = DEFAULT_WORKWEEK; // Weekend, working hours and days off (see workdays.js)
+        this._currencySignPatterns = null; // Reading custom symbols ("⛁50"), see currencySignPatterns
+        this.resolveNote = resolveNote;
         this.ready = configureCurrencies();
     }
 
@@ -325,10 +893,40 @@ export class Calculator {
         await this.ready;
     }
 
+    /**
+     * Evaluate a note and return the rendered HTML result for each line.
+     * Kept for callers that only need the results column markup.
+     */
     evaluate(text) {
+        return this.evaluateLines(text).map(record => renderResultHtml(record));
+    }
+
+    /**
+     * Evaluate a note and return one structured record per line:
+     * { kind, value, unit, text, error }
+     * kind is one of 'empty', 'number', 'unit', 'currency', 'percent',
+     * 'date', 'time', 'text' or 'definition'; value is the raw number/Date/etc.
+     * (for a definition, its signature such as "markup(price, rate)").
+     *
+     * Evaluation is incremental: each line's result is cached together with
+     * the scope values it read (variables and sum/total/avg/mean/prev). On the
+     * next call a line is only re-evaluated when its text or one of those
+     * inputs changed; otherwise its cached assignments and running-total
+     * effect are replayed.
+     */
+    evaluateLines(text) {
+        return Array.from(this.iterateLines(text));
+    }
+
+    /**
+     * Generator form of evaluateLines: yields each line's record in order.
+     * The line cache is only committed once the whole note has been
+     * consumed, so callers may stop early (e.g. a newer revision arrived).
+     */
+    *iterateLines(text) {
         // Input validation
         if (typeof text !== 'string') {
-            return [];
+            return;
         }
 
         if (!currenciesConfigured) {
@@ -346,189 +944,816 @@ export class Calculator {
         if (lines.length > MAX_LINES) {
             lines.length = MAX_LINES;
         }
-        const results = [];
+        // The first precision, locale, format, programmer, report currency, holidays,
+        // weekend and working hours directives apply to the whole note, and so
+        // does every rate and currency line
+        let precision = null;
+        let locale = null;
+        let outputFormat = null;
+        let wordSize = null;
+        let reportCurrency = null;
+        let holidays = null;
+        let weekend = null;
+        let workingHours = null;
+        const currencyLines = [];
+        for (const line of lines) {
+            precision = precision || parsePrecisionDirective(line);
+            locale = locale || parseLocaleDirective(line);
+            outputFormat = outputFormat || parseFormatDirective(line);
+            wordSize = wordSize || parseProgrammerDirective(line);
+            reportCurrency = reportCurrency || parseReportCurrencyDirective(line);
+            holidays = holidays || parseHolidaysDirective(line);
+            weekend = weekend || parseWeekendDirective(line);
+            workingHours = workingHours || parseWorkingHoursDirective(line);
+            const currency = parseCurrencyDirective(line);
+            if (currency) currencyLines.push(currency);
+        }
+        // Programmer mode counts in integers whatever the precision line says
+        precision = wordSize ? BIGINT_PRECISION : precision || FLOAT_PRECISION;
+        const profile = getLocaleProfile(locale || this.locale);
+        const currencies = this._readCurrencies(currencyLines, profile);
+        const region = holidayRegion(holidays) || holidayRegion(profile.region) || DEFAULT_HOLIDAY_REGION;
+        const workweek = {
+            weekend: weekend || DEFAULT_WORKWEEK.weekend,
+            hours: workingHours || DEFAULT_WORKWEEK.hours,
+            region
+        };
+        if (precision !== this.precision || profile !== this.profile ||
+            JSON.stringify([outputFormat, wordSize, currencies, reportCurrency, workweek]) !==
+            JSON.stringify([this.outputFormat, this.wordSize, this.currencies, this.reportCurrency, this.workweek])) {
+            this._lineCache = null; // Cached values have the old numeric type, format, rates or totals
+            this.precision = precision;
+            this.profile = profile;
+            this.outputFormat = outputFormat;
+            this.wordSize = wordSize;
+            this.currencies = currencies;
+            this.reportCurrency = reportCurrency;
+            this.holidayRegion = region;
+            this.workweek = workweek;
+        }
+
+        const entries = [];
+        const findCached = this._alignLineCache(lines);
         this.scope = {}; // Reset scope
+        this.refusedFunctions = new Set(); // Definitions of built-in names, already flagged
+        this.lastRunStats = { evaluated: 0, reused: 0 };
         
-        let runningSum = 0;
-        let runningCount = 0;
-        let previousResult = 0;
-        let hasPreviousResult = false;
+        const state = {
+            runningSum: 0,
+            runningCount: 0,
+            currencySum: null, // The block's currency lines, in any currency (see _blockSum)
+            currencyCount: 0,
+            previousResult: 0,
+            hasPreviousResult: false
+        };
+
+        let lastTotal = 0;
+        for (let index = 0; index < lines.length; index++) {
+            const line = lines[index];
+            // Another note may have run since the last line (streaming, references)
+            applyNoteCurrencies(this.currencies);
+            applyPrecision(precision);
+            this._injectAggregates(state);
+
+            let entry = findCached(index);
+            if (entry && entry.line === line && this._canReuse(entry)) {
+                this._replay(entry, state);
+                this.lastRunStats.reused++;
+            } else {
+                entry = this._evaluateLine(line, state);
+                this.lastRunStats.evaluated++;
+            }
+            entries.push(entry);
+            // Trailing blank lines reset the running sum; the note's total is the last block's
+            if (line.trim()) lastTotal = this._blockSum(state).sum;
+            yield entry.record;
+        }
+
+        this._lineCache = { lines, entries, unitsVersion };
+        this.lastTotal = lastTotal;
+        applyPrecision(FLOAT_PRECISION);
+    }
+
+    /**
+     * What another note sees through [[Title]].name after this note was
+     * evaluated. Without a name (or for total/sum) it is the note's final
+     * running total; unknown names return undefined.
+     */
+    noteValue(name = null) {
+        if (!name || name === 'total' || name === 'sum') {
+            return this.lastTotal;
+        }
+        const key = name.replace(/^\$/, '_');
+        if (AGGREGATE_NAMES.includes(key) || !Object.prototype.hasOwnProperty.call(this.scope, key)) {
+            return undefined;
+        }
+        return this.scope[key];
+    }
+
+    /**
+     * Drop all cached line results (e.g. after unit definitions change)
+     */
+    invalidate() {
+        this._lineCache = null;
+    }
+
+    _alignLineCache(lines) {
+        const cache = this._lineCache;
+        if (!cache || cache.unitsVersion !== unitsVersion) {
+            return () => null;
+        }
+
+        // Match unchanged lines above and below the edited region so that
+        // inserting or deleting lines keeps the cache for everything else
+        const oldLines = cache.lines;
+        const maxShared = Math.min(oldLines.length, lines.length);
+        let prefix = 0;
+        while (prefix < maxShared && oldLines[prefix] === lines[prefix]) prefix++;
+        let suffix = 0;
+        while (suffix < maxShared - prefix &&
+               oldLines[oldLines.length - 1 - suffix] === lines[lines.length - 1 - suffix]) suffix++;
+
+        const shift = oldLines.length - lines.length;
+        return (index) => {
+            if (index < prefix) return cache.entries[index];
+            if (index >= lines.length - suffix) return cache.entries[index + shift];
+            // Edited region: same position is still a candidate if the text matches
+            return cache.entries[index] || null;
+        };
+    }
+
+    _injectAggregates(state) {
+        const { sum: runningSum, count: runningCount } = this._blockSum(state);
+        this.scope['sum'] = runningSum;
+        this.scope['total'] = runningSum;
+        // avg/mean might fail if runningSum is Unit and we divide by number?
+        // math.divide(10 USD, 2) = 5 USD. It works.
+        try {
+            this.scope['avg'] = runningCount > 0 ? math.divide(runningSum, runningCount) : 0;
+            this.scope['mean'] = runningCount > 0 ? math.divide(runningSum, runningCount) : 0;
+        } catch (e) {
+            this.scope['avg'] = 0;
+            this.scope['mean'] = 0;
+        }
+        this.scope['prev'] = state.hasPreviousResult ? state.previousResult : 0;
+    }
+
+    /**
+     * The block's sum and how many lines went into it: the running sum, or
+     * with a report currency the block's currency lines converted into it
+     * (plain numbers and other units are left out)
+     */
+    _blockSum(state) {
+        const report = this._reportCurrencyCode();
+        if (report && state.currencySum) {
+            try {
+                return { sum: math.to(state.currencySum, report), count: state.currencyCount };
+            } catch (e) {
+                // The currency is gone (note definitions changed); keep the running sum
+            }
+        }
+        return { sum: state.runningSum, count: state.runningCount };
+    }
+
+    /**
+     * Unit name of the note's report currency (or another written one), or
+     * null if there is none or it is not a known currency
+     */
+    _reportCurrencyCode(written = this.reportCurrency) {
+        const code = written && resolveCurrencyName(written);
+        return code && isCurrencyCode(code) && math.Unit.isValuelessUnit(code) ? code : null;
+    }
+
+    _canReuse(entry) {
+        if (entry.volatile) return false;
+        for (const [name, value] of entry.reads) {
+            if (!sameValue(this.scope[name], value)) return false;
+        }
+        return true;
+    }
+
+    _replay(entry, state) {
+        for (const [name, value] of entry.writes) {
+            this.scope[name] = value;
+        }
+        this._applyEffect(state, entry.effect);
+    }
+
+    _applyEffect(state, effect) {
+        if (!effect) return;
+
+        if (effect.type === 'reset') {
+            state.runningSum = 0;
+            state.runningCount = 0;
+            state.currencySum = null;
+            state.currencyCount = 0;
+            return;
+        }
+
+        const result = effect.value;
+        if (isCurrencyAmount(result)) {
+            // Kept apart from the running sum, which restarts when numbers and units mix
+            try {
+                state.currencySum = state.currencySum ? math.add(state.currencySum, result) : result;
+                state.currencyCount++;
+            } catch (e) {
+                // A currency the note no longer defines
+            }
+        }
+        if (isNumeric(result)) {
+            if (isNumeric(state.runningSum)) {
+                // The first value keeps its type, so programmer mode sums stay BigInt
+                state.runningSum = typeof result === typeof state.runningSum && typeof result !== 'object'
+                    ? state.runningSum + result
+                    : state.runningSum === 0 ? result : math.add(state.runningSum, result);
+            } else if (state.runningSum && state.runningSum.isUnit) {
+                // If runningSum is Unit and result is number, reset sum to number
+                state.runningSum = result;
+            }
+        } else if (state.runningSum === 0) {
+            state.runningSum = result;
+        } else if (state.runningSum && state.runningSum.isUnit) {
+            try {
+                state.runningSum = math.add(state.runningSum, result);
+            } catch (e) {
+                // Incompatible units (e.g. USD + kg) - start new sum
+                state.runningSum = result;
+            }
+        } else {
+            // runningSum is number, result is Unit - start new sum
+            state.runningSum = result;
+        }
+        state.runningCount++;
+        state.previousResult = result;
+        state.hasPreviousResult = true;
+    }
+
+    /**
+     * Evaluate a single line against the current scope and running state.
+     * Returns a cache entry: the record plus what the line read and wrote.
+     */
+    _evaluateLine(line, state) {
+        let trimmed = line.trim();
+        
+        if (!trimmed) {
+            const effect = { type: 'reset' };
+            this._applyEffect(state, effect);
+            return makeEntry(line, emptyRecord(), { effect });
+        }
+
+        // Skip comments (lines starting with #)
+        if (trimmed.startsWith('#')) {
+            return makeEntry(line, emptyRecord());
+        }
+
+        // Skip lines starting with //
+        if (trimmed.startsWith('//')) {
+            return makeEntry(line, emptyRecord());
+        }
+
+        // Precision, locale, format and programmer directives were applied to the whole note already
+        if (PRECISION_DIRECTIVE_REGEX.test(trimmed) || parseLocaleDirective(trimmed) ||
+            parseFormatDirective(trimmed) || PROGRAMMER_DIRECTIVE_REGEX.test(trimmed)) {
+            return makeEntry(line, emptyRecord());
+        }
+        // So were rate and currency lines; say why one could not be
+        if (parseCurrencyDirective(trimmed)) {
+            const error = noteCurrencyErrors.get(trimmed);
+            return makeEntry(line, emptyRecord(error ? makeDiagnostic('currency-definition', error) : null));
+        }
+        const reportCurrency = parseReportCurrencyDirective(trimmed);
+        if (reportCurrency) {
+            const known = this._reportCurrencyCode(reportCurrency);
+            return makeEntry(line, emptyRecord(known ? null : makeDiagnostic('unknown-currency', `Unknown currency "${reportCurrency}"`)));
+        }
+        const holidays = parseHolidaysDirective(trimmed);
+        if (holidays) {
+            const known = holidayRegion(holidays);
+            return makeEntry(line, emptyRecord(known ? null : makeDiagnostic('unknown-calendar', `No holiday calendar for "${holidays}"`)));
+        }
+        if (parseWeekendDirective(trimmed)) {
+            return makeEntry(line, emptyRecord());
+        }
+        if (WORKING_HOURS_DIRECTIVE_REGEX.test(trimmed)) {
+            const valid = parseWorkingHoursDirective(trimmed);
+            return makeEntry(line, emptyRecord(valid ? null : makeDiagnostic('working-hours', 'Working hours must end after they start')));
+        }
+
+        // Check for timezone query first (e.g., "PST time", "time in Berlin", "New York time")
+        // Clock readings change every minute, so these lines are never cached
+        const timezoneResult = this._evaluateTimezone(trimmed);
+        if (timezoneResult !== null) {
+            return makeEntry(line, this._describeResult(timezoneResult), { volatile: true });
+        }
+
+        // Meeting planner: "overlap New York, Berlin 9-18", for today unless a day is given
+        const overlapMatch = trimmed.match(OVERLAP_REGEX);
+        const overlap = overlapMatch && this._evaluateOverlap(overlapMatch);
+        if (overlap) {
+            return makeEntry(line, overlap, { volatile: true });
+        }
+
+        // Everything below may read variables or sum/total/avg/mean/prev;
+        // snapshot every identifier on the line so the cache can detect changes
+        const names = collectIdentifiers(trimmed);
+        if (new RegExp(MINUTES_ABBREVIATION_REGEX.source).test(trimmed) && !names.includes('prev')) {
+            names.push('prev'); // "35m" is minutes after a duration, metres otherwise
+        }
+        const reads = new Map(names.map(name => [name, this.scope[name]]));
+        // Other notes can change without this line changing, so lines with
+        // [[references]] are re-evaluated on every run
+        const hasReferences = trimmed.includes('[[');
+        const boundReferences = [];
+        const finish = (record, options = {}) => {
+            boundReferences.forEach(name => delete this.scope[name]);
+            const writes = new Map();
+            for (const name of names) {
+                if (this.scope[name] !== reads.get(name)) {
+                    writes.set(name, this.scope[name]);
+                }
+            }
+            this._applyEffect(state, options.effect);
+            return makeEntry(line, record, {
+                reads,
+                writes,
+                effect: options.effect,
+                volatile: options.volatile || hasReferences || VOLATILE_FUNCTION_REGEX.test(trimmed)
+            });
+        };
+
+        // Function definitions: "markup(price, rate) = price * (1 + rate)".
+        // Checked first so the body is never mistaken for an appended result.
+        // A function reads variables from the scope it was defined in, which
+        // is new on every run, so definitions are never cached
+        const definitionMatch = trimmed.match(FUNCTION_DEFINITION_REGEX);
+        if (definitionMatch) {
+            try {
+                return finish(this._defineFunction(definitionMatch), { volatile: true });
+            } catch (e) {
+                return finish(emptyRecord(this._diagnose(e, line, trimmed)));
+            }
+        }
+
+        // Clean up trailing result " = ..."
+        trimmed = this._removeTrailingResult(trimmed);
+
+        if (hasReferences) {
+            try {
+                trimmed = this._bindReferences(trimmed, boundReferences);
+            } catch (e) {
+                return finish(emptyRecord(this._diagnose(e, line, trimmed)));
+            }
+        }
+
+        // Check for format modifiers BEFORE date parsing (in hex, in oct, to 2 dp, as fraction...)
+        // This prevents "64 in oct" being interpreted as a date (64 in October)
+        const { text: unformatted, format: lineFormat } = parseOutputFormat(trimmed);
+        trimmed = unformatted;
+        // A modifier on the line replaces the note's default format
+        const outputFormat = lineFormat || this.outputFormat;
+
+        // 0xFF_FF, 0b1010, 0o17 → decimal, before scales ("0x1B") or dates can misread them
+        trimmed = trimmed.replace(BASE_LITERAL_REGEX, literal => BigInt(literal.replace(/_/g, '')).toString());
+
+        // "mortgage $300k at 4.5% for 30 years", "IRR of -$1000, $300, $800"
+        let finance;
+        try {
+            finance = this._evaluateFinance(trimmed, outputFormat);
+        } catch (e) {
+            return finish(emptyRecord(this._diagnose(e, line, trimmed)));
+        }
+        if (finance) {
+            return finish(finance.record, { effect: finance.effect });
+        }
+
+        // "€500 in USD on 2024-03-01" converts at that day's rates; checked
+        // before date math claims the line. Rates may still be loading, so
+        // these lines are never cached
+        const historicalMatch = trimmed.match(HISTORICAL_CONVERSION_REGEX);
+        const rateDate = historicalMatch && isCurrencyCode(historicalMatch[2].toUpperCase())
+            ? this._parseRateDate(historicalMatch[3])
+            : null;
+        if (rateDate) {
+            try {
+                const { record, effect } = this._convertOnDate(historicalMatch[1], historicalMatch[2].toUpperCase(), rateDate, outputFormat);
+                return finish(record, { effect, volatile: true });
+            } catch (e) {
+                return finish(emptyRecord(this._diagnose(e, line, trimmed)), { volatile: true });
+            }
+        }
+
+        // Timesheet durations ("9:15 to 17:40", "7:40 * 2") would read as times of day
+        const clockDurations = hasClockDurations(trimmed);
+
+        // Try Date Math only if not a number format conversion ("in ISO" is a date's)
+        // Results are relative to "now", so they are not cached either
+        if ((!lineFormat || lineFormat.date) && !clockDurations) {
+            let dateResult;
+            try {
+                dateResult = this._evaluateDate(trimmed);
+            } catch (e) {
+                // "200000 business days from today": too far to count
+                return finish(emptyRecord(this._diagnose(e, line, trimmed)), { volatile: true });
+            }
+            if (dateResult !== null) {
+                return finish(this._describeResult(dateResult, outputFormat), { volatile: true });
+            }
+        }
+
+        // Preprocess for Natural Language Math
+        const normalized = this._normalizeNumbers(trimmed);
+        let processed = normalized;
+        if (this.wordSize) {
+            // Programmer mode reads and/or/xor/not/shl/shr as bitwise operators ("and" is + elsewhere)
+            BITWISE_WORDS.forEach(([regex, operator]) => { processed = processed.replace(regex, operator); });
+        }
+        processed = this._preprocess(processed);
+        
+        // Check if this is a percentage assignment (e.g., "v2 = 5%")
+        const percentAssignMatch = normalized.match(PERCENT_ASSIGN_REGEX);
+        if (percentAssignMatch) {
+            const varName = percentAssignMatch[1];
+            const percentValue = parseFloat(percentAssignMatch[2]);
+            // Store as a special percentage object
+            this.scope[varName] = { _isPercent: true, value: percentValue / 100, display: percentValue };
+            return finish(this._describeResult({ _isPercent: true, display: percentValue }));
+        }
+
+        try {
+            processed = this._normalizeExpression(processed);
+
+            // Check if this line has "in CURRENCY" pattern (any 3 letters, or a note's own currency)
+            const inCurrencyMatch = trimmed.match(IN_CURRENCY_REGEX);
+            const currency = inCurrencyMatch && resolveCurrencyName(inCurrencyMatch[1]);
+            let result;
+            let conversionError = null;
+            // "sum in EUR" adds up the block's currency lines, whatever else is in
+            // between; they are not in the scope, so these lines are never cached
+            let blockAggregate = false;
+            
+            if (currency) {
+                // Expression like "(5600 + 4%) in EUR"
+                // Remove the "in CURRENCY" part and evaluate the expression first
+                const withoutInClause = processed.replace(IN_CURRENCY_REGEX, '');
+                const aggregate = withoutInClause.trim().toLowerCase();
+                blockAggregate = Boolean(state.currencySum) && ['sum', 'total', ...AVERAGE_NAMES].includes(aggregate);
+                
+                try {
+                    const numResult = blockAggregate
+                        ? math.divide(state.currencySum, AVERAGE_NAMES.includes(aggregate) ? state.currencyCount : 1)
+                        : this._evaluateExpression(withoutInClause);
+                    
+                    // If result is a plain number, attach the currency unit
+                    if (isNumeric(numResult) && !Number.isNaN(math.number(numResult))) {
+                        result = math.unit(numResult, currency);
+                    } else if (numResult && numResult.isUnit) {
+                        // If it's already a unit, try to convert it
+                        result = numResult.to(currency);
+                    } else {
+                        // Fallback: just use the number result without unit
+                        result = numResult;
+                    }
+                } catch (e) {
+                    // Keep the error for the line diagnostic and try without the in clause
+                    conversionError = e;
+                    try {
+                        result = this._evaluateExpression(withoutInClause);
+                    } catch (e2) {
+                        throw e; // Re-throw original error
+                    }
+                }
+            } else {
+                result = this._evaluateExpression(processed);
+            }
+            
+            // A rate times a duration ("$80/h * 7:40") is an amount of money
+            result = toCurrencyAmount(result);
+
+            if (this.wordSize) {
+                // Registers wrap around: keep the result and assignments within the word size
+                result = wrapToWordSize(result, this.wordSize);
+                names.forEach(name => {
+                    this.scope[name] = wrapToWordSize(this.scope[name], this.wordSize);
+                });
+            }
+
+            if (lineFormat?.date && isNumeric(result)) {
+                // "1700000000 as date": a unix timestamp, shown as the moment it stands for
+                result = dateFromTimestamp(math.number(result));
+            }
+
+            const isInformational = /\b(sum|total|avg|mean)\b/i.test(trimmed);
+            // "irr(…)" and "cagr(…)" are rates: shown and kept out of sums like "IRR of …"
+            const isRate = isNumeric(result) && isRateFunctionCall(processed);
+            let effect = null;
+
+            if (!isInformational && !isRate) {
+                if ((isNumeric(result) && Number.isFinite(math.number(result))) ||
+                    (result && result.isUnit)) {
+                    effect = { type: 'accumulate', value: result };
+                }
+            }
+            
+            // Durations are shown as they were written ("7:40", not "7.667 hour")
+            // unless the line converts them; so are spans written in several
+            // units ("2 hours 45 minutes") and sums of durations
+            const clockLine = clockDurations || hasDurationChain(trimmed) || AGGREGATE_WORD_REGEX.test(trimmed);
+            const resultFormat = clockLine && isDuration(result) && !outputFormat?.duration && !UNIT_CONVERSION_SUFFIX_REGEX.test(trimmed)
+                ? { ...EMPTY_OUTPUT_FORMAT, ...outputFormat, duration: 'clock' }
+                : outputFormat;
+            const record = isRate ? this._describeRate(math.number(result), resultFormat) : this._describeResult(result, resultFormat);
+            if (conversionError) {
+                // Value is still shown (unconverted), flagged with why the conversion failed
+                record.error = this._diagnose(conversionError, line, processed);
+            }
+            return finish(record, { effect, volatile: blockAggregate });
+        } catch (e) {
+            // Prose lines ("Monthly budget") stay silent; attempted calculations and
+            // misspelled names get a diagnostic. Calls to a refused definition were
+            // flagged on that line already
+            const callsRefused = [...this.refusedFunctions].some(name => new RegExp(`\\b${name}\\s*\\(`).test(trimmed));
+            const error = this._diagnose(e, line, processed);
+            const lone = trimmed.match(LONE_NAME_REGEX);
+            const attempted = AMOUNT_ERROR_TYPES.has(error.type) || CALCULATION_HINT_REGEX.test(trimmed) ||
+                Boolean(lone && this._suggestName(lone[1]));
+            return finish(emptyRecord(attempted && !callsRefused ? error : null), { volatile: callsRefused });
+        }
+    }
+
+    _evaluateExpression(expression) {
+        try {
+            return math.evaluate(expression, this.scope);
+        } catch (e) {
+            // Irrational results (sqrt, trig) and huge literals have no exact
+            // fraction, negative powers and 1/0 no integer; evaluate just this
+            // expression as float instead
+            const unsupported = this.precision.number === 'Fraction' ? FRACTION_UNSUPPORTED_ERROR
+                : this.precision.number === 'bigint' ? BIGINT_UNSUPPORTED_ERROR : null;
+            if (!unsupported || !unsupported.test(e.message)) {
+                throw e;
+            }
+            applyPrecision(FLOAT_PRECISION);
+            try {
+                return math.evaluate(expression, this.scope);
+            } finally {
+                applyPrecision(this.precision);
+            }
+        }
+    }
+
+    /**
+     * Convert a currency amount at the rates in effect on an ISO date.
+     * Returns the record, with the date of the rates used after the amount,
+     * and its running-total effect.
+     */
+    _convertOnDate(sourceText, target, date, outputFormat) {
+        const amount = this._evaluateAmount(sourceText);
+        const from = amount && amount.isUnit && amount.units.length === 1 ? amount.units[0].unit.name : null;
+        if (!isCurrencyCode(from)) {
+            throw new Error('Only currency amounts can be converted at past rates');
+        }
+
+        const historical = currencyService.getHistoricalRates(date);
+        if (historical.status !== 'ok') {
+            const message = historical.status === 'loading'
+                ? `Loading exchange rates for ${date}…`
+                : `No exchange rates for ${date}`;
+            return { record: emptyRecord(makeDiagnostic('exchange-rate', message)), effect: null };
+        }
+        const missing = [from, target].find(code => !historical.rates[code]);
+        if (missing) {
+            return { record: emptyRecord(makeDiagnostic('exchange-rate', `No ${missing} rate for ${historical.date}`)), effect: null };
+        }
+
+        const value = math.multiply(
+            math.divide(amount.toNumeric(from), this._toPrecision(historical.rates[from])),
+            this._toPrecision(historical.rates[target])
+        );
+        const converted = math.unit(value, target);
+        const record = this._describeResult(converted, outputFormat);
+        record.text = `${record.text} (${this._formatDate(parseIsoDate(historical.date))} rate)`;
+        return { record, effect: { type: 'accumulate', value: converted } };
+    }
+
+    /**
+     * Financial phrases: "mortgage $300k at 4.5% for 30 years" (the monthly
+     * payment), "amortization of ..." (the payment, what it adds up to and the
+     * interest in it), "$10k at 5% for 10 years compounded monthly",
+     * "interest on ...", "$50k after 10 years of 3% inflation", "CAGR from
+     * $100 to $250 over 5 years", "NPV of -$1000, $300, $800 at 8%" and "IRR
+     * of ...". Returns the record and its running-total effect, or null for
+     * other lines.
+     */
+    _evaluateFinance(text, outputFormat) {
+        text = text.replace(LABEL_PREFIX_REGEX, ''); // "House: mortgage ..."
+        const years = (count, unit) => parseFloat(this._normalizeNumbers(count)) / (/^month/i.test(unit) ? 12 : 1);
+        const amountRecord = (value) => ({ record: this._describeResult(value, outputFormat), effect: { type: 'accumulate', value } });
+        let match;
+
+        if ((match = text.match(LOAN_REGEX))) {
+            const [, kind, principalText, rateText, count, unit] = match;
+            const { numbers: [principal], money } = moneyArguments([this._evaluateAmount(principalText)]);
+            const periods = Math.round(years(count, unit) * 12);
+            const loan = amortization(this._evaluateRate(rateText) / 12, periods, principal);
+            const { record, effect } = amountRecord(money(loan.payment));
+            record.text = `${record.text} / month`;
+            if (!/^amorti/i.test(kind)) {
+                return { record, effect };
+            }
+            const describe = (value) => this._describeResult(money(value), outputFormat).text;
+            record.text = [record.text, `${describe(loan.total)} in ${periods} payments`, `${describe(loan.interest)} interest`].join('\n');
+            return { record, effect: null };
+        }
+
+        if ((match = text.match(COMPOUND_INTEREST_REGEX))) {
+            const [, interestOnly, principalText, rateText, count, unit, compounding] = match;
+            const { numbers: [principal], money } = moneyArguments([this._evaluateAmount(principalText)]);
+            const perYear = COMPOUNDING_PERIODS[compounding?.toLowerCase() || 'yearly'];
+            const value = compound(principal, this._evaluateRate(rateText) / perYear, years(count, unit) * perYear);
+            return amountRecord(money(interestOnly ? value - principal : value));
+        }
+
+        if ((match = text.match(INFLATION_REGEX))) {
+            const [, amountText, count, rateText] = match;
+            const { numbers: [amount], money } = moneyArguments([this._evaluateAmount(amountText)]);
+            return amountRecord(money(deflate(amount, this._evaluateRate(rateText), years(count, 'years'))));
+        }
+
+        if ((match = text.match(CAGR_REGEX))) {
+            const [, startText, endText, count] = match;
+            const { numbers: [start, end] } = moneyArguments([this._evaluateAmount(startText), this._evaluateAmount(endText)]);
+            return { record: this._describeRate(cagr(start, end, years(count, 'years')), outputFormat), effect: null };
+        }
+
+        if ((match = text.match(NPV_REGEX))) {
+            const { numbers, money } = moneyArguments(this._evaluateCashFlows(match[1]));
+            return amountRecord(money(npv(this._evaluateRate(match[2]), numbers)));
+        }
+
+        if ((match = text.match(IRR_REGEX))) {
+            const { numbers } = moneyArguments(this._evaluateCashFlows(match[1]));
+            return { record: this._describeRate(irr(numbers), outputFormat), effect: null };
+        }
+        return null;
+    }
+
+    /**
+     * An amount written anywhere in a phrase ("$300k", "2 oz gold", "rent *
+     * 12"), read like a line of its own
+     */
+    _evaluateAmount(text) {
+        return this._evaluateExpression(this._normalizeExpression(this._preprocess(this._normalizeNumbers(text))));
+    }
+
+    // "4.5%" (or a percentage variable) → 0.045
+    _evaluateRate(text) {
+        return toRate(this._evaluateAmount(text));
+    }
+
+    // "-$1000, $300, $800" → the amounts; a decimal-comma note may separate them with ";"
+    _evaluateCashFlows(text) {
+        return text.split(CASH_FLOW_SEPARATOR_REGEX).map(flow => this._evaluateAmount(flow));
+    }
+
+    // A rate as a percentage record: 0.1283 → "12,83 %"
+    _describeRate(rate, outputFormat) {
+        return makeRecord('percent', rate, '%', `${this._formatNumeric(rate * 100, outputFormat)} %`);
+    }
+
+    /**
+     * "2024-03-01", or any date the note's locale reads ("1 March 2024",
+     * "3/1/2024"), as an ISO date; null if it isn't one
+     */
+    _parseRateDate(text) {
+        const date = ISO_DATE_REGEX.test(text.trim())
+            ? parseIsoDate(text.trim())
+            : this.profile.dateParser.parseDate(text);
+        return date && !Number.isNaN(date.getTime()) ? toIsoDate(date) : null;
+    }
 
-        lines.forEach((line, index) => {
-            let trimmed = line.trim();
-            
-            if (!trimmed) {
-                runningSum = 0;
-                runningCount = 0;
-                results.push('');
-                return;
-            }
+    /**
+     * Turn a mathjs exception into a line diagnostic: { type, message, column }.
+     * column (1-based, in the original line) is only known for syntax errors
+     * on lines the preprocessor left untouched.
+     */
+    _diagnose(error, line, processed) {
+        const message = error?.message || String(error);
+        let match;
+
+        if (CIRCULAR_REFERENCE_ERROR.test(message)) {
+            return makeDiagnostic('circular-reference', message);
+        }
 
-            // Skip comments (lines starting with #)
-            if (trimmed.startsWith('#')) {
-                results.push('');
-                return;
-            }
+        if (NOTE_NOT_FOUND_ERROR.test(message)) {
+            return makeDiagnostic('unknown-note', message);
+        }
 
-            // Skip lines starting with //
-            if (trimmed.startsWith('//')) {
-                results.push('');
-                return;
-            }
+        if (NOTE_VARIABLE_ERROR.test(message)) {
+            return makeDiagnostic('undefined-symbol', message);
+        }
 
-            // Check for timezone query first (e.g., "PST time", "time in Berlin", "New York time")
-            const timezoneResult = this._evaluateTimezone(trimmed);
-            if (timezoneResult !== null) {
-                results.push(this._formatResult(timezoneResult));
-                return;
+        if ((match = message.match(UNDEFINED_SYMBOL_ERROR)) || (match = message.match(UNIT_NOT_FOUND_ERROR))) {
+            // $VAR is rewritten to _VAR for mathjs; show the name as typed
+            const name = match[1].replace(/^_(?=[A-Z])/, '$');
+            if (isAsset(name.toUpperCase())) {
+                return makeDiagnostic('exchange-rate', `No price known for ${name.toUpperCase()}`);
             }
-
-            // Inject dynamic tokens
-            this.scope['sum'] = runningSum;
-            this.scope['total'] = runningSum;
-            // avg/mean might fail if runningSum is Unit and we divide by number?
-            // math.divide(10 USD, 2) = 5 USD. It works.
-            try {
-                this.scope['avg'] = runningCount > 0 ? math.divide(runningSum, runningCount) : 0;
-                this.scope['mean'] = runningCount > 0 ? math.divide(runningSum, runningCount) : 0;
-            } catch (e) {
-                this.scope['avg'] = 0;
-                this.scope['mean'] = 0;
+            if (/^[A-Z]{3}$/.test(name)) {
+                return makeDiagnostic('unknown-currency', `Unknown currency "${name}"`);
             }
-            this.scope['prev'] = hasPreviousResult ? previousResult : 0;
-
-            // Clean up trailing result " = ..."
-            trimmed = this._removeTrailingResult(trimmed);
-
-            // Check for format modifiers BEFORE date parsing (in hex, in bin, in oct, in sci)
-            // This prevents "64 in oct" being interpreted as a date (64 in October)
-            let outputFormat = null;
-            const formatMatch = trimmed.match(FORMAT_MODIFIER_REGEX);
-            if (formatMatch) {
-                outputFormat = formatMatch[1].toLowerCase();
-                trimmed = trimmed.replace(FORMAT_MODIFIER_REGEX, '');
+            if (UNIT_NOT_FOUND_ERROR.test(message)) {
+                return makeDiagnostic('unknown-unit', `Unknown unit "${name}"`);
             }
+            const suggestion = this._suggestName(name);
+            return makeDiagnostic('undefined-symbol', suggestion
+                ? `"${name}" is not defined, did you mean "${suggestion}"?`
+                : `"${name}" is not defined`);
+        }
 
-            // Try Date Math only if not a format conversion
-            if (!outputFormat) {
-                const dateResult = this._evaluateDate(trimmed);
-                if (dateResult !== null) {
-                    results.push(this._formatResult(dateResult));
-                    return;
-                }
+        if (UNIT_MISMATCH_ERROR.test(message)) {
+            return makeDiagnostic('incompatible-units', 'Incompatible units');
+        }
+
+        if (error instanceof SyntaxError) {
+            const trimmed = line.trim();
+            let column = null;
+            if (typeof error.char === 'number' && processed === trimmed) {
+                column = line.indexOf(trimmed) + Math.min(error.char, trimmed.length + 1);
             }
+            const text = message.replace(/\s*\(char \d+\)/, '');
+            return makeDiagnostic('syntax', column ? `${text} at column ${column}` : text, column);
+        }
 
-            // Preprocess for Natural Language Math
-            let processed = this._preprocess(trimmed);
-            
-            // Check if this is a percentage assignment (e.g., "v2 = 5%")
-            const percentAssignMatch = trimmed.match(PERCENT_ASSIGN_REGEX);
-            if (percentAssignMatch) {
-                const varName = percentAssignMatch[1];
-                const percentValue = parseFloat(percentAssignMatch[2]);
-                // Store as a special percentage object
-                this.scope[varName] = { _isPercent: true, value: percentValue / 100, display: percentValue };
-                results.push(this._formatResult({ _isPercent: true, display: percentValue }));
-                return;
+        return makeDiagnostic('error', message);
+    }
+
+    /**
+     * The note's variable, function or keyword that `name` is most likely a
+     * typo of ("totl" → "total"), or null if none is close
+     */
+    _suggestName(name) {
+        const typed = name.replace(/^\$/, '_');
+        let best = null;
+        let bestDistance = MAX_TYPO_DISTANCE + 1;
+        Object.keys(this.scope).forEach(candidate => {
+            if (candidate.toLowerCase() === typed.toLowerCase()) return; // "Rent" in prose is not a typo of rent
+            const limit = Math.min(MAX_TYPO_DISTANCE, Math.floor(candidate.length / 3));
+            const distance = editDistance(typed.toLowerCase(), candidate.toLowerCase());
+            if (distance <= limit && distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
             }
+        });
+        // $VAR is stored as _VAR; suggest it as typed
+        return best && best.replace(/^_(?=[A-Z])/, '$');
+    }
 
-            try {
-                // Replace unicode math symbols with standard operators
-                processed = processed.replace(/×/g, '*');  // Multiplication sign
-                processed = processed.replace(/÷/g, '/');  // Division sign
-                processed = processed.replace(/−/g, '-');  // Minus sign (unicode)
-                
-                // Formatting for mathjs - handle European number format
-                // First, handle thousands separator (1.000.000 -> 1000000)
-                processed = processed.replace(THOUSANDS_SEP_REGEX, '$1$2');
-                // Then, replace decimal comma with dot (0,75 -> 0.75)
-                processed = processed.replace(DECIMAL_COMMA_REGEX, '$1.$2');
-                
-                // Handle mixed currency/percentage operations
-                processed = this._handleMixedPercentageOps(processed);
+    /**
+     * Replace each [[Title]] / [[Title]].name with a temporary scope symbol
+     * bound to the referenced value. The symbols are recorded in `bound` so
+     * they can be dropped from the scope once the line is done.
+     */
+    _bindReferences(text, bound) {
+        return text.replace(NOTE_REFERENCE_REGEX, (match, rawTitle, name) => {
+            const title = rawTitle.trim();
+            const source = this.resolveNote ? this.resolveNote(title) : null;
+            // The source note may use other currencies and another numeric type
+            applyNoteCurrencies(this.currencies);
+            applyPrecision(this.precision);
+            if (!source) {
+                throw new Error(`No note titled "${title}"`);
+            }
 
-                // Check if this line has "in CURRENCY" pattern
-                const inCurrencyMatch = trimmed.match(/\s+in\s+([A-Z]{3})\s*$/i);
-                let result;
-                
-                if (inCurrencyMatch) {
-                    // Expression like "(5600 + 4%) in EUR"
-                    // Remove the "in CURRENCY" part and evaluate the expression first
-                    const withoutInClause = processed.replace(/\s+in\s+[A-Z]{3}\s*$/i, '');
-                    const currency = inCurrencyMatch[1].toUpperCase();
-                    
-                    try {
-                        const numResult = math.evaluate(withoutInClause, this.scope);
-                        
-                        // If result is a plain number, attach the currency unit
-                        if (typeof numResult === 'number' && !isNaN(numResult)) {
-                            result = math.unit(numResult, currency);
-                        } else if (numResult && numResult.isUnit) {
-                            // If it's already a unit, try to convert it
-                            result = numResult.to(currency);
-                        } else {
-                            // Fallback: just use the number result without unit
-                            result = numResult;
-                        }
-                    } catch (e) {
-                        // Log error and try without the in clause
-                        console.warn(`Currency conversion failed for "${trimmed}":`, e.message);
-                        try {
-                            result = math.evaluate(withoutInClause, this.scope);
-                        } catch (e2) {
-                            throw e; // Re-throw original error
-                        }
-                    }
-                } else {
-                    result = math.evaluate(processed, this.scope);
-                }
-                
-                const isInformational = /\b(sum|total|avg|mean)\b/i.test(trimmed);
-
-                if (!isInformational) {
-                    if (typeof result === 'number' && !isNaN(result) && isFinite(result)) {
-                        if (runningSum === 0 || typeof runningSum === 'number') {
-                            runningSum += result;
-                        } else if (runningSum && runningSum.isUnit) {
-                            // If runningSum is Unit and result is number, reset sum to number
-                            runningSum = result;
-                        }
-                        runningCount++;
-                        previousResult = result;
-                        hasPreviousResult = true;
-                    } else if (result && result.isUnit) {
-                        if (runningSum === 0) {
-                            runningSum = result;
-                        } else if (runningSum && runningSum.isUnit) {
-                            try {
-                                runningSum = math.add(runningSum, result);
-                            } catch (e) {
-                                // Incompatible units (e.g. USD + kg) - start new sum
-                                runningSum = result;
-                            }
-                        } else {
-                            // runningSum is number, result is Unit - start new sum
-                            runningSum = result;
-                        }
-                        runningCount++;
-                        previousResult = result;
-                        hasPreviousResult = true;
-                    }
-                }
-                
-                // Apply output format if specified
-                if (outputFormat && typeof result === 'number') {
-                    result = this._formatWithBase(result, outputFormat);
-                }
-                
-                results.push(this._formatResult(result));
-            } catch (e) {
-                console.warn(`Evaluation failed for line "${trimmed}":`, e.message);
-                results.push('');
+            const value = source.noteValue(name);
+            if (value === undefined) {
+                throw new Error(`"${name}" is not defined in "${title}"`);
             }
+
+            const symbol = `__ref${bound.length}`;
+            this.scope[symbol] = this._toPrecision(value);
+            bound.push(symbol);
+            return symbol;
         });
+    }
 
-        return results;
+    /**
+     * Convert a plain number/BigNumber/Fraction to this note's numeric type
+     */
+    _toPrecision(value) {
+        if (!isNumeric(value)) return value;
+        switch (this.precision.number) {
+            case 'BigNumber':
+                return value.isBigNumber ? value : math.bignumber(value);
+            case 'Fraction':
+                return value.isFraction ? value : math.fraction(value);
+            case 'bigint': {
+                if (typeof value === 'bigint') return value;
+                const number = math.number(value);
+                return Number.isSafeInteger(number) ? BigInt(number) : number;
+            }
+            default:
+                return math.number(value);
+        }
     }
 
     _removeTrailingResult(text) {
@@ -558,7 +1783,83 @@ export class Calculator {
         return text;
     }
 
-    _preprocess(text) {
+    /**
+     * Rewrite numbers typed in the note's locale to mathjs form
+     * (no grouping, "." as decimal point) before any other preprocessing
+     */
+    _normalizeNumbers(text, profile = this.profile) {
+        text = text.replace(SPACE_GROUP_REGEX, '$1');
+
+        if (profile.decimalComma) {
+            // First, handle thousands separator (1.000.000 -> 1000000)
+            text = text.replace(THOUSANDS_SEP_REGEX, '$1$2');
+            // Then, replace decimal comma with dot (0,75 -> 0.75)
+            return text.replace(DECIMAL_COMMA_REGEX, '$1.$2');
+        }
+
+        // 1,000,000.5 -> 1000000.5
+        return text.replace(GROUPED_NUMBER_REGEX, (match, before, number) => before + number.replace(GROUP_SEPARATOR_REGEX, ''));
+    }
+
+    /**
+     * Note currencies from its "rate" and "currency" lines, with each amount
+     * read like any other line ("$1.10", "1,10 USD" in a decimal-comma locale)
+     */
+    _readCurrencies(directives, profile) {
+        const codes = new Map(directives.filter(({ symbol }) => symbol).map(({ code, symbol }) => [symbol, code]));
+        this._currencySignPatterns = codes.size > 0
+            ? { ...currencySignPatterns([...codes.keys()].sort((a, b) => b.length - a.length)), codes }
+            : null;
+        return directives.map(({ code, symbol, amount, line }) => ({
+            code,
+            symbol,
+            line,
+            expression: this._normalizeExpression(this._preprocess(this._normalizeNumbers(amount, profile), profile))
+        }));
+    }
+
+    /**
+     * Final rewrites before handing a preprocessed expression to mathjs
+     */
+    _normalizeExpression(processed) {
+        // Replace unicode math symbols with standard operators
+        processed = processed.replace(/×/g, '*');  // Multiplication sign
+        processed = processed.replace(/÷/g, '/');  // Division sign
+        processed = processed.replace(/−/g, '-');  // Minus sign (unicode)
+        
+        // Handle mixed currency/percentage operations
+        return this._handleMixedPercentageOps(processed);
+    }
+
+    /**
+     * Define a user function from "name(a, b) = expression". The body goes
+     * through the same preprocessing as any other line, so units, currencies
+     * and percentages work inside it. Returns a 'definition' record.
+     */
+    _defineFunction(match) {
+        const [, name, rawParams, body] = match;
+        const params = rawParams.split(',').map(param => param.trim()).filter(Boolean);
+        const signature = `${name}(${params.join(', ')})`;
+
+        const reserved = reservedNameKind(name);
+        if (reserved) {
+            this.refusedFunctions.add(name);
+            return emptyRecord(makeDiagnostic('reserved-name', `"${name}" is a built-in ${reserved} and can't be redefined`));
+        }
+        if (body.includes('[[')) {
+            // Bound reference symbols only live for one line, a function body outlives it
+            return emptyRecord(makeDiagnostic('error', 'Assign [[references]] to a variable before using them in a function'));
+        }
+
+        const processedBody = this._normalizeExpression(this._preprocess(this._normalizeNumbers(body)));
+        math.evaluate(`${signature} = ${processedBody}`, this.scope);
+        return makeRecord('definition', signature, null, '');
+    }
+
+    _preprocess(text, profile = this.profile) {
+        // Durations first: "from 9:15 to 17:40" is not a "from 9:" label
+        text = this._preprocessDurations(text);
+
         // Remove "Label: " prefix (e.g. "Price: $10", "Line 1: $10")
         // Match: word characters, numbers, spaces followed by colon and space
         // Be careful not to match time like "10:30"
@@ -574,14 +1875,22 @@ export class Calculator {
         // This stores the variable in the scope for later use
         // We need to ensure variable names don't conflict with math functions or units
 
-        // Handle Currency + Scale combinations FIRST (e.g., "$2k" -> "2000 USD")
-        text = text.replace(SCALE_USD_K, (_, num) => String(parseFloat(num) * 1000) + ' USD');
-        text = text.replace(SCALE_USD_M, (_, num) => String(parseFloat(num) * 1000000) + ' USD');
-        text = text.replace(SCALE_USD_B, (_, num) => String(parseFloat(num) * 1000000000) + ' USD');
-        text = text.replace(SCALE_EUR_K, (_, num) => String(parseFloat(num) * 1000) + ' EUR');
-        text = text.replace(SCALE_EUR_M, (_, num) => String(parseFloat(num) * 1000000) + ' EUR');
-        text = text.replace(SCALE_GBP_K, (_, num) => String(parseFloat(num) * 1000) + ' GBP');
-        text = text.replace(SCALE_GBP_M, (_, num) => String(parseFloat(num) * 1000000) + ' GBP');
+        // Currency signs FIRST, moved after the amount with its scale:
+        // "$2k" -> "2k USD" (-> "2000 USD" below), "100 zł" -> "100 PLN".
+        // The note's own currency signs win ("⛁50" -> "50 GOLD"); a shared
+        // sign ("kr") is the currency of the note's region
+        if (this._currencySignPatterns) {
+            const { codes } = this._currencySignPatterns;
+            text = replaceCurrencySigns(text, this._currencySignPatterns, sign => codes.get(sign));
+        }
+        text = replaceCurrencySigns(text, CURRENCY_SIGN_PATTERNS, sign => currencyForSign(sign, profile.region));
+
+        // Precious metals are priced per troy ounce: "2 oz gold" -> "2 XAU"
+        text = text.replace(METAL_AMOUNT_REGEX, (_, amount, weight, metal) => {
+            const grams = metalWeightGrams(weight);
+            const code = metalCode(metal);
+            return grams ? `(${amount} * ${grams} / ${GRAMS_PER_TROY_OUNCE}) ${code}` : `${amount} ${code}`;
+        });
 
         // Handle scales: k (thousands), M (millions), B (billions)
         text = text.replace(SCALE_K, (_, num) => String(parseFloat(num) * 1000));
@@ -590,14 +1899,6 @@ export class Calculator {
         text = text.replace(SCALE_THOUSAND, (_, num) => String(parseFloat(num) * 1000));
         text = text.replace(SCALE_MILLION, (_, num) => String(parseFloat(num) * 1000000));
 
-        // Handle Currency Symbols (after scales)
-        // "$10" -> "10 USD" (only when $ is followed by a number)
-        text = text.replace(CURRENCY_USD, '$1 USD');
-        // "€10" -> "10 EUR"
-        text = text.replace(CURRENCY_EUR, '$1 EUR');
-        // "£10" -> "10 GBP"
-        text = text.replace(CURRENCY_GBP, '$1 GBP');
-
         // Handle "tea spoons" -> "teaspoons"
         text = text.replace(/tea\s+spoons/gi, 'teaspoons');
         text = text.replace(/table\s+spoons/gi, 'tablespoons');
@@ -687,6 +1988,7 @@ export class Calculator {
         text = text.replace(/\s+divide\s+by\s+/gi, ' / ');
         text = text.replace(/\s+divide\s+/gi, ' / ');
         text = text.replace(/\s+times\s+/gi, ' * ');
+        text = text.replace(/\s+per\s+/gi, ' / ');
         text = text.replace(/\s+mul\s+/gi, ' * ');
         text = text.replace(/\s+plus\s+/gi, ' + ');
         text = text.replace(/\s+and\s+/gi, ' + ');
@@ -748,52 +2050,61 @@ export class Calculator {
         return text;
     }
 
+    /**
+     * Rewrite durations as mathjs time units: "9:15 to 17:40" → "(505
+     * minute)", "1h20" and "7:40" → "(1 hour + 20 minute)", "2 hrs 35 min" →
+     * "(2 hours + 35 minutes)", "half an hour" → "30 minutes". A word after a
+     * duration that is not a unit or variable is a label ("45 min lunch"), and
+     * "sum of" before a list of them just adds them up.
+     */
+    _preprocessDurations(text) {
+        const clock = hasClockDurations(text);
+        const minutesAbbreviated = clock || HOURS_ABBREVIATION_REGEX.test(text) || isDuration(this.scope.prev);
+        text = text.replace(CLOCK_SPAN_REGEX, (match, ...groups) => {
+            const minutes = clockSpanMinutes(groups);
+            return minutes === null ? match : `(${minutes} minute)`;
+        });
+        text = text.replace(COMPACT_DURATION_REGEX, (_, hours, minutes) => `(${hours} hour + ${minutes} minute)`);
+        // A line that is only "7:40" (with "as decimal hours") gets here as a duration too
+        if (clock || /^\d{1,3}:[0-5]\d(?::[0-5]\d)?$/.test(text.trim())) {
+            text = text.replace(CLOCK_DURATION_REGEX, (_, hours, minutes, seconds) =>
+                `(${hours} hour + ${minutes} minute${seconds ? ` + ${seconds} second` : ''})`);
+        }
+        DURATION_WORDS.forEach(([regex, replacement]) => { text = text.replace(regex, replacement); });
+        if (!minutesAbbreviated && !DURATION_TERM_REGEX.test(text)) {
+            return text;
+        }
+
+        text = text.replace(DURATION_SUM_PREFIX_REGEX, '');
+        if (minutesAbbreviated) {
+            text = text.replace(MINUTES_ABBREVIATION_REGEX, '$1 minutes');
+        }
+        text = text.replace(DURATION_CHAIN_REGEX, chain => `(${chain.split(/\s+and\s+|\s+(?=\d)/i).join(' + ')})`);
+        return text.replace(DURATION_LABEL_REGEX, (match, duration, word) =>
+            DURATION_KEYWORDS.has(word.toLowerCase()) || word in this.scope || math.Unit.isValuelessUnit(word) ? match : duration);
+    }
 
     _preprocessHolidayKeywords(text) {
-        // Replace common holiday keywords with actual dates
-        const currentYear = new Date().getFullYear();
-        const lowerText = text.toLowerCase();
-        
-        const holidays = {
-            'christmas': `December 25, ${currentYear}`,
-            'xmas': `December 25, ${currentYear}`,
-            'new year': `January 1, ${currentYear + 1}`,
-            'new years': `January 1, ${currentYear + 1}`,
-            'halloween': `October 31, ${currentYear}`,
-            'thanksgiving': `November 28, ${currentYear}`, // Approximate, 4th Thursday of Nov
-            'easter': `April 20, ${currentYear}`, // Approximate
-        };
-        
-        for (const [keyword, replacement] of Object.entries(holidays)) {
-            // Use word boundary to avoid partial matches
-            const regex = new RegExp(`\\b${keyword}\\b`, 'gi');
-            if (regex.test(lowerText)) {
-                // Replace the keyword while preserving the rest of the expression
-                text = text.replace(regex, replacement);
-                // Don't break - replace all holidays in the expression
-            }
-        }
-        
-        return text;
+        // Replace holiday names with their next date ("christmas" -> "December 25, 2026"),
+        // or their date in the year written after them ("easter 2027"). A
+        // "Christmas gifts: $200" label stays a label
+        const label = text.match(LABEL_PREFIX_REGEX);
+        const start = label ? label[0].length : 0;
+        return text.slice(0, start) + text.slice(start).replace(HOLIDAY_KEYWORD_REGEX, (keyword) => {
+            const date = this._getHolidayDate(keyword);
+            return date ? HOLIDAY_DATE_TEXT.format(date) : keyword;
+        });
     }
 
+    /**
+     * Date of a holiday by name in the note's calendar: the next one from
+     * today, or the one in the year written after the name ("easter 2027")
+     */
     _getHolidayDate(keyword) {
-        const currentYear = new Date().getFullYear();
-        const lowerKeyword = keyword.toLowerCase().trim();
-        
-        const holidays = {
-            'christmas': new Date(currentYear, 11, 25),
-            'xmas': new Date(currentYear, 11, 25),
-            'new year': new Date(currentYear + 1, 0, 1),
-            'new years': new Date(currentYear + 1, 0, 1),
-            'newyear': new Date(currentYear + 1, 0, 1),
-            'newyears': new Date(currentYear + 1, 0, 1),
-            'halloween': new Date(currentYear, 9, 31),
-            'thanksgiving': new Date(currentYear, 10, 28),
-            'easter': new Date(currentYear, 3, 20),
-        };
-        
-        return holidays[lowerKeyword] || null;
+        const [, name, year] = keyword.trim().match(/^(.*?)(?:\s+(\d{4}))?$/);
+        return year
+            ? holidayDate(name, parseInt(year, 10), this.holidayRegion)
+            : nextHoliday(name, this.holidayRegion);
     }
 
     _evaluateDate(text) {
@@ -812,10 +2123,10 @@ export class Calculator {
         
         // Check for date difference patterns BEFORE preprocessing holidays
         // This handles: "today + christmas", "christmas - today", etc.
-        const dateKeywords = 'today|now|tomorrow|yesterday|christmas|xmas|new\\s*years?|halloween|thanksgiving|easter';
+        const dateKeywords = `today|now|tomorrow|yesterday|${HOLIDAY_KEYWORD_PATTERN}`;
         
         // Pattern for "today + christmas" style (days until holiday)
-        const todayPlusHolidayRegex = new RegExp(`^(today|now)\\s*\\+\\s*(christmas|xmas|new\\s*years?|halloween|thanksgiving|easter)$`, 'i');
+        const todayPlusHolidayRegex = new RegExp(`^(today|now)\\s*\\+\\s*(${HOLIDAY_KEYWORD_PATTERN})$`, 'i');
         const todayPlusHolidayMatch = lowerText.match(todayPlusHolidayRegex);
         if (todayPlusHolidayMatch) {
             const today = new Date();
@@ -828,7 +2139,7 @@ export class Calculator {
         }
         
         // Pattern for "christmas + today" style (also days until holiday)
-        const holidayPlusTodayRegex = new RegExp(`^(christmas|xmas|new\\s*years?|halloween|thanksgiving|easter)\\s*\\+\\s*(today|now)$`, 'i');
+        const holidayPlusTodayRegex = new RegExp(`^(${HOLIDAY_KEYWORD_PATTERN})\\s*\\+\\s*(today|now)$`, 'i');
         const holidayPlusTodayMatch = lowerText.match(holidayPlusTodayRegex);
         if (holidayPlusTodayMatch) {
             const today = new Date();
@@ -855,13 +2166,19 @@ export class Calculator {
         
         // Now preprocess holiday keywords for other patterns
         text = this._preprocessHolidayKeywords(text);
+
+        // Business days and working hours, before "days until" reads them as calendar days
+        const workdaysResult = this._evaluateWorkdays(text);
+        if (workdaysResult !== null) {
+            return workdaysResult;
+        }
         
         // Check for "UNIT until DATE" pattern (e.g., "days until christmas", "weeks until new year")
         const untilMatch = text.match(/^(days?|weeks?|months?|hours?|minutes?)\s+(?:until|to|till|before)\s+(.+)$/i);
         if (untilMatch) {
             const unit = untilMatch[1].toLowerCase();
             const dateText = untilMatch[2];
-            const targetDate = chrono.parseDate(dateText);
+            const targetDate = this.profile.dateParser.parseDate(dateText);
             if (targetDate) {
                 const now = new Date();
                 const diffMs = targetDate.getTime() - now.getTime();
@@ -899,7 +2216,7 @@ export class Calculator {
         }
         
         // First, try to see if the whole string is a date (e.g. "next friday")
-        const parsedDate = chrono.parseDate(text);
+        const parsedDate = this._parseDateTime(text);
         if (parsedDate && text.trim().length < 50) { // Sanity check length
              // If it's just a date, return formatted date
              // But wait, "next friday + 2 weeks" might parse "next friday" as date and ignore "+ 2 weeks"
@@ -916,7 +2233,7 @@ export class Calculator {
         const mathMatch = text.match(/^(.*?)\s*([+-])\s*(.*?)$/);
         if (mathMatch) {
             const [_, left, op, right] = mathMatch;
-            const date = chrono.parseDate(left);
+            const date = this._parseDateTime(left);
             if (date) {
                 // Try to parse right side as duration using mathjs
                 try {
@@ -924,11 +2241,16 @@ export class Calculator {
                     const durationUnit = math.unit(right);
                     const durationMs = durationUnit.to('milliseconds').toNumber();
                     
-                    let newTime = date.getTime();
+                    const start = date instanceof Date ? date : date.date;
+                    let newTime = start.getTime();
                     if (op === '+') newTime += durationMs;
                     if (op === '-') newTime -= durationMs;
                     
-                    return new Date(newTime);
+                    // A day plus hours ("today + 2 hours") lands on a time of day
+                    if (date instanceof Date && durationMs % DAY_MS === 0) {
+                        return new Date(newTime);
+                    }
+                    return makeDateTime(new Date(newTime), !(date instanceof Date) && date.seconds);
                 } catch (e) {
                     // Not a valid duration, maybe just normal math?
                 }
@@ -938,18 +2260,59 @@ export class Calculator {
         // Just a date?
         // Only if it parses fully or we want to show the date
         // "next friday"
-        const results = chrono.parse(text);
+        const results = this.profile.dateParser.parse(text);
         if (results.length > 0) {
             const result = results[0];
             // If the match covers most of the text
             if (result.text.length > text.length * 0.8) {
-                return result.start.date();
+                return describeParsedDate(result);
             }
         }
 
         return null;
     }
 
+    /**
+     * The first date in the text: a 'datetime' result when the text gives a
+     * time of day ("next friday 3pm"), a Date otherwise; null if there is none
+     */
+    _parseDateTime(text) {
+        const [result] = this.profile.dateParser.parse(text);
+        return result ? describeParsedDate(result) : null;
+    }
+
+    /**
+     * "10 business days from today" → that Date; "workdays between Jan 3
+     * and Mar 1" (both days count) and "working hours until Friday 5pm" →
+     * a number. Null when the text is neither, or a date can't be read.
+     */
+    _evaluateWorkdays(text) {
+        const parser = this.profile.dateParser;
+        const offset = text.match(WORKDAYS_OFFSET_REGEX);
+        if (offset) {
+            const [, count, direction = 'from', dateText = 'today'] = offset;
+            const date = parser.parseDate(dateText);
+            if (!date) return null;
+            return addWorkdays(date, parseInt(count, 10) * (direction.toLowerCase() === 'before' ? -1 : 1), this.workweek);
+        }
+
+        const count = text.match(WORKDAYS_COUNT_REGEX);
+        if (!count) return null;
+        const [, unit, until, between, and, from, to] = count;
+        const now = new Date();
+        // "until Friday" is the coming one
+        const start = until ? now : parser.parseDate(between || from);
+        const end = until ? parser.parseDate(until, now, { forwardDate: true }) : parser.parseDate(and || to);
+        if (!start || !end) return null;
+
+        if (/^hours?$/i.test(unit)) {
+            return countWorkingHours(start, end, this.workweek);
+        }
+        // Like "days until", counting "until" starts tomorrow
+        return until ? countWorkdays(new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1), end, this.workweek)
+            : countWorkdays(start, end, this.workweek);
+    }
+
     _parseDateKeyword(keyword) {
         const lowerKeyword = keyword.toLowerCase().trim().replace(/\s+/g, '');
         
@@ -971,168 +2334,321 @@ export class Calculator {
     }
 
 
-    _formatResult(result) {
+    _describeResult(result, outputFormat = null) {
         if (result === undefined || result === null || typeof result === 'function') {
-            return '';
+            return emptyRecord();
         }
         
-        let formatted = '';
-        
         // Handle percentage results
         if (result && result._isPercent) {
-            formatted = `${result.display} %`;
-            return `<span class="text-blue-600 dark:text-blue-400 font-medium">${formatted}</span>`;
+            const display = this.profile.locale ? this.profile.numberFormatter.format(result.display) : result.display;
+            return makeRecord('percent', result.display / 100, '%', `${display} %`);
         }
         
         // Handle timezone results
         if (result && result.type === 'time') {
-            const options = {
-                hour: 'numeric',
-                minute: '2-digit',
-                hour12: true
-            };
-            if (result.timezone) {
-                options.timeZone = result.timezone;
-                options.timeZoneName = 'short';
-            }
-            formatted = new Intl.DateTimeFormat('en-US', options).format(result.date);
-        } else if (result && result.type === 'timeConversion') {
+            return makeRecord('time', result.date, result.timezone, this._formatClock(result.date, result.timezone));
+        }
+        
+        if (result && result.type === 'timeConversion') {
             // Format time in target timezone
-            const options = {
-                hour: 'numeric',
-                minute: '2-digit',
-                hour12: true,
-                timeZone: result.toTimezone,
-                timeZoneName: 'short'
-            };
-            formatted = new Intl.DateTimeFormat('en-US', options).format(result.date);
-        } else if (typeof result === 'number') {
-            if (!isFinite(result)) {
-                return result === Infinity ? '∞' : result === -Infinity ? '-∞' : '';
+            return makeRecord('time', result.date, result.toTimezone, this._formatConversion(result, result.toTimezone));
+        }
+
+        // One moment in several places: "11:00 PM GMT, 8:00 AM JST (+1 day)"
+        if (result && result.type === 'worldClock') {
+            const formatted = result.timezones
+                .map(zone => result.day ? this._formatConversion(result, zone) : this._formatClock(result.date, zone))
+                .join(', ');
+            return makeRecord('time', result.date, result.timezones, formatted);
+        }
+        
+        // BigNumber/Fraction: the value is exposed as a number, the text is
+        // formatted from the exact decimal
+        if (result && (result.isBigNumber || result.isFraction)) {
+            const value = math.number(result);
+            if (!Number.isFinite(value)) {
+                return this._describeResult(value, outputFormat);
             }
-            // Format the number with separators first (using cached formatter)
-            const fullFormatted = NUMBER_FORMATTER.format(result);
-            
-            // If too long (more than ~15 chars), use scientific notation
-            if (fullFormatted.length > 15) {
-                formatted = result.toExponential(2);
-            } else {
-                formatted = fullFormatted;
+            return makeRecord('number', value, null, this._formatNumeric(result, outputFormat));
+        }
+
+        // Programmer mode integers: exact text, number value as for BigNumber
+        if (typeof result === 'bigint') {
+            return makeRecord('number', Number(result), null, this._formatNumeric(result, outputFormat));
+        }
+
+        if (typeof result === 'number') {
+            if (!isFinite(result)) {
+                if (isNaN(result)) return emptyRecord();
+                return makeRecord('number', result, null, result === Infinity ? '∞' : '-∞');
             }
-        } else if (result && result.isUnit) {
+            return makeRecord('number', result, null, this._formatNumeric(result, outputFormat));
+        }
+        
+        if (outputFormat?.duration && isDuration(result)) {
+            return makeRecord('unit', result.toNumber('h'), 'h', this._formatDuration(result, outputFormat));
+        }
+
+        if (result && result.isUnit) {
             // Check if it's a currency unit
             const unitName = result.units[0]?.unit?.name;
             
-            const currencySymbols = {
-                'EUR': '€',
-                'USD': '$',
-                'GBP': '£',
-                'JPY': '¥',
-                'CHF': 'CHF',
-                'CAD': 'CA$',
-                'AUD': 'A$'
-            };
+            const symbol = result.units.length === 1 && (noteCurrencySymbols.get(unitName) || currencySymbol(unitName));
             
-            if (unitName && currencySymbols[unitName]) {
+            if (unitName && symbol) {
                 const value = result.toNumber(unitName);
-                // Format as currency (using cached formatter)
-                const formattedNumber = NUMBER_FORMATTER.format(value);
-                
-                formatted = `${currencySymbols[unitName]} ${formattedNumber}`;
-            } else {
-                // Format other units nicely
-                formatted = result.format({ precision: 4 });
-                
-                // Prettify units
-                formatted = formatted.replace(/\^2/g, '²');
-                formatted = formatted.replace(/\^3/g, '³');
-                formatted = formatted.replace(/\binch\b/g, '″');
-                formatted = formatted.replace(/\bdeg\b/g, '°');
-                // Convert csspt back to pt for display
-                formatted = formatted.replace(/\bcsspt\b/g, 'pt');
+                // Format as currency, with at most the currency's own decimals (¥ 1.500, KWD 1,235)
+                const formattedNumber = outputFormat
+                    ? this._formatNumeric(result.toNumeric(unitName), outputFormat)
+                    : getCurrencyFormatter(this.profile, currencyDecimals(unitName)).format(toDecimalInput(result.toNumeric(unitName)));
+                return makeRecord('currency', value, unitName, `${symbol} ${formattedNumber}`);
             }
-        } else if (result instanceof Date) {
-            formatted = this._formatDate(result);
-        } else if (typeof result === 'string' && result.startsWith('sci:')) {
-            // Scientific notation result
-            formatted = result.substring(4);
-        } else {
-            formatted = result.toString();
+            
+            // Format other units nicely; an output format applies to the
+            // value in the line's own units (no automatic km/mm prefixes)
+            const formatUnitValue = outputFormat && result.value !== null;
+            let formatted = formatUnitValue
+                ? `${this._formatNumeric(result.toNumeric(), outputFormat)} ${result.formatUnits()}`
+                : (result.value && result.value.isFraction
+                    ? math.unit(math.bignumber(result.toNumeric()), result.formatUnits())
+                    : result).format({ precision: 4 });
+            
+            // Prettify units
+            formatted = formatted.replace(/\^2/g, '²');
+            formatted = formatted.replace(/\^3/g, '³');
+            formatted = formatted.replace(/\binch\b/g, '″');
+            formatted = formatted.replace(/\bdeg\b/g, '°');
+            // Convert csspt back to pt for display
+            formatted = formatted.replace(/\bcsspt\b/g, 'pt');
+            // mathjs always writes "1234.5"; show the magnitude in the note's locale
+            if (this.profile.locale && !formatUnitValue) {
+                formatted = formatted.replace(LEADING_NUMBER_REGEX, number => this.profile.unitNumberFormatter.format(Number(number)));
+            }
+            
+            const kind = isCurrencyCode(unitName) && result.units.length === 1 ? 'currency' : 'unit';
+            return makeRecord(kind, result.toNumber(), kind === 'currency' ? unitName : result.formatUnits(), formatted);
+        }
+        
+        if (result instanceof Date || (result && result.type === 'datetime')) {
+            const date = result instanceof Date ? result : result.date;
+            const time = result instanceof Date ? null : (result.seconds ? 'second' : 'minute');
+            const style = outputFormat?.date;
+            if (style === 'unix') {
+                // A day alone counts from its midnight
+                const seconds = Math.floor((time ? date : startOfDay(date)).getTime() / 1000);
+                return makeRecord('number', seconds, null, String(seconds));
+            }
+            return makeRecord('date', date, null, this._formatDate(date, style, time));
+        }
+        
+        return makeRecord('text', result, null, result.toString());
+    }
+
+    _formatNumber(num) {
+        // Format the number with separators first (using cached formatter)
+        const fullFormatted = this.profile.numberFormatter.format(toDecimalInput(num));
+        
+        // If too long (more than ~15 chars), use scientific notation;
+        // programmer mode integers are always shown in full
+        if (fullFormatted.length > 15 && typeof num !== 'bigint') {
+            return num.isBigNumber ? num.toExponential(2) : math.number(num).toExponential(2);
+        }
+        return fullFormatted;
+    }
+
+    /**
+     * A duration as hours and minutes ("38:30", "-0:45", "1:02:05" with
+     * seconds) or, for "decimal hours", as a number of hours ("38.5 h")
+     */
+    _formatDuration(duration, format) {
+        if (format.duration === 'decimal') {
+            return `${this._formatNumeric(duration.toNumeric('h'), format)} h`;
+        }
+        const seconds = Math.round(duration.toNumber('s'));
+        const total = Math.abs(seconds);
+        const minutes = String(Math.floor(total / 60) % 60).padStart(2, '0');
+        // Seconds only when there are some, unless asked for "h:mm:ss"
+        const rest = total % 60 || format.duration === 'seconds' ? `:${String(total % 60).padStart(2, '0')}` : '';
+        return `${seconds < 0 ? '-' : ''}${Math.floor(total / 3600)}:${minutes}${rest}`;
+    }
+
+    /**
+     * Format a number, BigNumber or Fraction with an output format from
+     * parseOutputFormat; without one this is _formatNumber
+     */
+    _formatNumeric(num, format) {
+        if (!format) return this._formatNumber(num);
+
+        let value = num;
+        let decimals = format.decimals;
+        if (format.rounding) {
+            // "rounded" alone rounds to the requested decimals, or to a whole number
+            const step = format.rounding.step
+                ? format.rounding.step.replace(',', this.profile.decimalComma ? '.' : '')
+                : (decimals ? `0.${'1'.padStart(decimals, '0')}` : '1');
+            value = roundToStep(value, step, format.rounding.mode);
+            decimals = decimals ?? (step.split('.')[1] || '').length;
+        }
+
+        switch (format.notation) {
+            case 'hex':
+            case 'bin':
+            case 'oct':
+                return this._formatWithBase(value, format.notation, format.bits || this.wordSize?.bits);
+            case 'sci':
+                return (value.isBigNumber ? value : math.number(value)).toExponential(decimals ?? 2);
+            case 'eng':
+                return getFixedFormatter(this.profile, decimals, 'engineering').format(toDecimalInput(value));
+            case 'fraction':
+                return formatFraction(value);
+        }
+        if (decimals === null) {
+            return this._formatNumber(value);
+        }
+        return getFixedFormatter(this.profile, decimals).format(toDecimalInput(value));
+    }
+
+    /**
+     * A date in the note's locale: short and numeric by default (8/14/15, or
+     * 8/14/15, 3:00 PM with a time of day), or in a date style from
+     * parseOutputFormat. See getDateFormatter for style and time.
+     */
+    _formatDate(date, style = null, time = null) {
+        if (style === 'iso') {
+            return time ? toIsoDateTime(date) : toIsoDate(date);
+        }
+        return getDateFormatter(this.profile, style, time).format(date);
+    }
+
+    /**
+     * Clock time in the note's locale, in a time zone with its name: "3:00 PM
+     * BST"; local time (no zone) is shown without a name
+     */
+    _formatClock(date, timeZone = null) {
+        const options = { hour: 'numeric', minute: '2-digit', hour12: this.profile.hour12 };
+        if (!timeZone) {
+            return new Intl.DateTimeFormat(this.profile.dateLocale, options).format(date);
+        }
+        const formatter = new Intl.DateTimeFormat(this.profile.dateLocale, { ...options, timeZone, timeZoneName: 'short' });
+        return formatter.formatToParts(date)
+            .map(part => part.type === 'timeZoneName' ? this._timeZoneName(date, timeZone, part.value) : part.value)
+            .join('');
+    }
+
+    /**
+     * A converted time in a zone: "8:00 AM JST (+1 day)" when it falls on
+     * another day than the time converted, "Sat 8:00 AM JST" when the line
+     * gave a day
+     */
+    _formatConversion({ date, day, dated }, timeZone) {
+        if (dated) {
+            const weekday = new Intl.DateTimeFormat(this.profile.dateLocale, { weekday: 'short', timeZone }).format(date);
+            return `${weekday} ${this._formatClock(date, timeZone)}`;
         }
+        const shift = dayShift(day, date, timeZone);
+        const time = this._formatClock(date, timeZone);
+        return shift ? `${time} (${shift > 0 ? '+' : '−'}${Math.abs(shift)} ${Math.abs(shift) === 1 ? 'day' : 'days'})` : time;
+    }
 
-        // Apply purple color
-        return `<span class="text-blue-600 dark:text-blue-400 font-medium">${formatted}</span>`;
+    // "9:00 AM – 12:00 PM EDT"
+    _formatTimeRange(start, end, timeZone) {
+        const formatter = new Intl.DateTimeFormat(this.profile.dateLocale, { hour: 'numeric', minute: '2-digit', hour12: this.profile.hour12, timeZone });
+        return `${formatter.formatRange(start, end)} ${this._timeZoneName(start, timeZone)}`;
     }
 
-    _formatDate(date) {
-        // 8/14/15 format (using cached formatter)
-        return DATE_FORMATTER.format(date);
+    /**
+     * Short name of a zone at a moment in the note's locale. Abbreviations
+     * stand in where Intl only knows an offset ("GMT+1", or "GMT" for Lisbon).
+     */
+    _timeZoneName(date, timeZone, intlName = null) {
+        const name = intlName ?? new Intl.DateTimeFormat(this.profile.dateLocale, { timeZone, timeZoneName: 'short' })
+            .formatToParts(date).find(part => part.type === 'timeZoneName').value;
+        return (GMT_OFFSET_NAME_REGEX.test(name) && timeZoneAbbreviation(timeZone, date)) || name;
     }
 
     _evaluateTimezone(text) {
         const lowerText = text.toLowerCase().trim();
         
         // Pattern: "LOCATION time" or "time in LOCATION" or just "time" or "now"
-        // Also: "2:30 pm HKT in Berlin" (time conversion)
+        // Also: "2:30 pm HKT in Berlin" (time conversion), and world clocks
+        // for several places: "time in London, Tokyo", "3pm PST in London, Tokyo and Berlin"
         
         // Check for simple "time" or "now"
         if (lowerText === 'time' || lowerText === 'now') {
             return { type: 'time', date: new Date(), timezone: null };
         }
         
-        // Pattern: "LOCATION time" (e.g., "PST time", "New York time", "Berlin time")
-        const locationTimeMatch = lowerText.match(/^(.+?)\s+time$/);
+        // Pattern: "LOCATION time" (e.g., "PST time", "New York time", "Asia/Kathmandu time")
+        const locationTimeMatch = lowerText.match(LOCATION_TIME_REGEX);
         if (locationTimeMatch) {
-            const location = locationTimeMatch[1].trim();
-            const tz = TIMEZONE_MAP[location];
+            const tz = resolveTimeZone(locationTimeMatch[1]);
             if (tz) {
                 return { type: 'time', date: new Date(), timezone: tz };
             }
         }
         
-        // Pattern: "time in LOCATION" (e.g., "time in Madrid", "time in Tokyo")
-        const timeInMatch = lowerText.match(/^(?:time|now)\s+in\s+(.+)$/);
+        // Pattern: "time in LOCATION" (e.g., "time in Madrid", "time in São Paulo, Tokyo")
+        const timeInMatch = lowerText.match(TIME_IN_REGEX);
         if (timeInMatch) {
-            const location = timeInMatch[1].trim();
-            const tz = TIMEZONE_MAP[location];
-            if (tz) {
-                return { type: 'time', date: new Date(), timezone: tz };
+            const zones = resolveTimeZoneList(timeInMatch[1]);
+            if (zones) {
+                return zones.length === 1
+                    ? { type: 'time', date: new Date(), timezone: zones[0] }
+                    : { type: 'worldClock', date: new Date(), timezones: zones };
             }
         }
         
-        // Pattern: "TIME TIMEZONE in LOCATION" (e.g., "2:30 pm HKT in Berlin")
-        const timeConversionMatch = text.match(/^(\d{1,2}(?::\d{2})?\s*(?:am|pm)?)\s+(\w+)\s+in\s+(.+)$/i);
+        // Pattern: "TIME TIMEZONE in LOCATION", on a day if given (e.g., "2:30 pm HKT in Berlin",
+        // "Friday 9am EST in Tokyo", "2026-03-29 02:30 CET in UTC", "9am New York in London, Tokyo")
+        const timeConversionMatch = text.match(TIME_CONVERSION_REGEX);
         if (timeConversionMatch) {
-            const timeStr = timeConversionMatch[1];
-            const fromTz = timeConversionMatch[2].toLowerCase();
-            const toLocation = timeConversionMatch[3].toLowerCase().trim();
-            
-            const fromTimezone = TIMEZONE_MAP[fromTz];
-            const toTimezone = TIMEZONE_MAP[toLocation];
-            
-            if (fromTimezone && toTimezone) {
-                // Parse the time
-                const parsedTime = this._parseTime(timeStr);
-                if (parsedTime) {
-                    const utcDate = this._convertLocalTimeToUtc(parsedTime, fromTimezone);
-                    if (utcDate) {
-                        return { 
-                            type: 'timeConversion', 
-                            date: utcDate, 
-                            fromTimezone, 
-                            toTimezone 
-                        };
-                    }
-                }
+            const toTimezones = resolveTimeZoneList(timeConversionMatch[2]);
+            const source = toTimezones && this._parseZonedTime(timeConversionMatch[1]);
+            if (source) {
+                const { date, fromTimezone, day, dated } = source;
+                return toTimezones.length === 1
+                    ? { type: 'timeConversion', date, fromTimezone, toTimezone: toTimezones[0], day, dated }
+                    : { type: 'worldClock', date, timezones: toTimezones, day, dated };
             }
         }
         
         return null;
     }
 
+    /**
+     * When everyone's working hours overlap: one line per window and place,
+     * in that place's time ("9:00 AM – 12:00 PM EDT"). Hours default to the
+     * note's working hours, and the note's weekend has none. Null if the day
+     * can't be read.
+     */
+    _evaluateOverlap(match) {
+        const places = match[1].split(PLACE_LIST_SEPARATOR_REGEX);
+        const zones = places.map(place => resolveTimeZone(place));
+        const unknown = places.find((place, index) => !zones[index]);
+        if (unknown) {
+            return emptyRecord(makeDiagnostic('unknown-timezone', `Unknown place "${unknown.trim()}"`));
+        }
+        const hours = match[2] ? parseHourRange(match.slice(2, 8)) : this.workweek.hours;
+        if (!hours) {
+            return emptyRecord(makeDiagnostic('working-hours', 'Working hours must end after they start'));
+        }
+        const day = match[8] ? this.profile.dateParser.parseDate(match[8]) : new Date();
+        if (!day) return null;
+
+        const windows = workingHoursOverlap(zones, day, { ...this.workweek, hours });
+        if (!windows.length) {
+            return makeRecord('time', null, zones, 'No overlap');
+        }
+        const text = windows
+            .flatMap(([start, end]) => zones.map(zone => this._formatTimeRange(start, end, zone)))
+            .join('\n');
+        return makeRecord('time', windows[0][0], zones, text);
+    }
+
     _parseTime(timeStr) {
         // Parse time like "2:30 pm", "14:30", "2pm"
-        const match = timeStr.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+        const match = timeStr.match(TIME_PARSE_REGEX);
         if (!match) return null;
         
         let hours = parseInt(match[1], 10);
@@ -1145,48 +2661,56 @@ export class Calculator {
         return { hours, minutes };
     }
 
-    _convertLocalTimeToUtc(parsedTime, fromTimezone) {
-        if (!parsedTime || !fromTimezone) {
-            return null;
-        }
-
-        try {
-            const reference = new Date();
-            const approxUtc = Date.UTC(
-                reference.getFullYear(),
-                reference.getMonth(),
-                reference.getDate(),
-                parsedTime.hours,
-                parsedTime.minutes,
-                0,
-                0
-            );
-            const guessDate = new Date(approxUtc);
-            const offsetMinutes = getTimezoneOffsetMinutes(guessDate, fromTimezone);
-            return new Date(guessDate.getTime() - offsetMinutes * 60000);
-        } catch (e) {
-            console.warn('Failed timezone conversion:', e.message);
-            return null;
+    /**
+     * "9am EST", "Friday 9am EST", "2026-03-29 02:30 CET" → the moment that
+     * wall time stands for in the zone written last: { date, fromTimezone,
+     * day, dated }. day is the wall date ({ year, month, day }, month from
+     * 0); a bare time is today, and dated says whether the text gave a day.
+     * Null without a time or a known zone.
+     */
+    _parseZonedTime(text) {
+        const words = text.trim().split(/\s+/);
+        // The zone is the last one to three words: "EST", "New York", "Rio de Janeiro"
+        for (let count = Math.min(3, words.length - 1); count >= 1; count--) {
+            const fromTimezone = resolveTimeZone(words.slice(-count).join(' '));
+            if (!fromTimezone) continue;
+
+            // The time is parsed apart from the day: chrono rejects wall times the
+            // local zone skips, like 02:30 on the night clocks go forward here
+            const whenMatch = words.slice(0, -count).join(' ').match(ZONED_TIME_REGEX);
+            const parsedTime = whenMatch && this._parseTime(whenMatch[2]);
+            if (!parsedTime) return null;
+            let dayDate = new Date();
+            if (whenMatch[1]) {
+                const [result] = this.profile.dateParser.parse(whenMatch[1]);
+                if (!result || result.text.length !== whenMatch[1].length) return null;
+                dayDate = result.start.date();
+            }
+            const day = { year: dayDate.getFullYear(), month: dayDate.getMonth(), day: dayDate.getDate() };
+            const minutes = parsedTime.hours * 60 + parsedTime.minutes;
+            const date = zonedTime(day.year, day.month, day.day, minutes, fromTimezone);
+            return { date, fromTimezone, day, dated: Boolean(whenMatch[1]) };
         }
+        return null;
     }
 
-    _formatWithBase(num, format) {
-        const intNum = Math.round(num);
+    _formatWithBase(num, format, bits = null) {
+        let intNum = typeof num === 'bigint' ? num : BigInt(Math.round(math.number(num)));
+        // With a word size negatives are shown in two's complement (-1 → 0xFF in 8 bits)
+        if (bits) {
+            intNum = BigInt.asUintN(bits, intNum);
+        }
+        const sign = intNum < 0n ? '-' : '';
+        const magnitude = intNum < 0n ? -intNum : intNum;
         switch (format) {
             case 'hex':
-            case 'hexadecimal':
-                return `0x${intNum.toString(16).toUpperCase()}`;
+                return `${sign}0x${magnitude.toString(16).toUpperCase()}`;
             case 'bin':
-            case 'binary':
-                return `0b${intNum.toString(2)}`;
+                return `${sign}0b${magnitude.toString(2)}`;
             case 'oct':
-            case 'octal':
-                return `0o${intNum.toString(8)}`;
-            case 'sci':
-            case 'scientific':
-                return num.toExponential(2);
+                return `${sign}0o${magnitude.toString(8)}`;
             default:
-                return num;
+                return String(num);
         }
     }
     
@@ -1212,31 +2736,291 @@ export class Calculator {
     }
 }
 
-function getTimezoneOffsetMinutes(date, timeZone) {
-    const formatter = new Intl.DateTimeFormat('en-US', {
-        timeZone,
-        hour12: false,
-        year: 'numeric',
-        month: '2-digit',
-        day: '2-digit',
-        hour: '2-digit',
-        minute: '2-digit',
-        second: '2-digit'
+// Calendar days from a wall date ({ year, month, day }) to the day it is in a zone at `date`: 1 for "tomorrow there"
+function dayShift({ year, month, day }, date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: 'numeric', day: 'numeric' }).formatToParts(date);
+    const part = (type) => Number(parts.find(item => item.type === type).value);
+    return Math.round((Date.UTC(part('year'), part('month') - 1, part('day')) - Date.UTC(year, month, day)) / DAY_MS);
+}
+
+// Whether a line writes durations as timesheets do: "9:15 to 17:40", "1h20", "7:40 * 2"
+function hasClockDurations(text) {
+    return [...text.matchAll(CLOCK_SPAN_REGEX)].some(match => clockSpanMinutes(match.slice(1)) !== null) ||
+        new RegExp(COMPACT_DURATION_REGEX.source, 'i').test(text) || CLOCK_ARITHMETIC_REGEX.test(text);
+}
+
+// "2 hours 45 minutes", "2 hrs 35 mins", "1 day and 4 hours": one span in several units
+function hasDurationChain(text) {
+    const words = DURATION_WORDS.reduce((result, [regex, replacement]) => result.replace(regex, replacement), text);
+    return new RegExp(DURATION_CHAIN_REGEX.source, 'i').test(words);
+}
+
+// Minutes from one clock time to the next, past midnight if need be; null
+// unless one of them is written as a time ("9 to 5" is not, "9 to 5pm" is)
+function clockSpanMinutes([startHour, startMinute, startPeriod, endHour, endMinute, endPeriod]) {
+    if (!startMinute && !endMinute && !startPeriod && !endPeriod) return null;
+    const minutes = (hour, minute, period) => {
+        let hours = parseInt(hour, 10) % (period ? 12 : 24);
+        if (period?.toLowerCase() === 'pm') hours += 12;
+        return hours * 60 + parseInt(minute || '0', 10);
+    };
+    const span = minutes(endHour, endMinute, endPeriod) - minutes(startHour, startMinute, startPeriod);
+    return span > 0 ? span : span + 24 * 60;
+}
+
+function isDuration(value) {
+    return Boolean(value && value.isUnit && value.value !== null && value.equalBase(math.unit('s')));
+}
+
+// "80 USD/h * 7.5 h" → "600 USD": units that reduce to a currency are an
+// amount of it. Money times time is an hourly rate billed: "$80 * 7:40" → "613.33 USD"
+function toCurrencyAmount(value) {
+    if (!value || !value.isUnit || value.units.length < 2) return value;
+    const currency = value.units.find(({ unit, power }) => power === 1 && isCurrencyCode(unit.name));
+    if (!currency) return value;
+    const code = currency.unit.name;
+    if (value.equalBase(math.unit(code))) return value.to(code);
+    return value.equalBase(math.unit(`${code} h`)) ? math.unit(value.toNumeric(`${code} h`), code) : value;
+}
+
+// "London, Tokyo and Berlin" → their zones; null unless every place is known
+function resolveTimeZoneList(text) {
+    const zones = text.split(PLACE_LIST_SEPARATOR_REGEX).map(place => resolveTimeZone(place));
+    return zones.every(Boolean) ? zones : null;
+}
+
+function makeRecord(kind, value, unit, text, error = null) {
+    return { kind, value, unit, text, error };
+}
+
+function emptyRecord(error = null) {
+    return makeRecord('empty', null, null, '', error);
+}
+
+function makeEntry(line, record, { reads = EMPTY_MAP, writes = EMPTY_MAP, effect = null, volatile = false } = {}) {
+    return { line, record, reads, writes, effect, volatile };
+}
+
+const EMPTY_MAP = new Map();
+
+function collectIdentifiers(text) {
+    // $VAR is stored as _VAR in scope
+    const normalized = text.replace(VARIABLE_REGEX, '_$1');
+    return [...new Set(normalized.match(IDENTIFIER_REGEX) || [])];
+}
+
+function isNumeric(value) {
+    return typeof value === 'number' || typeof value === 'bigint' || Boolean(value && (value.isBigNumber || value.isFraction));
+}
+
+/**
+ * What Intl.NumberFormat should format: numbers as-is, BigNumber/Fraction as
+ * an exact decimal string so rounding to cents is done on the exact value
+ */
+function toDecimalInput(value) {
+    if (typeof value === 'number') return value;
+    if (value && value.isFraction) return math.bignumber(value).toString();
+    return value.toString();
+}
+
+/**
+ * Round to the nearest multiple of step ('0.05', '10'), or up or down to
+ * one. Works on exact decimals so 1.1 rounded up to 0.05 stays 1.1.
+ */
+function roundToStep(value, step, mode) {
+    const exact = value.isFraction ? value : math.bignumber(value);
+    const increment = value.isFraction ? math.fraction(step) : math.bignumber(step);
+    if (math.isZero(increment)) return value;
+
+    const round = mode === 'up' ? math.ceil : mode === 'down' ? math.floor : math.round;
+    return math.multiply(round(math.divide(exact, increment)), increment);
+}
+
+/**
+ * "1 1/2" for 1.5; floats are matched to the simplest fraction within
+ * FRACTION_TOLERANCE so 0.1 + 0.2 shows as 3/10
+ */
+function formatFraction(value) {
+    const fraction = value.isFraction ? value : math.fraction(value).simplify(FRACTION_TOLERANCE);
+    return fraction.toFraction(true);
+}
+
+// Local calendar dates, so the day doesn't shift with the timezone
+function parseIsoDate(text) {
+    const [, year, month, day] = text.match(ISO_DATE_REGEX);
+    return new Date(Number(year), Number(month) - 1, Number(day), 12);
+}
+
+function toIsoDate(date) {
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// 2023-11-14T23:13:20+01:00, in local time
+function toIsoDateTime(date) {
+    const pad = (number) => String(number).padStart(2, '0');
+    const offset = -date.getTimezoneOffset();
+    const zone = `${offset < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+    return `${toIsoDate(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}${zone}`;
+}
+
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+// A moment with a known time of day; plain Dates are days (chrono puts them at noon)
+function makeDateTime(date, seconds = false) {
+    return { type: 'datetime', date, seconds };
+}
+
+// A chrono result, with its time of day if the text gave one
+function describeParsedDate(result) {
+    const date = result.start.date();
+    return result.start.isCertain('hour') ? makeDateTime(date, result.start.isCertain('second')) : date;
+}
+
+// Unix timestamps in seconds, or milliseconds when too large to be seconds
+function dateFromTimestamp(value) {
+    return makeDateTime(new Date(Math.abs(value) >= MILLISECOND_TIMESTAMP ? value : value * 1000), true);
+}
+
+function wrapToWordSize(value, { bits, signed }) {
+    if (typeof value !== 'bigint') return value;
+    return signed ? BigInt.asIntN(bits, value) : BigInt.asUintN(bits, value);
+}
+
+function sameValue(a, b) {
+    if (a === b) return true;
+    if (a && b && (a.isBigNumber || a.isFraction) && a.constructor === b.constructor) {
+        return a.equals(b);
+    }
+    if (typeof a === 'number' && typeof b === 'number') {
+        return Number.isNaN(a) && Number.isNaN(b);
+    }
+    if (a && b && a.isUnit && b.isUnit) {
+        try {
+            return a.formatUnits() === b.formatUnits() && a.equals(b);
+        } catch (e) {
+            return false;
+        }
+    }
+    if (a && b && a._isPercent && b._isPercent) {
+        return a.value === b.value;
+    }
+    return false;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Patterns reading amounts written with one of these currency signs (longest
+ * first): prefix captures (before, sign, amount) in "€50" or "R$ 2k", suffix
+ * captures (amount, sign) in "100 zł" or "50€"
+ */
+function currencySignPatterns(signs) {
+    const alternatives = signs.map(escapeRegExp).join('|');
+    return {
+        prefix: new RegExp(`(^|[^\\w])(${alternatives})\\s?(${CURRENCY_AMOUNT_PATTERN})`, 'g'),
+        suffix: new RegExp(`(${CURRENCY_AMOUNT_PATTERN})\\s?(${alternatives})(?!\\w)`, 'g')
+    };
+}
+
+// "€50" / "50€" -> "50 EUR", with codeOf(sign) giving the currency
+function replaceCurrencySigns(text, { prefix, suffix }, codeOf) {
+    return text
+        .replace(prefix, (_, before, sign, amount) => `${before}${amount} ${codeOf(sign)}`)
+        .replace(suffix, (_, amount, sign) => `${amount} ${codeOf(sign)}`);
+}
+
+// Levenshtein distance: edits that turn one name into the other
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function makeDiagnostic(type, message, column = null) {
+    return { type, message, column };
+}
+
+/**
+ * Why a user function can't take this name, or null if it can:
+ * keywords, mathjs functions and constants, currencies and units (with prefixes)
+ */
+function reservedNameKind(name) {
+    if (AGGREGATE_NAMES.includes(name)) return 'keyword';
+    if (name in math) return typeof math[name] === 'function' ? 'function' : 'constant';
+    if (isCurrencyCode(name)) return 'currency';
+    if (math.Unit.isValuelessUnit(name)) return 'unit';
+    return null;
+}
+
+/**
+ * Amounts for the financial functions: numbers in the currency of the
+ * first amount of money, if any, and `money` to give a result that
+ * currency again. Other units are an error.
+ */
+function moneyArguments(values) {
+    const currency = values.find(isCurrencyAmount)?.units[0].unit.name ?? null;
+    const numbers = values.map(value => {
+        if (value && value.isUnit) {
+            if (!isCurrencyAmount(value)) {
+                throw new Error(`Expected an amount of money, not ${value.formatUnits()}`);
+            }
+            return value.toNumber(currency);
+        }
+        return math.number(value);
     });
-    const parts = formatter.formatToParts(date);
-    const filled = {};
-    for (const { type, value } of parts) {
-        if (type !== 'literal') {
-            filled[type] = value;
-        }
-    }
-    const asUTC = Date.UTC(
-        Number(filled.year),
-        Number(filled.month) - 1,
-        Number(filled.day),
-        Number(filled.hour),
-        Number(filled.minute),
-        Number(filled.second ?? '0')
-    );
-    return (asUTC - date.getTime()) / 60000;
+    return { numbers, money: (result) => currency ? math.unit(result, currency) : result };
+}
+
+// A percentage variable ("rate = 4.5%") as well as a number: the fraction
+function toRate(value) {
+    return value && value._isPercent ? value.value : math.number(value);
+}
+
+// "npv(8%, [-1000, 300, 800])" and "npv(8%, -1000, 300, 800)" alike
+function flattenArguments(values) {
+    return values.flatMap(value => value && value.isMatrix ? math.flatten(value).toArray() : [value]);
+}
+
+// A single-currency amount ("€ 10"), as opposed to numbers and other units
+function isCurrencyAmount(value) {
+    return Boolean(value && value.isUnit && value.units.length === 1 && isCurrencyCode(value.units[0].unit.name));
+}
+
+function isCurrencyCode(name) {
+    if (!name) return false;
+    return CURRENCY_CODES.includes(name) || isAsset(name) ||
+        Object.prototype.hasOwnProperty.call(currencyService.getRates(), name) || noteCurrencySymbols.has(name);
+}
+
+/**
+ * Unit name of the currency written after "in": 3-letter codes as before
+ * (uppercased), asset tickers and metal names ("in gold"), or one of the
+ * active note's custom currencies; else null
+ */
+function resolveCurrencyName(word) {
+    if (noteCurrencySymbols.has(word)) return word;
+    if (/^[A-Za-z]{3}$/.test(word) || isAsset(word.toUpperCase())) return word.toUpperCase();
+    for (const code of noteCurrencySymbols.keys()) {
+        if (code.toLowerCase() === word.toLowerCase()) return code;
+    }
+    return metalCode(word);
+}
+
+// Grams in a metal weight ("kg" → 1000), or null for troy ounces ("oz")
+function metalWeightGrams(weight) {
+    const unit = weight.toLowerCase();
+    if (unit.startsWith('k')) return 1000;
+    if (unit.startsWith('g')) return 1;
+    return null;
 }
@@ -0,0 +1,4 @@
+// Calculator Worker - runs the calculation engine off the main thread
+import { attachEngine } from './calcEngine.js';
+
+attachEngine(self);
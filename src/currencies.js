@@ -0,0 +1,251 @@
+/**
+ * Currency Registry - the ISO 4217 currencies Numla reads and shows
+ * One entry per circulating currency code:
+ *   {
+ *     decimals,                 minor units (ISO 4217): JPY 0, EUR 2, KWD 3
+ *     symbol,                   how results are shown ("€ 10"); the code if none
+ *     signs,                    symbols read in notes before or after an amount
+ *                               ("R$50", "100 zł"); none if the code is all
+ *   }
+ * Several currencies may share a sign ("kr"); the note locale's region
+ * picks one, see currencyForSign. Crypto and precious metals are in ASSETS.
+ */
+
+export const CURRENCIES = {
+    AED: { decimals: 2 },
+    AFN: { decimals: 2 },
+    ALL: { decimals: 2 },
+    AMD: { decimals: 2 },
+    ANG: { decimals: 2 },
+    AOA: { decimals: 2 },
+    ARS: { decimals: 2 },
+    AUD: { decimals: 2, symbol: 'A$', signs: ['A$', 'AU$'] },
+    AWG: { decimals: 2 },
+    AZN: { decimals: 2, symbol: '₼', signs: ['₼'] },
+    BAM: { decimals: 2 },
+    BBD: { decimals: 2 },
+    BDT: { decimals: 2, symbol: '৳', signs: ['৳'] },
+    BGN: { decimals: 2, symbol: 'лв', signs: ['лв'] },
+    BHD: { decimals: 3 },
+    BIF: { decimals: 0 },
+    BMD: { decimals: 2 },
+    BND: { decimals: 2 },
+    BOB: { decimals: 2 },
+    BRL: { decimals: 2, symbol: 'R$', signs: ['R$'] },
+    BSD: { decimals: 2 },
+    BTN: { decimals: 2 },
+    BWP: { decimals: 2 },
+    BYN: { decimals: 2 },
+    BZD: { decimals: 2 },
+    CAD: { decimals: 2, symbol: 'CA$', signs: ['CA$'] },
+    CDF: { decimals: 2 },
+    CHF: { decimals: 2 },
+    CLP: { decimals: 0 },
+    CNY: { decimals: 2, symbol: 'CN¥', signs: ['CN¥', '元', 'RMB'] },
+    COP: { decimals: 2 },
+    CRC: { decimals: 2, symbol: '₡', signs: ['₡'] },
+    CUP: { decimals: 2 },
+    CVE: { decimals: 2 },
+    CZK: { decimals: 2, symbol: 'Kč', signs: ['Kč'] },
+    DJF: { decimals: 0 },
+    DKK: { decimals: 2, signs: ['kr'] },
+    DOP: { decimals: 2 },
+    DZD: { decimals: 2 },
+    EGP: { decimals: 2, symbol: 'E£', signs: ['E£'] },
+    ERN: { decimals: 2 },
+    ETB: { decimals: 2 },
+    EUR: { decimals: 2, symbol: '€', signs: ['€'] },
+    FJD: { decimals: 2 },
+    FKP: { decimals: 2 },
+    GBP: { decimals: 2, symbol: '£', signs: ['£'] },
+    GEL: { decimals: 2, symbol: '₾', signs: ['₾'] },
+    GHS: { decimals: 2, symbol: 'GH₵', signs: ['GH₵', '₵'] },
+    GIP: { decimals: 2 },
+    GMD: { decimals: 2 },
+    GNF: { decimals: 0 },
+    GTQ: { decimals: 2 },
+    GYD: { decimals: 2 },
+    HKD: { decimals: 2, symbol: 'HK$', signs: ['HK$'] },
+    HNL: { decimals: 2 },
+    HTG: { decimals: 2 },
+    HUF: { decimals: 2, symbol: 'Ft', signs: ['Ft'] },
+    IDR: { decimals: 2, symbol: 'Rp', signs: ['Rp'] },
+    ILS: { decimals: 2, symbol: '₪', signs: ['₪'] },
+    INR: { decimals: 2, symbol: '₹', signs: ['₹'] },
+    IQD: { decimals: 3 },
+    IRR: { decimals: 2 },
+    ISK: { decimals: 0, signs: ['kr'] },
+    JMD: { decimals: 2 },
+    JOD: { decimals: 3 },
+    JPY: { decimals: 0, symbol: '¥', signs: ['¥', '円'] },
+    KES: { decimals: 2 },
+    KGS: { decimals: 2 },
+    KHR: { decimals: 2, symbol: '៛', signs: ['៛'] },
+    KMF: { decimals: 0 },
+    KPW: { decimals: 2 },
+    KRW: { decimals: 0, symbol: '₩', signs: ['₩', '원'] },
+    KWD: { decimals: 3 },
+    KYD: { decimals: 2 },
+    KZT: { decimals: 2, symbol: '₸', signs: ['₸'] },
+    LAK: { decimals: 2, symbol: '₭', signs: ['₭'] },
+    LBP: { decimals: 2 },
+    LKR: { decimals: 2 },
+    LRD: { decimals: 2 },
+    LSL: { decimals: 2 },
+    LYD: { decimals: 3 },
+    MAD: { decimals: 2 },
+    MDL: { decimals: 2 },
+    MGA: { decimals: 2 },
+    MKD: { decimals: 2 },
+    MMK: { decimals: 2 },
+    MNT: { decimals: 2, symbol: '₮', signs: ['₮'] },
+    MOP: { decimals: 2 },
+    MRU: { decimals: 2 },
+    MUR: { decimals: 2 },
+    MVR: { decimals: 2 },
+    MWK: { decimals: 2 },
+    MXN: { decimals: 2, symbol: 'MX$', signs: ['MX$'] },
+    MYR: { decimals: 2, symbol: 'RM', signs: ['RM'] },
+    MZN: { decimals: 2 },
+    NAD: { decimals: 2 },
+    NGN: { decimals: 2, symbol: '₦', signs: ['₦'] },
+    NIO: { decimals: 2 },
+    NOK: { decimals: 2, signs: ['kr'] },
+    NPR: { decimals: 2 },
+    NZD: { decimals: 2, symbol: 'NZ$', signs: ['NZ$'] },
+    OMR: { decimals: 3 },
+    PAB: { decimals: 2 },
+    PEN: { decimals: 2 },
+    PGK: { decimals: 2 },
+    PHP: { decimals: 2, symbol: '₱', signs: ['₱'] },
+    PKR: { decimals: 2 },
+    PLN: { decimals: 2, symbol: 'zł', signs: ['zł'] },
+    PYG: { decimals: 0, symbol: '₲', signs: ['₲'] },
+    QAR: { decimals: 2 },
+    RON: { decimals: 2, symbol: 'lei', signs: ['lei'] },
+    RSD: { decimals: 2 },
+    RUB: { decimals: 2, symbol: '₽', signs: ['₽'] },
+    RWF: { decimals: 0 },
+    SAR: { decimals: 2 },
+    SBD: { decimals: 2 },
+    SCR: { decimals: 2 },
+    SDG: { decimals: 2 },
+    SEK: { decimals: 2, signs: ['kr'] },
+    SGD: { decimals: 2, symbol: 'S$', signs: ['S$'] },
+    SHP: { decimals: 2 },
+    SLE: { decimals: 2 },
+    SOS: { decimals: 2 },
+    SRD: { decimals: 2 },
+    SSP: { decimals: 2 },
+    STN: { decimals: 2 },
+    SVC: { decimals: 2 },
+    SYP: { decimals: 2 },
+    SZL: { decimals: 2 },
+    THB: { decimals: 2, symbol: '฿', signs: ['฿'] },
+    TJS: { decimals: 2 },
+    TMT: { decimals: 2 },
+    TND: { decimals: 3 },
+    TOP: { decimals: 2 },
+    TRY: { decimals: 2, symbol: '₺', signs: ['₺', 'TL'] },
+    TTD: { decimals: 2 },
+    TWD: { decimals: 2, symbol: 'NT$', signs: ['NT$'] },
+    TZS: { decimals: 2 },
+    UAH: { decimals: 2, symbol: '₴', signs: ['₴'] },
+    UGX: { decimals: 0 },
+    USD: { decimals: 2, symbol: '$', signs: ['$', 'US$'] },
+    UYU: { decimals: 2 },
+    UZS: { decimals: 2 },
+    VES: { decimals: 2 },
+    VND: { decimals: 0, symbol: '₫', signs: ['₫'] },
+    VUV: { decimals: 0 },
+    WST: { decimals: 2 },
+    XAF: { decimals: 0 },
+    XCD: { decimals: 2 },
+    XOF: { decimals: 0 },
+    XPF: { decimals: 0 },
+    YER: { decimals: 2 },
+    ZAR: { decimals: 2, symbol: 'R' }, // "R" alone is too common a letter to read in notes
+    ZMW: { decimals: 2 },
+    ZWG: { decimals: 2 }
+};
+
+/**
+ * Assets priced like currencies, with the same fields plus where their
+ * price comes from:
+ *   coin                      CoinGecko id, for crypto (see ASSET_PRICE_PROVIDERS)
+ *   metal                     precious metal name ("2 oz gold"); priced per troy ounce
+ * An entry is all it takes to add one: it becomes a unit once a rate
+ * source, a rates file or a "rate XAU = 2400 USD" line prices it.
+ */
+export const ASSETS = {
+    BTC: { decimals: 8, symbol: '₿', signs: ['₿'], coin: 'bitcoin' },
+    ETH: { decimals: 8, symbol: 'Ξ', signs: ['Ξ'], coin: 'ethereum' },
+    SOL: { decimals: 6, coin: 'solana' },
+    BNB: { decimals: 6, coin: 'binancecoin' },
+    XRP: { decimals: 6, coin: 'ripple' },
+    ADA: { decimals: 6, coin: 'cardano' },
+    DOGE: { decimals: 4, coin: 'dogecoin' },
+    LTC: { decimals: 8, coin: 'litecoin' },
+    USDT: { decimals: 2, coin: 'tether' },
+    USDC: { decimals: 2, coin: 'usd-coin' },
+    XAU: { decimals: 4, metal: 'gold' },
+    XAG: { decimals: 4, metal: 'silver' },
+    XPT: { decimals: 4, metal: 'platinum' },
+    XPD: { decimals: 4, metal: 'palladium' }
+};
+
+export const CURRENCY_CODES = Object.keys(CURRENCIES);
+export const ASSET_CODES = Object.keys(ASSETS);
+
+const SIGN_CURRENCIES = new Map(); // sign → codes that write it
+for (const [code, { signs = [] }] of [...Object.entries(CURRENCIES), ...Object.entries(ASSETS)]) {
+    for (const sign of signs) {
+        SIGN_CURRENCIES.set(sign, [...(SIGN_CURRENCIES.get(sign) || []), code]);
+    }
+}
+
+// Longest first, so "R$" and "CA$" are read before "$"
+export const CURRENCY_SIGNS = [...SIGN_CURRENCIES.keys()].sort((a, b) => b.length - a.length);
+
+export function isIsoCurrency(code) {
+    return Object.prototype.hasOwnProperty.call(CURRENCIES, code);
+}
+
+export function isAsset(code) {
+    return Object.prototype.hasOwnProperty.call(ASSETS, code);
+}
+
+function registryEntry(code) {
+    return isIsoCurrency(code) ? CURRENCIES[code] : isAsset(code) ? ASSETS[code] : null;
+}
+
+/**
+ * Symbol a result in this currency or asset is shown with, or null for
+ * codes outside the registry
+ */
+export function currencySymbol(code) {
+    const entry = registryEntry(code);
+    return entry ? entry.symbol || code : null;
+}
+
+// Decimals an amount in this currency or asset is shown with at most
+export function currencyDecimals(code) {
+    return registryEntry(code)?.decimals ?? 2;
+}
+
+// Asset code of a precious metal name ("gold" → XAU), or null
+export function metalCode(name) {
+    const lower = String(name).toLowerCase();
+    return ASSET_CODES.find(code => ASSETS[code].metal === lower) || null;
+}
+
+/**
+ * Currency a sign stands for. A shared sign goes to the currency of the
+ * given region (ISO 4217 codes start with the country: "kr" in NO → NOK),
+ * otherwise to the first one listed.
+ */
+export function currencyForSign(sign, region = null) {
+    const codes = SIGN_CURRENCIES.get(sign);
+    if (!codes) return null;
+    return (region && codes.find(code => code.startsWith(region))) || codes[0];
+}
@@ -1,12 +1,22 @@
-// Currency Service - Fetch and cache exchange rates
-// Note: HexaRate requires ?target parameter, but we can also just get all available rates
-const HEXARATE_API = 'https://api.exchangerate-api.com/v4/latest/USD'; // Free alternative with no API key needed
+// Currency Service - Fetch and cache exchange rates from the chosen provider
+import {
+    RATE_PROVIDERS,
+    DEFAULT_RATE_PROVIDER,
+    HISTORICAL_RATE_PROVIDER,
+    ASSET_PRICE_PROVIDERS,
+    loadRates,
+    parseRatesFile,
+    validateRates
+} from './rateProviders.js';
+
 const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
-const FETCH_TIMEOUT = 10000; // 10 seconds timeout
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 1000; // 1 second between retries
+const HISTORICAL_RETRY_DELAY = 60 * 1000; // Retry a failed date after a minute
+const MAX_HISTORICAL_GAP_DAYS = 7; // Weekends and holidays use the last earlier rates
 
-// Default fallback rates (approximate)
+// Default fallback rates (approximate), used until any rates were fetched;
+// the calculator's initial currency units are built from these too
 const FALLBACK_RATES = {
     USD: 1,
     EUR: 0.95,
@@ -17,27 +27,34 @@ const FALLBACK_RATES = {
     CHF: 0.88,
 };
 
-// Helper function for fetch with timeout
-async function fetchWithTimeout(url, timeout) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
-    
-    try {
-        const response = await fetch(url, { signal: controller.signal });
-        return response;
-    } finally {
-        clearTimeout(timeoutId);
-    }
-}
-
 // Helper function for delay
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+function daysBetween(from, to) {
+    return Math.round((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000));
+}
+
 class CurrencyService {
     constructor() {
         this.rates = { ...FALLBACK_RATES };
         this.lastFetch = null;
         this.fetchPromise = null;
+        // Where the current rates came from; null while they are the fallback set
+        this.source = null; // { id, name } of the provider
+        this.fetchedAt = null;
+        this.lastError = null; // Why the last fetch failed, if it did
+        this.provider = RATE_PROVIDERS[DEFAULT_RATE_PROVIDER];
+        // Crypto prices as USD-based rates, fetched apart from the provider's
+        // rates and merged into them
+        this.assetPrices = {};
+        this.assetPricesFetch = null;
+        // Historical rates: date → USD-based rates. Imported tables are kept
+        // apart from fetched ones, which belong to the current provider.
+        this.importedRates = new Map();
+        this.historicalRates = new Map();
+        this.historicalAliases = new Map(); // Requested date → date the provider answered with
+        this.historicalRequests = new Map(); // date → { status: 'loading'|'failed', at }
+        this.historicalListeners = [];
     }
 
     async fetchRates() {
@@ -51,45 +68,44 @@ class CurrencyService {
             return this.rates;
         }
 
+        const provider = this.provider;
         this.fetchPromise = (async () => {
             let lastError = null;
-            
-            for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+            // A file gives the same answer however often it is asked
+            const attempts = provider.offline ? 1 : MAX_RETRIES;
+
+            for (let attempt = 0; attempt < attempts; attempt++) {
                 try {
-                    const response = await fetchWithTimeout(HEXARATE_API, FETCH_TIMEOUT);
-                    if (!response.ok) {
-                        throw new Error(`HTTP error! status: ${response.status}`);
-                    }
-                    const data = await response.json();
-                    
-                    // ExchangeRate-API returns: { rates: { EUR: 0.95, ... } }
-                    if (data && data.rates && typeof data.rates === 'object') {
-                        // Validate rates data
-                        const validRates = { USD: 1 };
-                        for (const [currency, rate] of Object.entries(data.rates)) {
-                            if (typeof rate === 'number' && rate > 0 && isFinite(rate)) {
-                                validRates[currency] = rate;
-                            }
-                        }
-                        this.rates = validRates;
-                        this.lastFetch = Date.now();
-                        console.log('Currency rates updated from ExchangeRate-API');
-                        return this.rates;
-                    } else {
-                        throw new Error('Invalid API response format');
+                    const { rates } = await loadRates(provider);
+                    if (provider !== this.provider) {
+                        return this.rates; // Switched provider meanwhile
                     }
+                    // A rates file is the whole truth; online rates keep the asset prices
+                    this.rates = provider.offline ? rates : { ...this.assetPrices, ...rates };
+                    this.lastFetch = Date.now();
+                    this.fetchedAt = this.lastFetch;
+                    this.source = { id: provider.id, name: provider.name };
+                    this.lastError = null;
+                    console.log(`Currency rates updated from ${provider.name}`);
+                    return this.rates;
                 } catch (error) {
                     lastError = error;
                     console.warn(`Fetch attempt ${attempt + 1} failed:`, error.message);
                     
                     // Don't delay on last attempt
-                    if (attempt < MAX_RETRIES - 1) {
+                    if (attempt < attempts - 1) {
                         await delay(RETRY_DELAY * (attempt + 1)); // Exponential backoff
                     }
                 }
             }
             
-            console.warn('All fetch attempts failed, using fallback rates:', lastError?.message);
+            this.lastError = lastError?.message || 'Unknown error';
+            if (this.fetchedAt) {
+                // The last good rates beat approximate ones, however old
+                console.warn('All fetch attempts failed, keeping the last fetched rates:', this.lastError);
+                return this.rates;
+            }
+            console.warn('All fetch attempts failed, using fallback rates:', this.lastError);
             this.rates = { ...FALLBACK_RATES };
             return this.rates;
         })();
@@ -101,6 +117,35 @@ class CurrencyService {
         }
     }
 
+    /**
+     * Fetch crypto prices from ASSET_PRICE_PROVIDERS and add them to the
+     * current rates. Never throws: on failure the last known prices stay.
+     * Offline providers (rates files) bring their own prices, if any.
+     */
+    async fetchAssetPrices() {
+        if (this.provider.offline) {
+            return this.assetPrices;
+        }
+        if (this.assetPricesFetch && Date.now() - this.assetPricesFetch < CACHE_DURATION) {
+            return this.assetPrices;
+        }
+        this.assetPricesFetch = Date.now();
+
+        for (const provider of ASSET_PRICE_PROVIDERS) {
+            try {
+                const { rates } = await loadRates(provider);
+                delete rates.USD;
+                this.assetPrices = { ...this.assetPrices, ...rates };
+            } catch (error) {
+                console.warn(`Asset prices from ${provider.name} unavailable:`, error.message);
+            }
+        }
+        if (!this.provider.offline) {
+            this.rates = { ...this.rates, ...this.assetPrices };
+        }
+        return this.assetPrices;
+    }
+
     getRates() {
         return this.rates;
     }
@@ -108,6 +153,164 @@ class CurrencyService {
     getRate(currency) {
         return this.rates[currency.toUpperCase()] || null;
     }
+
+    /**
+     * The current rates and where they came from:
+     *   { provider, source, fetchedAt, rates, error }
+     * provider (id), source (name) and fetchedAt (ms) are null for the
+     * fallback rates; error tells why the last fetch failed, if it did.
+     * Pass it back to restoreRates() to reuse the rates in a later session.
+     */
+    getRatesInfo() {
+        return {
+            provider: this.source?.id || null,
+            source: this.source?.name || null,
+            fetchedAt: this.fetchedAt,
+            rates: this.rates,
+            error: this.lastError
+        };
+    }
+
+    /**
+     * Reuse rates saved from getRatesInfo(), if they came from the current
+     * provider. They count as fresh for the usual cache duration from when
+     * they were fetched; after that a failed fetch still keeps them.
+     * Returns whether they were taken.
+     */
+    restoreRates(saved) {
+        if (!saved || saved.provider !== this.provider.id) return false;
+        if (typeof saved.fetchedAt !== 'number' || !saved.rates || typeof saved.rates !== 'object') return false;
+        if (this.fetchedAt && this.fetchedAt >= saved.fetchedAt) return false;
+
+        this.rates = validateRates(saved.rates);
+        this.fetchedAt = saved.fetchedAt;
+        this.lastFetch = saved.fetchedAt;
+        this.source = { id: saved.provider, name: saved.source || this.provider.name };
+        return true;
+    }
+
+    /**
+     * Make the next fetchRates() and fetchAssetPrices() ask again even if the
+     * rates are recent
+     */
+    expireRates() {
+        this.lastFetch = null;
+        this.assetPricesFetch = null;
+    }
+
+    /**
+     * Use another rate source: a provider id from RATE_PROVIDERS or a
+     * provider object (see rateProviders.js). The next fetchRates() asks it;
+     * rates fetched by date from the previous one are dropped.
+     */
+    setProvider(provider) {
+        const next = typeof provider === 'string' ? RATE_PROVIDERS[provider] : provider;
+        if (!next) {
+            throw new Error(`Unknown exchange rate provider: ${provider}`);
+        }
+        this.provider = next;
+        this.lastFetch = null;
+        this.fetchPromise = null;
+        this.historicalRates.clear();
+        this.historicalAliases.clear();
+        this.historicalRequests.clear();
+    }
+
+    getProvider() {
+        return this.provider;
+    }
+
+    /**
+     * USD-based rates in effect on an ISO date ('2024-03-01'), synchronously:
+     *   { status: 'ok', date, rates }  date is the one the rates are from
+     *   { status: 'loading' }          asked the provider; listeners hear when it answers
+     *   { status: 'missing' }          no rates for that date (or within a week before it)
+     */
+    getHistoricalRates(date) {
+        const resolved = this.historicalAliases.get(date) || date;
+        const known = this._knownRates(resolved);
+        if (known) {
+            return { status: 'ok', date: resolved, rates: known };
+        }
+
+        const request = this.historicalRequests.get(date);
+        const canRetry = !request || (request.status === 'failed' && Date.now() - request.at > HISTORICAL_RETRY_DELAY);
+        const isPast = daysBetween(date, new Date().toISOString().slice(0, 10)) >= 0;
+        if (canRetry && isPast && this._historicalProvider()) {
+            this._fetchHistoricalRates(date);
+            return { status: 'loading' };
+        }
+        if (request?.status === 'loading') {
+            return { status: 'loading' };
+        }
+
+        // Offline or not published: the closest earlier rates
+        let closest = null;
+        for (const table of [this.importedRates, this.historicalRates]) {
+            for (const known of table.keys()) {
+                const gap = daysBetween(known, date);
+                if (gap >= 0 && gap <= MAX_HISTORICAL_GAP_DAYS && (!closest || known > closest)) {
+                    closest = known;
+                }
+            }
+        }
+        return closest
+            ? { status: 'ok', date: closest, rates: this._knownRates(closest) }
+            : { status: 'missing' };
+    }
+
+    /**
+     * Add a historical rates table (a CSV or JSON rates file, see
+     * parseRatesFile); returns how many dates it contained
+     */
+    importRatesFile(text) {
+        const table = parseRatesFile(text);
+        table.forEach((rates, date) => this.importedRates.set(date, rates));
+        if (table.size > 0) {
+            this._notifyHistoricalRates();
+        }
+        return table.size;
+    }
+
+    /**
+     * listener() is called whenever new historical rates become available
+     */
+    onHistoricalRates(listener) {
+        this.historicalListeners.push(listener);
+    }
+
+    _knownRates(date) {
+        return this.importedRates.get(date) || this.historicalRates.get(date) || null;
+    }
+
+    // The provider itself if it has past rates; offline ones never fall back
+    // to the network
+    _historicalProvider() {
+        if (this.provider.historical) return this.provider;
+        if (this.provider.offline) return null;
+        return RATE_PROVIDERS[HISTORICAL_RATE_PROVIDER];
+    }
+
+    async _fetchHistoricalRates(date) {
+        const provider = this._historicalProvider();
+        this.historicalRequests.set(date, { status: 'loading', at: Date.now() });
+        try {
+            const result = await loadRates(provider, date);
+            if (provider !== this._historicalProvider()) return;
+            const rateDate = result.date || date;
+            this.historicalRates.set(rateDate, result.rates);
+            this.historicalAliases.set(date, rateDate);
+            this.historicalRequests.delete(date);
+        } catch (error) {
+            console.warn(`Historical rates for ${date} unavailable:`, error.message);
+            this.historicalRequests.set(date, { status: 'failed', at: Date.now() });
+        }
+        this._notifyHistoricalRates();
+    }
+
+    _notifyHistoricalRates() {
+        this.historicalListeners.forEach(listener => listener());
+    }
 }
 
 // Singleton instance
@@ -0,0 +1,101 @@
+/**
+ * Financial math - loans, interest, investment returns and inflation
+ * Amounts are plain numbers in one currency; rates are fractions of a
+ * period, so 4.5% a year paid monthly is a rate of 0.045 / 12 over 12
+ * periods a year. Payments are positive amounts. Cash flows are signed
+ * (money paid out is negative), the first one today and each of the others
+ * one period after the one before.
+ */
+
+const IRR_TOLERANCE = 1e-10;
+const MAX_IRR_STEPS = 200;
+const MAX_IRR_RATE = 1e6; // 100,000,000% a period: past that there is no rate to find
+
+/**
+ * Payment per period that pays off `principal`, with interest, in
+ * `periods` equal payments
+ */
+export function payment(rate, periods, principal) {
+    checkPeriods(periods);
+    if (rate === 0) return principal / periods;
+    return principal * rate / (1 - Math.pow(1 + rate, -periods));
+}
+
+/**
+ * What the payments of a loan add up to: { payment, total, interest }
+ */
+export function amortization(rate, periods, principal) {
+    const each = payment(rate, periods, principal);
+    const total = each * periods;
+    return { payment: each, total, interest: total - principal };
+}
+
+// `amount` with compound interest at `rate` for `periods` periods
+export function compound(amount, rate, periods) {
+    return amount * Math.pow(1 + rate, periods);
+}
+
+// What `amount` due in `periods` periods is worth today, at a rate of
+// inflation (or discount) of `rate` a period
+export function deflate(amount, rate, periods) {
+    return amount / Math.pow(1 + rate, periods);
+}
+
+// Net present value of cash flows at a discount rate of `rate` a period
+export function npv(rate, flows) {
+    return flows.reduce((sum, flow, period) => sum + flow / Math.pow(1 + rate, period), 0);
+}
+
+/**
+ * Internal rate of return: the rate a period at which the flows' net
+ * present value is 0. Throws a RangeError for flows that never change sign.
+ */
+export function irr(flows) {
+    if (!flows.some(flow => flow < 0) || !flows.some(flow => flow > 0)) {
+        throw new RangeError('A rate of return needs money both paid and received');
+    }
+    // Newton's method from 10%, converging in a few steps for usual flows
+    let rate = 0.1;
+    for (let step = 0; step < MAX_IRR_STEPS; step++) {
+        const slope = flows.reduce((sum, flow, period) => sum - period * flow / Math.pow(1 + rate, period + 1), 0);
+        const next = rate - npv(rate, flows) / slope;
+        if (!Number.isFinite(next) || next <= -1) break;
+        if (Math.abs(next - rate) < IRR_TOLERANCE) return next;
+        rate = next;
+    }
+    return bisectRate(flows);
+}
+
+// Compound annual growth rate from `start` to `end` in `years` years
+export function cagr(start, end, years) {
+    checkPeriods(years);
+    if (start <= 0 || end < 0) {
+        throw new RangeError('A growth rate needs a positive start and an end of at least 0');
+    }
+    return Math.pow(end / start, 1 / years) - 1;
+}
+
+// Where Newton's method wanders off: halve a bracket around the rate
+function bisectRate(flows) {
+    let low = -0.99;
+    let high = 1;
+    while (Math.sign(npv(low, flows)) === Math.sign(npv(high, flows))) {
+        high *= 2;
+        if (high > MAX_IRR_RATE) throw new RangeError('No rate of return for these cash flows');
+    }
+    for (let step = 0; step < MAX_IRR_STEPS && high - low > IRR_TOLERANCE; step++) {
+        const middle = (low + high) / 2;
+        if (Math.sign(npv(middle, flows)) === Math.sign(npv(low, flows))) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+    return (low + high) / 2;
+}
+
+function checkPeriods(periods) {
+    if (!(periods > 0)) {
+        throw new RangeError('The number of periods must be positive');
+    }
+}
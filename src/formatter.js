@@ -0,0 +1,77 @@
+/**
+ * Result Formatter - HTML rendering for calculator line records
+ * The calculator returns plain records ({ kind, value, unit, text, error });
+ * this module is the only place that turns them into markup.
+ */
+
+const RESULT_CLASS = 'text-blue-600 dark:text-blue-400 font-medium';
+const ERROR_MARKER_CLASS = 'result-error inline-block ml-1 text-xs text-red-400/80 dark:text-red-400/70 cursor-help select-none';
+const BLOCK_CLASS = 'whitespace-pre text-sm leading-snug';
+const INTERACTIVE_CLASS = 'result-item cursor-pointer rounded-md px-1.5 inline-block transition-all duration-200 ease-out hover:bg-zinc-200/60 dark:hover:bg-zinc-700/50 hover:shadow-sm active:scale-95';
+
+// HTML escape patterns - using a map for performance
+const HTML_ESCAPE_MAP = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#039;'
+};
+const HTML_ESCAPE_REGEX = /[&<>"']/g;
+
+export function escapeHtml(unsafe) {
+  return String(unsafe).replace(HTML_ESCAPE_REGEX, char => HTML_ESCAPE_MAP[char]);
+}
+
+/**
+ * Whether a record has something to show in the results column
+ */
+export function hasDisplayValue(record) {
+  return Boolean(record && record.text);
+}
+
+/**
+ * Whether a record's text has several lines (a meeting overlap, one line
+ * per place). These show as a compact block over the lines below.
+ */
+export function isBlockResult(record) {
+  return hasDisplayValue(record) && record.text.includes('\n');
+}
+
+/**
+ * Render a single line record as a result span.
+ * Interactive spans carry the plain value for click-to-copy.
+ */
+export function renderResultHtml(record, { interactive = false } = {}) {
+  if (!hasDisplayValue(record)) {
+    return '';
+  }
+
+  const text = escapeHtml(record.text);
+  const resultClass = isBlockResult(record) ? `${RESULT_CLASS} ${BLOCK_CLASS}` : RESULT_CLASS;
+  if (!interactive) {
+    return `<span class="${resultClass}">${text}</span>`;
+  }
+  return `<span class="${resultClass} ${INTERACTIVE_CLASS}" data-value="${text}" title="Click to copy">${text}</span>`;
+}
+
+/**
+ * Render the diagnostic marker for a line that failed (or partially failed).
+ * The explanation lives in the tooltip to keep the results column quiet.
+ */
+export function renderErrorHtml(error) {
+  if (!error || !error.message) {
+    return '';
+  }
+  return `<span class="${ERROR_MARKER_CLASS}" data-error-type="${escapeHtml(error.type || 'error')}" title="${escapeHtml(error.message)}" aria-label="${escapeHtml(error.message)}">⚠</span>`;
+}
+
+/**
+ * Plain-text export of all non-empty results, one per line
+ */
+export function resultsToPlainText(records) {
+  return records
+    .filter(hasDisplayValue)
+    .map(record => record.text.trim())
+    .join('\n');
+}
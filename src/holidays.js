@@ -0,0 +1,293 @@
+/**
+ * Holiday Calendar - dates of named holidays in any year, per region
+ * Each calendar maps holiday names to a rule that gives the date in a year:
+ *   fixed(12, 25)             the same day every year
+ *   nthWeekday(11, THU, 4)    4th Thursday of November (-1: the last one)
+ *   easter(1)                 days after Easter Sunday (Gregorian)
+ * Names are lowercase, with "s" instead of "'s" ("mothers day"); notes may
+ * write them either way. COMMON_HOLIDAYS fall on the same day everywhere;
+ * a region's own calendar is asked first, so "mothers day" is in March in
+ * the UK and in May in the US.
+ * A calendar also lists its public holidays (daysOff, nationwide ones only)
+ * and where one falling on a weekend is observed:
+ *   'nearest'                 the Friday before or the Monday after (US)
+ *   'next'                    the next workday (UK substitute days)
+ *   null                      not moved
+ */
+
+const SUN = 0, MON = 1, THU = 4;
+
+const fixed = (month, day) => year => new Date(year, month - 1, day);
+
+const nthWeekday = (month, weekday, n) => year => {
+    if (n < 0) {
+        const last = new Date(year, month, 0);
+        return new Date(year, month - 1, last.getDate() - (last.getDay() - weekday + 7) % 7);
+    }
+    const first = new Date(year, month - 1, 1).getDay();
+    return new Date(year, month - 1, 1 + (weekday - first + 7) % 7 + (n - 1) * 7);
+};
+
+const easter = (offset = 0) => year => {
+    const sunday = easterSunday(year);
+    return new Date(year, sunday.getMonth(), sunday.getDate() + offset);
+};
+
+// Last Monday before May 25 (Victoria Day)
+const mondayBefore = (month, day) => year => {
+    const date = new Date(year, month - 1, day - 1);
+    return new Date(year, month - 1, date.getDate() - (date.getDay() - MON + 7) % 7);
+};
+
+// Last Sunday of May, or the first of June when that is Pentecost (fête des mères)
+const frenchMothersDay = year => {
+    const lastSunday = nthWeekday(5, SUN, -1)(year);
+    return lastSunday.getTime() === easter(49)(year).getTime() ? nthWeekday(6, SUN, 1)(year) : lastSunday;
+};
+
+const COMMON_HOLIDAYS = {
+    'new year': fixed(1, 1),
+    'new years': fixed(1, 1),
+    'new years day': fixed(1, 1),
+    'valentines day': fixed(2, 14),
+    'valentines': fixed(2, 14),
+    'good friday': easter(-2),
+    'easter': easter(),
+    'easter sunday': easter(),
+    'easter monday': easter(1),
+    'ascension': easter(39),
+    'ascension day': easter(39),
+    'pentecost': easter(49),
+    'whitsun': easter(49),
+    'halloween': fixed(10, 31),
+    'christmas eve': fixed(12, 24),
+    'christmas': fixed(12, 25),
+    'christmas day': fixed(12, 25),
+    'xmas': fixed(12, 25),
+    'new years eve': fixed(12, 31)
+};
+
+export const HOLIDAY_CALENDARS = {
+    US: {
+        name: 'United States',
+        holidays: {
+            'mlk day': nthWeekday(1, MON, 3),
+            'martin luther king day': nthWeekday(1, MON, 3),
+            'presidents day': nthWeekday(2, MON, 3),
+            'mothers day': nthWeekday(5, SUN, 2),
+            'memorial day': nthWeekday(5, MON, -1),
+            'juneteenth': fixed(6, 19),
+            'fathers day': nthWeekday(6, SUN, 3),
+            'independence day': fixed(7, 4),
+            'fourth of july': fixed(7, 4),
+            '4th of july': fixed(7, 4),
+            'labor day': nthWeekday(9, MON, 1),
+            'columbus day': nthWeekday(10, MON, 2),
+            'veterans day': fixed(11, 11),
+            'thanksgiving': nthWeekday(11, THU, 4),
+            'black friday': year => new Date(year, 10, nthWeekday(11, THU, 4)(year).getDate() + 1)
+        },
+        daysOff: ['new years day', 'mlk day', 'presidents day', 'memorial day', 'juneteenth', 'independence day',
+            'labor day', 'columbus day', 'veterans day', 'thanksgiving', 'christmas'],
+        observed: 'nearest'
+    },
+    GB: {
+        name: 'United Kingdom',
+        holidays: {
+            'mothers day': easter(-21),
+            'mothering sunday': easter(-21),
+            'early may bank holiday': nthWeekday(5, MON, 1),
+            'spring bank holiday': nthWeekday(5, MON, -1),
+            'fathers day': nthWeekday(6, SUN, 3),
+            'summer bank holiday': nthWeekday(8, MON, -1),
+            'bonfire night': fixed(11, 5),
+            'guy fawkes night': fixed(11, 5),
+            'remembrance sunday': nthWeekday(11, SUN, 2),
+            'boxing day': fixed(12, 26)
+        },
+        daysOff: ['new years day', 'good friday', 'easter monday', 'early may bank holiday', 'spring bank holiday',
+            'summer bank holiday', 'christmas', 'boxing day'],
+        observed: 'next'
+    },
+    IT: {
+        name: 'Italy',
+        holidays: {
+            'epiphany': fixed(1, 6),
+            'befana': fixed(1, 6),
+            'fathers day': fixed(3, 19),
+            'pasquetta': easter(1),
+            'liberation day': fixed(4, 25),
+            'labour day': fixed(5, 1),
+            'labor day': fixed(5, 1),
+            'mothers day': nthWeekday(5, SUN, 2),
+            'republic day': fixed(6, 2),
+            'ferragosto': fixed(8, 15),
+            'all saints day': fixed(11, 1),
+            'immaculate conception': fixed(12, 8),
+            'santo stefano': fixed(12, 26),
+            'st stephens day': fixed(12, 26)
+        },
+        daysOff: ['new years day', 'epiphany', 'easter monday', 'liberation day', 'labour day', 'republic day',
+            'ferragosto', 'all saints day', 'immaculate conception', 'christmas', 'santo stefano'],
+        observed: null
+    },
+    DE: {
+        name: 'Germany',
+        holidays: {
+            'epiphany': fixed(1, 6),
+            'labour day': fixed(5, 1),
+            'labor day': fixed(5, 1),
+            'mothers day': nthWeekday(5, SUN, 2),
+            'muttertag': nthWeekday(5, SUN, 2),
+            'fathers day': easter(39),
+            'vatertag': easter(39),
+            'whit monday': easter(50),
+            'german unity day': fixed(10, 3),
+            'reformation day': fixed(10, 31),
+            'all saints day': fixed(11, 1),
+            'boxing day': fixed(12, 26)
+        },
+        daysOff: ['new years day', 'good friday', 'easter monday', 'labour day', 'ascension', 'whit monday',
+            'german unity day', 'christmas', 'boxing day'],
+        observed: null
+    },
+    FR: {
+        name: 'France',
+        holidays: {
+            'labour day': fixed(5, 1),
+            'labor day': fixed(5, 1),
+            'victory day': fixed(5, 8),
+            'whit monday': easter(50),
+            'mothers day': frenchMothersDay,
+            'fathers day': nthWeekday(6, SUN, 3),
+            'bastille day': fixed(7, 14),
+            'assumption': fixed(8, 15),
+            'all saints day': fixed(11, 1),
+            'toussaint': fixed(11, 1),
+            'armistice day': fixed(11, 11)
+        },
+        daysOff: ['new years day', 'easter monday', 'labour day', 'victory day', 'ascension', 'whit monday',
+            'bastille day', 'assumption', 'all saints day', 'armistice day', 'christmas'],
+        observed: null
+    },
+    ES: {
+        name: 'Spain',
+        holidays: {
+            'epiphany': fixed(1, 6),
+            'three kings day': fixed(1, 6),
+            'fathers day': fixed(3, 19),
+            'labour day': fixed(5, 1),
+            'labor day': fixed(5, 1),
+            'mothers day': nthWeekday(5, SUN, 1),
+            'assumption': fixed(8, 15),
+            'hispanic day': fixed(10, 12),
+            'all saints day': fixed(11, 1),
+            'constitution day': fixed(12, 6),
+            'immaculate conception': fixed(12, 8)
+        },
+        daysOff: ['new years day', 'epiphany', 'good friday', 'labour day', 'assumption', 'hispanic day',
+            'all saints day', 'constitution day', 'immaculate conception', 'christmas'],
+        observed: null
+    },
+    CA: {
+        name: 'Canada',
+        holidays: {
+            'family day': nthWeekday(2, MON, 3),
+            'mothers day': nthWeekday(5, SUN, 2),
+            'victoria day': mondayBefore(5, 25),
+            'fathers day': nthWeekday(6, SUN, 3),
+            'canada day': fixed(7, 1),
+            'civic holiday': nthWeekday(8, MON, 1),
+            'labour day': nthWeekday(9, MON, 1),
+            'labor day': nthWeekday(9, MON, 1),
+            'thanksgiving': nthWeekday(10, MON, 2),
+            'remembrance day': fixed(11, 11),
+            'boxing day': fixed(12, 26)
+        },
+        daysOff: ['new years day', 'good friday', 'victoria day', 'canada day', 'labour day', 'thanksgiving',
+            'remembrance day', 'christmas', 'boxing day'],
+        observed: 'next'
+    }
+};
+
+// Calendar used when neither the note nor its locale picks one
+export const DEFAULT_HOLIDAY_REGION = 'US';
+
+const REGION_ALIASES = { UK: 'GB' };
+
+// Every holiday name any calendar knows, longest first so "christmas eve" wins over "christmas"
+const HOLIDAY_NAMES = [...new Set([
+    ...Object.keys(COMMON_HOLIDAYS),
+    ...Object.values(HOLIDAY_CALENDARS).flatMap(calendar => Object.keys(calendar.holidays))
+])].sort((a, b) => b.length - a.length);
+
+/**
+ * Regex source matching any holiday name as written in a note: any case
+ * (use the "i" flag), any spacing, with or without apostrophes
+ * ("Mother's Day", "new year's", "newyear"). Has no capturing groups.
+ */
+export const HOLIDAY_NAME_PATTERN = HOLIDAY_NAMES
+    .map(name => name.replace(/s\b/g, "['’]?s['’]?").replace(/ /g, '\\s*'))
+    .join('|');
+
+/**
+ * The calendar a region code stands for ("UK" → "GB"), or null if there is
+ * none for it
+ */
+export function holidayRegion(code) {
+    if (!code) return null;
+    const upper = code.toUpperCase();
+    const region = REGION_ALIASES[upper] || upper;
+    return Object.prototype.hasOwnProperty.call(HOLIDAY_CALENDARS, region) ? region : null;
+}
+
+/**
+ * Date (local midnight) of a holiday in a year, by its name as written;
+ * null for names no calendar knows. Names the region has no rule for come
+ * from the first calendar that has one ("thanksgiving" in Italy is the US one).
+ */
+export function holidayDate(name, year, region = DEFAULT_HOLIDAY_REGION) {
+    const rule = holidayRule(normalizeName(name), holidayRegion(region) || DEFAULT_HOLIDAY_REGION);
+    return rule ? rule(year) : null;
+}
+
+// The holiday's next date on or after the day of `from` (today by default)
+export function nextHoliday(name, region = DEFAULT_HOLIDAY_REGION, from = new Date()) {
+    const today = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+    const date = holidayDate(name, today.getFullYear(), region);
+    if (!date || date >= today) return date;
+    return holidayDate(name, today.getFullYear() + 1, region);
+}
+
+// "Mother's  Day" → "mothers day", "newyear" → "new year"
+function normalizeName(name) {
+    const compact = String(name).toLowerCase().replace(/['’\s]/g, '');
+    return HOLIDAY_NAMES.find(known => known.replace(/\s/g, '') === compact) || null;
+}
+
+function holidayRule(name, region) {
+    if (!name) return null;
+    const own = HOLIDAY_CALENDARS[region].holidays[name] || COMMON_HOLIDAYS[name];
+    if (own) return own;
+    const other = Object.values(HOLIDAY_CALENDARS).find(calendar => calendar.holidays[name]);
+    return other ? other.holidays[name] : null;
+}
+
+// Easter Sunday in the Gregorian calendar (anonymous Gregorian algorithm)
+function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(year, month - 1, day);
+}
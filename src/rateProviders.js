@@ -0,0 +1,317 @@
+/**
+ * Exchange Rate Providers - where currency rates come from
+ * A provider describes one source of rates:
+ *   {
+ *     id, name,
+ *     base,                     currency the source quotes against ('USD', 'EUR', ...)
+ *     currencies,               codes it supplies, or null for whatever it returns
+ *     historical,               true if fetch(date) can answer past dates
+ *     offline,                  true if it never goes to the network
+ *     async fetch(date)         raw payload: latest rates (date null) or an ISO date's
+ *     parse(payload, date)      → { date, rates } with rates per 1 base
+ *   }
+ * loadRates(provider, date) runs both steps and re-bases the result on USD,
+ * which is what the currency service and the calculator work in.
+ * Asset prices (crypto) come from providers of the same shape, with their
+ * prices as rates: 1 USD = 0.000015 BTC.
+ */
+
+import { ASSETS } from './currencies.js';
+
+const FETCH_TIMEOUT = 10000; // 10 seconds timeout
+const ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const CURRENCY_CODE_REGEX = /^[A-Z][A-Z0-9]{2,4}$/; // ISO codes and asset tickers (USDT)
+
+// Currencies in the ECB reference rates (plus EUR, the ECB's own base)
+const ECB_CURRENCIES = [
+    'AUD', 'BGN', 'BRL', 'CAD', 'CHF', 'CNY', 'CZK', 'DKK', 'EUR', 'GBP', 'HKD',
+    'HUF', 'IDR', 'ILS', 'INR', 'ISK', 'JPY', 'KRW', 'MXN', 'MYR', 'NOK', 'NZD',
+    'PHP', 'PLN', 'RON', 'SEK', 'SGD', 'THB', 'TRY', 'USD', 'ZAR'
+];
+
+// Helper function for fetch with timeout
+async function fetchWithTimeout(url, timeout = FETCH_TIMEOUT) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        return response;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+async function fetchJson(url) {
+    const response = await fetchWithTimeout(url);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response.json();
+}
+
+// { date?, rates: { EUR: 0.92, ... } } as most rate APIs answer
+function parseRatesResponse(data) {
+    if (!data || !data.rates || typeof data.rates !== 'object') {
+        throw new Error('Invalid API response format');
+    }
+    return { date: ISO_DATE_REGEX.test(data.date) ? data.date : null, rates: data.rates };
+}
+
+// Keep positive, finite rates only; USD is the base
+export function validateRates(rates) {
+    const validRates = { USD: 1 };
+    for (const [currency, rate] of Object.entries(rates)) {
+        if (typeof rate === 'number' && rate > 0 && isFinite(rate)) {
+            validRates[currency] = rate;
+        }
+    }
+    return validRates;
+}
+
+/**
+ * Rates per 1 `base` → rates per 1 USD, or null if there is no USD rate to
+ * convert with: units of X per USD = (X per base) / (USD per base)
+ */
+function rebaseOnUsd(rates, base) {
+    if (base === 'USD') return { ...rates };
+    const usd = rates.USD;
+    if (!(usd > 0)) return null;
+
+    const rebased = {};
+    for (const [code, rate] of Object.entries(rates)) {
+        rebased[code] = rate / usd;
+    }
+    rebased[base] = 1 / usd;
+    return rebased;
+}
+
+/**
+ * Parse a historical rates CSV into a Map of date → USD-based rates.
+ * Either one row per date with a column per currency:
+ *   date,EUR,GBP
+ *   2024-03-01,0.92,0.79
+ * or one row per rate:
+ *   date,currency,rate
+ *   2024-03-01,EUR,0.92
+ * An optional "base" column gives rates against another currency (e.g. EUR
+ * for ECB tables); those dates need a USD rate to be converted. Semicolon
+ * separated files may use decimal commas.
+ */
+export function parseRatesCsv(text) {
+    const rows = String(text || '').split(/\r?\n/).map(row => row.trim()).filter(Boolean);
+    const table = new Map();
+    if (rows.length < 2) return table;
+
+    const separator = rows[0].includes(';') ? ';' : ',';
+    const header = rows[0].split(separator).map(cell => cell.trim().replace(/^"|"$/g, ''));
+    const columns = header.map(cell => cell.toLowerCase());
+    const dateColumn = columns.indexOf('date');
+    if (dateColumn === -1) return table;
+    const baseColumn = columns.indexOf('base');
+    const currencyColumn = columns.indexOf('currency');
+    const rateColumn = columns.indexOf('rate');
+    const long = currencyColumn !== -1 && rateColumn !== -1;
+
+    const parseRate = (cell) => Number(separator === ';' ? cell.replace(',', '.') : cell);
+    const bases = new Map(); // date → base currency
+
+    for (const row of rows.slice(1)) {
+        const cells = row.split(separator).map(cell => cell.trim().replace(/^"|"$/g, ''));
+        const date = cells[dateColumn];
+        if (!ISO_DATE_REGEX.test(date)) continue;
+
+        const base = baseColumn !== -1 && cells[baseColumn] ? cells[baseColumn].toUpperCase() : 'USD';
+        bases.set(date, base);
+        const rates = table.get(date) || {};
+        if (long) {
+            const code = (cells[currencyColumn] || '').toUpperCase();
+            if (CURRENCY_CODE_REGEX.test(code)) rates[code] = parseRate(cells[rateColumn]);
+        } else {
+            header.forEach((code, index) => {
+                const upper = code.toUpperCase();
+                if (index !== dateColumn && index !== baseColumn && CURRENCY_CODE_REGEX.test(upper) && cells[index]) {
+                    rates[upper] = parseRate(cells[index]);
+                }
+            });
+        }
+        table.set(date, rates);
+    }
+
+    for (const [date, rates] of table) {
+        const rebased = rebaseOnUsd(rates, bases.get(date));
+        if (rebased) {
+            table.set(date, validateRates(rebased));
+        } else {
+            table.delete(date);
+        }
+    }
+    return table;
+}
+
+/**
+ * Parse a JSON rates file into a Map of date → USD-based rates. Takes what
+ * rate APIs answer, one object or a list of them:
+ *   { "base": "EUR", "date": "2024-03-01", "rates": { "USD": 1.08, ... } }
+ * "base" defaults to USD; entries without a date are skipped.
+ */
+export function parseRatesJson(text) {
+    const table = new Map();
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        return table;
+    }
+
+    for (const entry of Array.isArray(data) ? data : [data]) {
+        if (!entry || !ISO_DATE_REGEX.test(entry.date) || !entry.rates || typeof entry.rates !== 'object') continue;
+        const base = typeof entry.base === 'string' ? entry.base.toUpperCase() : 'USD';
+        const rebased = rebaseOnUsd(entry.rates, base);
+        if (rebased) {
+            table.set(entry.date, validateRates({ ...table.get(entry.date), ...rebased }));
+        }
+    }
+    return table;
+}
+
+/**
+ * Rates file of either kind, told apart by its first character
+ */
+export function parseRatesFile(text) {
+    const trimmed = String(text || '').trim();
+    return /^[[{]/.test(trimmed) ? parseRatesJson(trimmed) : parseRatesCsv(trimmed);
+}
+
+// Newest date in a table on or before `date` (any date when null)
+function latestDate(table, date) {
+    let latest = null;
+    for (const known of table.keys()) {
+        if ((!date || known <= date) && (!latest || known > latest)) {
+            latest = known;
+        }
+    }
+    return latest;
+}
+
+// ExchangeRate-API: latest rates for ~160 currencies, no API key needed
+const exchangeRateApiProvider = {
+    id: 'exchangerate-api',
+    name: 'ExchangeRate-API',
+    base: 'USD',
+    currencies: null,
+    historical: false,
+    offline: false,
+    fetch() {
+        return fetchJson('https://api.exchangerate-api.com/v4/latest/USD');
+    },
+    parse: parseRatesResponse
+};
+
+// Frankfurter: ECB reference rates, by date back to 1999, no API key needed
+const frankfurterProvider = {
+    id: 'frankfurter',
+    name: 'Frankfurter (ECB)',
+    base: 'USD', // Asked for with ?from=USD
+    currencies: ECB_CURRENCIES,
+    historical: true,
+    offline: false,
+    fetch(date = null) {
+        return fetchJson(`https://api.frankfurter.app/${date || 'latest'}?from=USD`);
+    },
+    parse: parseRatesResponse
+};
+
+// { bitcoin: { usd: 65000 }, ... } → rates per USD of the registry's coins
+function parseCoinPrices(data) {
+    const rates = {};
+    for (const [code, { coin }] of Object.entries(ASSETS)) {
+        const price = coin && data && data[coin] ? data[coin].usd : null;
+        if (typeof price === 'number' && price > 0) {
+            rates[code] = 1 / price;
+        }
+    }
+    if (Object.keys(rates).length === 0) {
+        throw new Error('Invalid API response format');
+    }
+    return { date: null, rates };
+}
+
+// CoinGecko: latest crypto prices for the assets with a coin id, no API key needed
+const coinGeckoProvider = {
+    id: 'coingecko',
+    name: 'CoinGecko',
+    base: 'USD',
+    currencies: null,
+    historical: false,
+    offline: false,
+    fetch() {
+        const ids = Object.values(ASSETS).map(asset => asset.coin).filter(Boolean);
+        return fetchJson(`https://api.coingecko.com/api/v3/simple/price?ids=${ids.join(',')}&vs_currencies=usd`);
+    },
+    parse: parseCoinPrices
+};
+
+export const RATE_PROVIDERS = {
+    [exchangeRateApiProvider.id]: exchangeRateApiProvider,
+    [frankfurterProvider.id]: frankfurterProvider
+};
+
+export const DEFAULT_RATE_PROVIDER = exchangeRateApiProvider.id;
+
+// Where past rates come from when the chosen provider only has latest ones
+export const HISTORICAL_RATE_PROVIDER = frankfurterProvider.id;
+
+// Where asset prices come from alongside an online provider's rates;
+// metals have no free source and are priced by rates files or "rate" lines
+export const ASSET_PRICE_PROVIDERS = [coinGeckoProvider];
+
+/**
+ * Manual provider over a user-supplied rates file (see parseRatesFile):
+ * latest rates are the newest date in it, past dates the closest earlier one.
+ * Never goes to the network.
+ */
+export function createFileProvider(text, fileName = null) {
+    const name = fileName || 'Rates file';
+    return {
+        id: 'file',
+        name,
+        base: 'USD', // parseRatesFile re-bases
+        currencies: null,
+        historical: true,
+        offline: true,
+        async fetch() {
+            return text;
+        },
+        parse(payload, date = null) {
+            const table = parseRatesFile(payload);
+            const found = latestDate(table, date);
+            if (!found) {
+                throw new Error(date ? `No rates on or before ${date} in ${name}` : `No rates in ${name}`);
+            }
+            return { date: found, rates: table.get(found) };
+        }
+    };
+}
+
+/**
+ * Ask a provider for the latest rates (date null) or a date's, as
+ * { date, rates } with validated USD-based rates. Only the provider's
+ * supported currencies (and its base) are kept.
+ */
+export async function loadRates(provider, date = null) {
+    const payload = await provider.fetch(date);
+    const result = provider.parse(payload, date);
+    const rates = result && result.rates && rebaseOnUsd(result.rates, provider.base || 'USD');
+    if (!rates) {
+        throw new Error(`${provider.name} returned no usable rates`);
+    }
+
+    if (Array.isArray(provider.currencies)) {
+        const supported = new Set([...provider.currencies, provider.base]);
+        for (const code of Object.keys(rates)) {
+            if (!supported.has(code)) delete rates[code];
+        }
+    }
+    return { date: ISO_DATE_REGEX.test(result.date) ? result.date : null, rates: validateRates(rates) };
+}
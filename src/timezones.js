@@ -0,0 +1,227 @@
+/**
+ * Time Zones - place names and abbreviations to IANA time zones
+ * A place is resolved, in this order, through:
+ *   PLACE_ZONES               cities, countries and zone abbreviations that
+ *                             are not (or not only) an IANA name: "mumbai",
+ *                             "japan", "pst"
+ *   IANA names                "Asia/Kathmandu", "UTC", any case
+ *   IANA cities               the last part of every zone Intl knows:
+ *                             "lisbon", "são paulo" (America/Sao_Paulo)
+ * Abbreviations (PST, BST) stand for the zone, not a fixed offset: "3pm
+ * PST" in July is 3pm Pacific Daylight Time. ZONE_ABBREVIATIONS names a
+ * zone's standard and summer time for display where Intl only has "GMT+1".
+ */
+
+export const PLACE_ZONES = {
+    // US and Canada
+    'pst': 'America/Los_Angeles', 'pdt': 'America/Los_Angeles', 'pacific': 'America/Los_Angeles',
+    'mst': 'America/Denver', 'mdt': 'America/Denver', 'mountain': 'America/Denver',
+    'cst': 'America/Chicago', 'cdt': 'America/Chicago', 'central': 'America/Chicago',
+    'est': 'America/New_York', 'edt': 'America/New_York', 'eastern': 'America/New_York',
+    'akst': 'America/Anchorage', 'akdt': 'America/Anchorage',
+    'hst': 'Pacific/Honolulu',
+    'ast': 'America/Halifax', 'adt': 'America/Halifax', 'atlantic': 'America/Halifax',
+    'nst': 'America/St_Johns', 'ndt': 'America/St_Johns',
+    'san francisco': 'America/Los_Angeles', 'sf': 'America/Los_Angeles', 'seattle': 'America/Los_Angeles',
+    'san diego': 'America/Los_Angeles', 'san jose': 'America/Los_Angeles', 'las vegas': 'America/Los_Angeles',
+    'portland': 'America/Los_Angeles', 'silicon valley': 'America/Los_Angeles', 'california': 'America/Los_Angeles',
+    'salt lake city': 'America/Denver', 'colorado': 'America/Denver',
+    'dallas': 'America/Chicago', 'houston': 'America/Chicago', 'austin': 'America/Chicago',
+    'minneapolis': 'America/Chicago', 'new orleans': 'America/Chicago', 'texas': 'America/Chicago',
+    'nyc': 'America/New_York', 'boston': 'America/New_York', 'washington': 'America/New_York',
+    'washington dc': 'America/New_York', 'philadelphia': 'America/New_York', 'atlanta': 'America/New_York',
+    'miami': 'America/New_York', 'florida': 'America/New_York',
+    'montreal': 'America/Toronto', 'ottawa': 'America/Toronto', 'calgary': 'America/Edmonton',
+
+    // Europe
+    'gmt': 'Etc/GMT', 'utc': 'Etc/UTC', 'zulu': 'Etc/UTC',
+    'bst': 'Europe/London', 'wet': 'Europe/Lisbon', 'west': 'Europe/Lisbon',
+    'cet': 'Europe/Paris', 'cest': 'Europe/Paris', 'eet': 'Europe/Athens', 'eest': 'Europe/Athens',
+    'msk': 'Europe/Moscow',
+    'manchester': 'Europe/London', 'edinburgh': 'Europe/London', 'glasgow': 'Europe/London',
+    'birmingham': 'Europe/London', 'barcelona': 'Europe/Madrid', 'valencia': 'Europe/Madrid',
+    'porto': 'Europe/Lisbon', 'lyon': 'Europe/Paris', 'marseille': 'Europe/Paris',
+    'milan': 'Europe/Rome', 'turin': 'Europe/Rome', 'florence': 'Europe/Rome', 'naples': 'Europe/Rome',
+    'venice': 'Europe/Rome', 'munich': 'Europe/Berlin', 'frankfurt': 'Europe/Berlin', 'hamburg': 'Europe/Berlin',
+    'cologne': 'Europe/Berlin', 'geneva': 'Europe/Zurich', 'rotterdam': 'Europe/Amsterdam',
+    'the hague': 'Europe/Amsterdam', 'antwerp': 'Europe/Brussels', 'krakow': 'Europe/Warsaw',
+    'st petersburg': 'Europe/Moscow', 'saint petersburg': 'Europe/Moscow', 'kyiv': 'Europe/Kyiv', 'kiev': 'Europe/Kyiv',
+
+    // Asia, Africa and the Middle East
+    'ist': 'Asia/Kolkata', 'sgt': 'Asia/Singapore', 'hkt': 'Asia/Hong_Kong', 'jst': 'Asia/Tokyo',
+    'kst': 'Asia/Seoul', 'cst china': 'Asia/Shanghai', 'gst': 'Asia/Dubai', 'pkt': 'Asia/Karachi',
+    'npt': 'Asia/Kathmandu', 'ict': 'Asia/Bangkok', 'wib': 'Asia/Jakarta', 'pht': 'Asia/Manila',
+    'idt': 'Asia/Jerusalem', 'trt': 'Europe/Istanbul',
+    'sast': 'Africa/Johannesburg', 'wat': 'Africa/Lagos', 'eat': 'Africa/Nairobi', 'cat': 'Africa/Maputo',
+    'mumbai': 'Asia/Kolkata', 'bombay': 'Asia/Kolkata', 'delhi': 'Asia/Kolkata', 'new delhi': 'Asia/Kolkata',
+    'bangalore': 'Asia/Kolkata', 'bengaluru': 'Asia/Kolkata', 'chennai': 'Asia/Kolkata', 'hyderabad': 'Asia/Kolkata',
+    'pune': 'Asia/Kolkata', 'kolkata': 'Asia/Kolkata', 'calcutta': 'Asia/Kolkata', 'kathmandu': 'Asia/Kathmandu',
+    'beijing': 'Asia/Shanghai', 'shenzhen': 'Asia/Shanghai', 'guangzhou': 'Asia/Shanghai', 'hangzhou': 'Asia/Shanghai',
+    'osaka': 'Asia/Tokyo', 'kyoto': 'Asia/Tokyo', 'busan': 'Asia/Seoul',
+    'ho chi minh': 'Asia/Ho_Chi_Minh', 'ho chi minh city': 'Asia/Ho_Chi_Minh', 'saigon': 'Asia/Ho_Chi_Minh',
+    'hanoi': 'Asia/Bangkok', 'abu dhabi': 'Asia/Dubai', 'tel aviv': 'Asia/Jerusalem',
+    'cape town': 'Africa/Johannesburg', 'abuja': 'Africa/Lagos',
+
+    // Oceania and South America
+    'aest': 'Australia/Sydney', 'aedt': 'Australia/Sydney', 'acst': 'Australia/Adelaide', 'acdt': 'Australia/Adelaide',
+    'awst': 'Australia/Perth', 'nzst': 'Pacific/Auckland', 'nzdt': 'Pacific/Auckland',
+    'canberra': 'Australia/Sydney', 'wellington': 'Pacific/Auckland', 'christchurch': 'Pacific/Auckland',
+    'brt': 'America/Sao_Paulo', 'art': 'America/Argentina/Buenos_Aires',
+    'rio': 'America/Sao_Paulo', 'rio de janeiro': 'America/Sao_Paulo', 'brasilia': 'America/Sao_Paulo',
+
+    // Countries, by their capital or largest city
+    'usa': 'America/New_York', 'united states': 'America/New_York',
+    'canada': 'America/Toronto', 'mexico': 'America/Mexico_City', 'brazil': 'America/Sao_Paulo',
+    'argentina': 'America/Argentina/Buenos_Aires', 'chile': 'America/Santiago', 'colombia': 'America/Bogota',
+    'peru': 'America/Lima',
+    'uk': 'Europe/London', 'united kingdom': 'Europe/London', 'england': 'Europe/London',
+    'britain': 'Europe/London', 'great britain': 'Europe/London', 'scotland': 'Europe/London',
+    'ireland': 'Europe/Dublin', 'portugal': 'Europe/Lisbon', 'spain': 'Europe/Madrid', 'france': 'Europe/Paris',
+    'belgium': 'Europe/Brussels', 'netherlands': 'Europe/Amsterdam', 'holland': 'Europe/Amsterdam',
+    'germany': 'Europe/Berlin', 'switzerland': 'Europe/Zurich', 'austria': 'Europe/Vienna', 'italy': 'Europe/Rome',
+    'denmark': 'Europe/Copenhagen', 'norway': 'Europe/Oslo', 'sweden': 'Europe/Stockholm',
+    'finland': 'Europe/Helsinki', 'poland': 'Europe/Warsaw', 'czechia': 'Europe/Prague',
+    'czech republic': 'Europe/Prague', 'hungary': 'Europe/Budapest', 'greece': 'Europe/Athens',
+    'romania': 'Europe/Bucharest', 'ukraine': 'Europe/Kyiv', 'turkey': 'Europe/Istanbul', 'russia': 'Europe/Moscow',
+    'israel': 'Asia/Jerusalem', 'egypt': 'Africa/Cairo', 'uae': 'Asia/Dubai', 'united arab emirates': 'Asia/Dubai',
+    'saudi arabia': 'Asia/Riyadh', 'qatar': 'Asia/Qatar', 'south africa': 'Africa/Johannesburg',
+    'nigeria': 'Africa/Lagos', 'kenya': 'Africa/Nairobi', 'pakistan': 'Asia/Karachi', 'india': 'Asia/Kolkata',
+    'nepal': 'Asia/Kathmandu', 'bangladesh': 'Asia/Dhaka', 'thailand': 'Asia/Bangkok', 'vietnam': 'Asia/Ho_Chi_Minh',
+    'malaysia': 'Asia/Kuala_Lumpur', 'indonesia': 'Asia/Jakarta', 'philippines': 'Asia/Manila',
+    'china': 'Asia/Shanghai', 'taiwan': 'Asia/Taipei', 'korea': 'Asia/Seoul', 'south korea': 'Asia/Seoul',
+    'japan': 'Asia/Tokyo', 'australia': 'Australia/Sydney', 'new zealand': 'Pacific/Auckland'
+};
+
+// Zone → [standard time, summer time]; zones without summer time have one
+export const ZONE_ABBREVIATIONS = {
+    'America/New_York': ['EST', 'EDT'], 'America/Toronto': ['EST', 'EDT'], 'America/Detroit': ['EST', 'EDT'],
+    'America/Chicago': ['CST', 'CDT'], 'America/Winnipeg': ['CST', 'CDT'],
+    'America/Denver': ['MST', 'MDT'], 'America/Edmonton': ['MST', 'MDT'], 'America/Phoenix': ['MST'],
+    'America/Los_Angeles': ['PST', 'PDT'], 'America/Vancouver': ['PST', 'PDT'],
+    'America/Anchorage': ['AKST', 'AKDT'], 'Pacific/Honolulu': ['HST'],
+    'America/Halifax': ['AST', 'ADT'], 'America/St_Johns': ['NST', 'NDT'],
+    'America/Sao_Paulo': ['BRT'], 'America/Argentina/Buenos_Aires': ['ART'],
+    'Europe/London': ['GMT', 'BST'], 'Europe/Dublin': ['GMT', 'IST'],
+    'Europe/Lisbon': ['WET', 'WEST'], 'Atlantic/Canary': ['WET', 'WEST'],
+    'Europe/Paris': ['CET', 'CEST'], 'Europe/Berlin': ['CET', 'CEST'], 'Europe/Madrid': ['CET', 'CEST'],
+    'Europe/Rome': ['CET', 'CEST'], 'Europe/Amsterdam': ['CET', 'CEST'], 'Europe/Brussels': ['CET', 'CEST'],
+    'Europe/Zurich': ['CET', 'CEST'], 'Europe/Vienna': ['CET', 'CEST'], 'Europe/Stockholm': ['CET', 'CEST'],
+    'Europe/Oslo': ['CET', 'CEST'], 'Europe/Copenhagen': ['CET', 'CEST'], 'Europe/Warsaw': ['CET', 'CEST'],
+    'Europe/Prague': ['CET', 'CEST'], 'Europe/Budapest': ['CET', 'CEST'], 'Europe/Belgrade': ['CET', 'CEST'],
+    'Europe/Luxembourg': ['CET', 'CEST'], 'Europe/Monaco': ['CET', 'CEST'], 'Europe/Malta': ['CET', 'CEST'],
+    'Europe/Athens': ['EET', 'EEST'], 'Europe/Helsinki': ['EET', 'EEST'], 'Europe/Kyiv': ['EET', 'EEST'],
+    'Europe/Bucharest': ['EET', 'EEST'], 'Europe/Sofia': ['EET', 'EEST'], 'Europe/Riga': ['EET', 'EEST'],
+    'Europe/Vilnius': ['EET', 'EEST'], 'Europe/Tallinn': ['EET', 'EEST'], 'Africa/Cairo': ['EET', 'EEST'],
+    'Europe/Moscow': ['MSK'], 'Europe/Istanbul': ['TRT'], 'Asia/Jerusalem': ['IST', 'IDT'],
+    'Asia/Dubai': ['GST'], 'Asia/Karachi': ['PKT'], 'Asia/Kolkata': ['IST'], 'Asia/Kathmandu': ['NPT'],
+    'Asia/Bangkok': ['ICT'], 'Asia/Ho_Chi_Minh': ['ICT'], 'Asia/Jakarta': ['WIB'], 'Asia/Singapore': ['SGT'],
+    'Asia/Kuala_Lumpur': ['MYT'], 'Asia/Manila': ['PHT'], 'Asia/Hong_Kong': ['HKT'], 'Asia/Shanghai': ['CST'],
+    'Asia/Taipei': ['CST'], 'Asia/Tokyo': ['JST'], 'Asia/Seoul': ['KST'],
+    'Australia/Sydney': ['AEST', 'AEDT'], 'Australia/Melbourne': ['AEST', 'AEDT'], 'Australia/Hobart': ['AEST', 'AEDT'],
+    'Australia/Brisbane': ['AEST'], 'Australia/Adelaide': ['ACST', 'ACDT'], 'Australia/Darwin': ['ACST'],
+    'Australia/Perth': ['AWST'], 'Pacific/Auckland': ['NZST', 'NZDT'],
+    'Africa/Johannesburg': ['SAST'], 'Africa/Lagos': ['WAT'], 'Africa/Nairobi': ['EAT'], 'Africa/Maputo': ['CAT'],
+    'Etc/UTC': ['UTC'] // Etc/GMT too: Intl resolves both to UTC
+};
+
+let cityZones = null; // "sao paulo" → "America/Sao_Paulo", built on first use
+let abbreviationsByZone = null; // ZONE_ABBREVIATIONS keyed by Intl's own zone names
+
+/**
+ * The IANA zone a place stands for, as Intl names it, or null if it is
+ * neither a known place nor a zone
+ */
+export function resolveTimeZone(place) {
+    if (!place) return null;
+    const name = normalizePlace(place);
+    const zone = PLACE_ZONES[name] || ianaZone(place.trim()) || cities().get(name);
+    return zone ? ianaZone(zone) : null;
+}
+
+/**
+ * The zone's abbreviation at that moment, summer time included ("BST" in
+ * July, "GMT" in January); null for zones without a known one
+ */
+export function timeZoneAbbreviation(timeZone, date = new Date()) {
+    if (!abbreviationsByZone) {
+        abbreviationsByZone = new Map(Object.entries(ZONE_ABBREVIATIONS).map(([zone, names]) => [ianaZone(zone) || zone, names]));
+    }
+    const names = abbreviationsByZone.get(ianaZone(timeZone) || timeZone);
+    if (!names) return null;
+    if (names.length === 1) return names[0];
+
+    // Summer time is whichever half of the year is further ahead of UTC
+    const year = date.getUTCFullYear();
+    const standard = Math.min(timeZoneOffset(new Date(Date.UTC(year, 0, 1)), timeZone), timeZoneOffset(new Date(Date.UTC(year, 6, 1)), timeZone));
+    return timeZoneOffset(date, timeZone) > standard ? names[1] : names[0];
+}
+
+/**
+ * Minutes the zone's clocks are ahead of UTC at that moment
+ */
+export function timeZoneOffset(date, timeZone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hour12: false,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    });
+    const parts = formatter.formatToParts(date);
+    const filled = {};
+    for (const { type, value } of parts) {
+        if (type !== 'literal') {
+            filled[type] = value;
+        }
+    }
+    const asUTC = Date.UTC(
+        Number(filled.year),
+        Number(filled.month) - 1,
+        Number(filled.day),
+        Number(filled.hour) % 24, // Some engines write midnight as 24
+        Number(filled.minute),
+        Number(filled.second ?? '0')
+    );
+    return (asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000;
+}
+
+/**
+ * The moment a zone's clocks show a local time: minutes after midnight of
+ * a day (month from 0, like Date). Around a clock change the offset of the
+ * moment itself is used.
+ */
+export function zonedTime(year, month, day, minutes, timeZone) {
+    const wall = Date.UTC(year, month, day, 0, minutes);
+    const guess = wall - timeZoneOffset(new Date(wall), timeZone) * 60000;
+    return new Date(wall - timeZoneOffset(new Date(guess), timeZone) * 60000);
+}
+
+// "  São  Paulo " → "sao paulo"
+function normalizePlace(place) {
+    return place.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+        .replace(/[._]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Intl's name for an IANA zone ("asia/tokyo" → "Asia/Tokyo"), or null
+function ianaZone(name) {
+    try {
+        return new Intl.DateTimeFormat('en-US', { timeZone: name }).resolvedOptions().timeZone;
+    } catch (e) {
+        return null; // Not a zone
+    }
+}
+
+function cities() {
+    if (!cityZones) {
+        cityZones = new Map();
+        const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+        for (const zone of zones) {
+            if (zone.startsWith('Etc/')) continue;
+            cityZones.set(normalizePlace(zone.split('/').pop()), zone);
+        }
+    }
+    return cityZones;
+}
@@ -1,25 +1,36 @@
-import { Calculator } from './calculator.js';
+import { createCalcClient } from './calcClient.js';
+import { parseRatesFile } from './rateProviders.js';
+import { ASSET_CODES, CURRENCY_CODES } from './currencies.js';
+import { escapeHtml, hasDisplayValue, isBlockResult, renderErrorHtml, renderResultHtml, resultsToPlainText } from './formatter.js';
 
 // ============================================================================
 // PRE-COMPILED REGEX PATTERNS (Performance optimization)
 // ============================================================================
 
-const HIGHLIGHT_CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'CHF', 'CNY', 'SEK', 'NZD', 'KRW', 'SGD', 'NOK', 'MXN', 'INR', 'RUB', 'ZAR', 'TRY', 'BRL', 'TWD', 'DKK', 'PLN', 'THB', 'IDR', 'HUF', 'CZK', 'ILS', 'CLP', 'PHP', 'AED', 'COP', 'SAR', 'MYR', 'RON'];
-const HIGHLIGHT_CURRENCY_REGEX = new RegExp(`\\b(${HIGHLIGHT_CURRENCIES.join('|')})\\b`, 'gi');
+// ISO currency codes and asset tickers as written ("USD", "BTC"), or in any case right after
+// an amount or "in"/"to" ("5 usd in eur"), so words like "all" or "top" stay plain
+const HIGHLIGHTED_CODES = [...CURRENCY_CODES, ...ASSET_CODES].join('|');
+const HIGHLIGHT_CURRENCY_REGEX = new RegExp(`\\b(${HIGHLIGHTED_CODES})\\b`, 'g');
+const HIGHLIGHT_CURRENCY_WORD_REGEX = new RegExp(`((?:\\d|\\b(?:in|to))\\s*)(${HIGHLIGHTED_CODES})\\b(?![^<]*>)`, 'gi');
+
+// Lines that add up others ("sum", "total in EUR"), left out of the stats total
+const STATS_AGGREGATE_REGEX = /\b(?:sum|total|avg|mean)\b/i;
 
 // Highlighter patterns
 const COMMENT_LINE_REGEX = /^#(.*$)/gm;
 const VARIABLE_ASSIGN_REGEX = /^(\$?[a-zA-Z_][a-zA-Z0-9_]*)(\s*)(=)/gm;
-
-// HTML escape patterns - using a map for performance
-const HTML_ESCAPE_MAP = {
-  '&': '&amp;',
-  '<': '&lt;',
-  '>': '&gt;',
-  '"': '&quot;',
-  "'": '&#039;'
-};
-const HTML_ESCAPE_REGEX = /[&<>"']/g;
+const FUNCTION_DEFINITION_HIGHLIGHT_REGEX = /^([a-zA-Z_][a-zA-Z0-9_]*)(\s*\([a-zA-Z0-9_,\s]*\)\s*)(=)/gm;
+const DIRECTIVE_HIGHLIGHT_REGEX = /^(\s*(?:precision\s*:?\s*(?:float|number|bignumber|big|exact|fraction|\d+\s*digits?)|locale\s*:?\s*[A-Za-z]{2,3}(?:[-_][A-Za-z0-9]{2,8})*|format\s*:?\s+(?:to|in|as|rounded)\b[^\n]*?|programmer(?:\s+mode)?\s*:?\s*(?:(?:8|16|32|64)[-\s]?bits?)?\s*(?:signed|unsigned)?|(?:rate|currency)(?:\s*:\s*|\s+)[^\n=]+=[^\n]*?|report\s+currency\s*:?\s*[A-Za-z][A-Za-z0-9_]{1,15}|holidays\s*:?\s*[A-Za-z]{2}|weekends?\s*:?\s*(?:none|(?:(?:and\s+)?(?:sun|mon|tue|wed|thu|fri|sat)[a-z]*[\s,&]*)+)|(?:working|work|business|office)\s+hours\s*:?\s*\d{1,2}(?:[:.]\d{2})?\s*(?:am|pm)?\s*(?:-|–|to)\s*\d{1,2}(?:[:.]\d{2})?\s*(?:am|pm)?)\s*)$/gim;
+// Custom currencies a note defines ("currency GOLD = 0.02 USD"), highlighted like the built-in ones
+const CUSTOM_CURRENCY_DEFINITION_REGEX = /^\s*currency(?:\s*:\s*|\s+)([A-Za-z][A-Za-z0-9_]{1,15})\b/gim;
+const NOTE_REFERENCE_HIGHLIGHT_REGEX = /(\[\[[^\[\]\n]+\]\](?:\.\$?[A-Za-z_][A-Za-z0-9_]*)?)/g;
+
+// Imported historical exchange rate tables (CSV or JSON texts), restored on startup
+const RATE_TABLES_STORAGE_KEY = 'numla-rate-tables';
+// Chosen exchange rate source: { id, file, name } (file only for id 'file')
+const RATES_PROVIDER_STORAGE_KEY = 'numla-rates-provider';
+// Last fetched exchange rates with their source and time, reused on startup and offline
+const RATES_STORAGE_KEY = 'numla-rates';
 
 // Debounce utility function
 export function debounce(func, wait) {
@@ -42,9 +53,10 @@ export function debounce(func, wait) {
 }
 
 export const ui = {
-  calculator: new Calculator(),
+  calcClient: null, // Created in init(); runs the calculator in a Web Worker when possible
   lastCalculatedText: '',
   lastResults: [],
+  lastResultsNoteId: null,
   sidebarNotes: [], // Store all notes for sidebar filtering
   sidebarActiveNoteId: null, // Store active note ID for sidebar
   tabManagerNotes: [], // Store all notes for tab manager filtering
@@ -120,6 +132,19 @@ export const ui = {
       moreMenuBtn: document.getElementById('more-menu-btn'),
       moreMenuDropdown: document.getElementById('more-menu-dropdown'),
       menuGuideBtn: document.getElementById('menu-guide-btn'),
+      menuImportRatesBtn: document.getElementById('menu-import-rates-btn'),
+      menuImportRatesLabel: document.getElementById('menu-import-rates-label'),
+      ratesFileInput: document.getElementById('rates-file-input'),
+      ratesProviderSelect: document.getElementById('rates-provider-select'),
+      ratesProviderFileInput: document.getElementById('rates-provider-file-input'),
+      ratesStatus: document.getElementById('rates-status'),
+      ratesRefreshBtn: document.getElementById('rates-refresh-btn'),
+      // Note Stats (in the more menu)
+      statLines: document.getElementById('stat-lines'),
+      statCalculations: document.getElementById('stat-calculations'),
+      statVariables: document.getElementById('stat-variables'),
+      statTotal: document.getElementById('stat-total'),
+      statDefinitions: document.getElementById('stat-definitions'),
       // Shortcuts Modal Elements (removed - no longer needed)
     };
 
@@ -135,14 +160,33 @@ export const ui = {
       });
     }
 
-    // Initialize currencies in background
-    this.calculator.waitForReady().then(() => {
+    // Start the calculation engine (currencies initialize in background)
+    this.calcClient = createCalcClient();
+    // Numbers and dates follow the browser's language unless a note sets "locale xx-XX"
+    this.calcClient.setLocale(navigator.language || null);
+    this.calcClient.onReady((rates) => {
       console.log('Calculator ready with live currency rates');
+      this._saveRates(rates);
+      this.renderRatesStatus(rates);
       // Force a recalculation so currency updates are reflected without requiring user input
       const currentText = this.elements.editor?.value || '';
       this.calculateAndRender(currentText, { force: true });
-    }).catch(err => {
-      console.warn('Calculator initialized with fallback rates:', err);
+    });
+    // Past-rate conversions ("€500 in USD on 2024-03-01") wait for their rates
+    this._loadRateTables().forEach(text => this.calcClient.importRates(text));
+    const provider = this._loadRatesProvider();
+    if (provider) {
+      this.calcClient.setRatesProvider(provider.id, provider.file, provider.name);
+    }
+    // Same rates as last session until they expire, and for as long as offline
+    const savedRates = this._loadSavedRates();
+    if (savedRates) {
+      this.calcClient.restoreRates(savedRates);
+    }
+    this.renderRatesStatus(savedRates);
+    this.calcClient.start();
+    this.calcClient.onRates(() => {
+      this.calculateAndRender(this.elements.editor?.value || '', { force: true });
     });
 
     // Sync scrolling
@@ -243,6 +287,53 @@ export const ui = {
                 if (this.onStartTour) this.onStartTour();
             });
         }
+
+        // Historical exchange rates import
+        if (this.elements.menuImportRatesBtn && this.elements.ratesFileInput) {
+            this.elements.menuImportRatesBtn.addEventListener('click', () => {
+                this.elements.ratesFileInput.click();
+            });
+            this.elements.ratesFileInput.addEventListener('change', async (e) => {
+                const [file] = e.target.files;
+                e.target.value = ''; // Allow importing the same file again
+                if (file) await this.importRatesFile(file);
+            });
+        }
+
+        if (this.elements.ratesRefreshBtn) {
+            this.elements.ratesRefreshBtn.addEventListener('click', () => {
+                if (this.elements.ratesStatus) this.elements.ratesStatus.textContent = 'Refreshing…';
+                this.calcClient.refreshRates();
+            });
+        }
+
+        // Exchange rate source; "Rates file" asks for the file to use
+        const providerSelect = this.elements.ratesProviderSelect;
+        if (providerSelect && this.elements.ratesProviderFileInput) {
+            providerSelect.value = this._loadRatesProvider()?.id || 'exchangerate-api';
+            providerSelect.addEventListener('change', () => {
+                const id = providerSelect.value;
+                if (id === 'file') {
+                    // Stays on the current source until a usable file is chosen
+                    providerSelect.value = this._loadRatesProvider()?.id || 'exchangerate-api';
+                    this.elements.ratesProviderFileInput.click();
+                } else {
+                    this.setRatesProvider({ id });
+                }
+            });
+            this.elements.ratesProviderFileInput.addEventListener('change', async (e) => {
+                const [file] = e.target.files;
+                e.target.value = '';
+                if (!file) return;
+                const text = await file.text();
+                if (parseRatesFile(text).size > 0) {
+                    this.setRatesProvider({ id: 'file', file: text, name: file.name });
+                    providerSelect.value = 'file';
+                } else {
+                    console.warn(`No exchange rates found in ${file.name}`);
+                }
+            });
+        }
     }
 
     // Command Bar Events
@@ -328,12 +419,8 @@ export const ui = {
   },
 
   async copyAllResults() {
-    const results = this.lastResults.filter(r => r && r.trim() !== '' && r !== '&nbsp;');
-    if (results.length === 0) return;
-    
-    // Extract plain text values
-    const plainValues = results.map(r => r.replace(/<[^>]*>/g, '').trim());
-    const text = plainValues.join('\n');
+    const text = resultsToPlainText(this.lastResults);
+    if (!text) return;
     
     try {
       await navigator.clipboard.writeText(text);
@@ -378,11 +465,30 @@ export const ui = {
       // Variable Assignment Highlighting (var = value or $var = value)
       // Use teal-500 for light mode and teal-400 for dark - more saturated and visible
       html = html.replace(VARIABLE_ASSIGN_REGEX, '<span class="text-teal-500 dark:text-teal-400 font-semibold">$1</span>$2$3');
+
+      // Note Directive Highlighting (precision exact, locale en-US, format to 2 dp, programmer 32-bit,
+      // rate EUR = 1.10 USD, currency GOLD = 0.02 USD, report currency EUR)
+      html = html.replace(DIRECTIVE_HIGHLIGHT_REGEX, '<span class="text-zinc-400 dark:text-zinc-500 font-medium">$1</span>');
+
+      // Function Definition Highlighting (name(a, b) = expression)
+      html = html.replace(FUNCTION_DEFINITION_HIGHLIGHT_REGEX, '<span class="text-indigo-500 dark:text-indigo-400 font-semibold">$1</span>$2$3');
+
+      // Cross-note Reference Highlighting ([[Note title]] or [[Note title]].variable)
+      html = html.replace(NOTE_REFERENCE_HIGHLIGHT_REGEX, '<span class="text-sky-600 dark:text-sky-400 font-medium">$1</span>');
       
       // Currency Highlighting (Purple)
-      // Highlight common currency codes (case insensitive)
+      // Highlight ISO currency codes
       // Use purple-500 for light mode and purple-300 for dark - more visible
       html = html.replace(HIGHLIGHT_CURRENCY_REGEX, '<span class="text-purple-500 dark:text-purple-300 font-medium">$1</span>');
+      html = html.replace(HIGHLIGHT_CURRENCY_WORD_REGEX, '$1<span class="text-purple-500 dark:text-purple-300 font-medium">$2</span>');
+      const customCurrencies = [...text.matchAll(CUSTOM_CURRENCY_DEFINITION_REGEX)]
+          .map(match => match[1])
+          .filter(code => !CURRENCY_CODES.includes(code.toUpperCase()) && !ASSET_CODES.includes(code.toUpperCase()));
+      if (customCurrencies.length > 0) {
+          // Outside of tags only, so a code like "span" can't break the markup
+          const customRegex = new RegExp(`\\b(${[...new Set(customCurrencies)].join('|')})\\b(?![^<]*>)`, 'g');
+          html = html.replace(customRegex, '<span class="text-purple-500 dark:text-purple-300 font-medium">$1</span>');
+      }
       
       // Handle trailing newline
       if (text.endsWith('\n')) {
@@ -825,14 +931,32 @@ price + tax`;
     calculateAndRender(text, { force = false } = {}) {
       // Skip calculation if text hasn't changed and not forced
       if (!force && text === this.lastCalculatedText) {
-        return this.lastResults;
+        return Promise.resolve(this.lastResults);
       }
       
-      const results = this.calculator.evaluate(text);
       this.lastCalculatedText = text;
-      this.lastResults = results;
-      this.renderResults(results);
-      return results;
+      const noteId = this.currentNoteId || 'default';
+      const previous = noteId === this.lastResultsNoteId ? this.lastResults : [];
+      
+      // Results stream in per revision; only the latest revision is rendered.
+      // Lines not received yet keep their previous result to avoid flicker.
+      // Chunks that arrive after another note was selected are dropped.
+      const isCurrent = () => noteId === (this.currentNoteId || 'default');
+      return this.calcClient.evaluate(noteId, text, (records, { lineCount }) => {
+        if (!isCurrent()) return;
+        const merged = records.concat(previous.slice(records.length, lineCount));
+        this.lastResults = merged;
+        this.lastResultsNoteId = noteId;
+        this.renderResults(merged);
+        this.updateStats(text, merged);
+      }).catch(error => {
+        if (!isCurrent()) return null;
+        // No engine to calculate with: say so rather than show stale results
+        const failed = { kind: 'empty', value: null, unit: null, text: '', error: { type: 'engine', message: `Calculations are unavailable: ${error.message}` } };
+        this.lastResults = [failed];
+        this.renderResults([failed]);
+        return null;
+      });
   },
 
   renderResults(results) {
@@ -842,21 +966,17 @@ price + tax`;
         // Measure each line's visual height using the highlighter's styling
         const lineHeights = this._measureLineHeights(lines);
         
-        this.elements.resultsDisplay.innerHTML = results.map((r, index) => {
+        this.elements.resultsDisplay.innerHTML = results.map((record, index) => {
           const height = lineHeights[index] || 'auto';
-          const heightStyle = height !== 'auto' ? `min-height: ${height}px;` : '';
+          // A block keeps its line's height and spreads over the lines below, so results stay aligned
+          const heightStyle = height !== 'auto' ? `${isBlockResult(record) ? 'height' : 'min-height'}: ${height}px;` : '';
           
-          if (!r || r.trim() === '' || r === '&nbsp;') {
-              return `<div style="${heightStyle}">&nbsp;</div>`;
+          const errorMarker = renderErrorHtml(record?.error);
+          if (!hasDisplayValue(record)) {
+              return `<div style="${heightStyle}">${errorMarker || '&nbsp;'}</div>`;
           }
-          // Extract plain text value from the HTML span
-          const plainValue = r.replace(/<[^>]*>/g, '').trim();
-          // Wrap the result span in a clickable container with beautiful styling
-          const clickableResult = r.replace(
-              /<span class="([^"]*)">/,
-              `<span class="$1 result-item cursor-pointer rounded-md px-1.5 inline-block transition-all duration-200 ease-out hover:bg-zinc-200/60 dark:hover:bg-zinc-700/50 hover:shadow-sm active:scale-95" data-value="${this._escapeHtml(plainValue)}" title="Click to copy">`
-          );
-          return `<div style="${heightStyle}">${clickableResult}</div>`;
+          // Clickable result span carrying its plain value for copy
+          return `<div style="${heightStyle}">${renderResultHtml(record, { interactive: true })}${errorMarker}</div>`;
       }).join('');
   },
 
@@ -933,6 +1053,100 @@ price + tax`;
       }
   },
 
+  /**
+   * Import a historical exchange rates file (CSV or JSON) and keep it for
+   * later visits
+   */
+  async importRatesFile(file) {
+      const label = this.elements.menuImportRatesLabel;
+      const text = await file.text();
+      const dates = parseRatesFile(text).size;
+
+      if (dates > 0) {
+          const tables = this._loadRateTables();
+          tables.push(text);
+          try {
+              localStorage.setItem(RATE_TABLES_STORAGE_KEY, JSON.stringify(tables));
+          } catch (e) {
+              console.warn('Could not save imported rates:', e);
+          }
+          this.calcClient.importRates(text);
+      }
+
+      if (label) {
+          const original = 'Import Past Rates';
+          label.textContent = dates > 0 ? `Imported ${dates} ${dates === 1 ? 'date' : 'dates'}` : 'No rates found';
+          setTimeout(() => { label.textContent = original; }, 2000);
+      }
+  },
+
+  _loadRateTables() {
+      try {
+          const tables = JSON.parse(localStorage.getItem(RATE_TABLES_STORAGE_KEY) || '[]');
+          return Array.isArray(tables) ? tables.filter(text => typeof text === 'string') : [];
+      } catch (e) {
+          return [];
+      }
+  },
+
+  /**
+   * Switch the exchange rate source ({ id, file, name }) and remember it
+   */
+  setRatesProvider(provider) {
+      try {
+          localStorage.setItem(RATES_PROVIDER_STORAGE_KEY, JSON.stringify(provider));
+      } catch (e) {
+          console.warn('Could not save the exchange rate source:', e);
+      }
+      this.calcClient.setRatesProvider(provider.id, provider.file || null, provider.name || null);
+  },
+
+  /**
+   * Show how old the exchange rates are; rates is what onReady listeners
+   * get (null: nothing fetched yet)
+   */
+  renderRatesStatus(rates) {
+      const status = this.elements.ratesStatus;
+      if (!status) return;
+
+      if (!rates || !rates.fetchedAt) {
+          status.textContent = 'Approximate rates';
+          status.title = rates?.error ? `Could not fetch rates: ${rates.error}` : 'Live rates not loaded yet';
+          return;
+      }
+      const asOf = new Date(rates.fetchedAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+      status.textContent = rates.error ? `As of ${asOf} (offline)` : `As of ${asOf}`;
+      status.title = rates.error ? `${rates.source} — refresh failed: ${rates.error}` : rates.source;
+  },
+
+  _saveRates(rates) {
+      if (!rates || !rates.fetchedAt) return;
+      const { provider, source, fetchedAt } = rates;
+      try {
+          localStorage.setItem(RATES_STORAGE_KEY, JSON.stringify({ provider, source, fetchedAt, rates: rates.rates }));
+      } catch (e) {
+          console.warn('Could not save exchange rates:', e);
+      }
+  },
+
+  _loadSavedRates() {
+      try {
+          const rates = JSON.parse(localStorage.getItem(RATES_STORAGE_KEY) || 'null');
+          return rates && typeof rates.fetchedAt === 'number' ? rates : null;
+      } catch (e) {
+          return null;
+      }
+  },
+
+  _loadRatesProvider() {
+      try {
+          const provider = JSON.parse(localStorage.getItem(RATES_PROVIDER_STORAGE_KEY) || 'null');
+          return provider && typeof provider.id === 'string' ? provider : null;
+      } catch (e) {
+          return null;
+      }
+  },
+
   updateStats(text, results) {
       if (!this.elements.statLines) return;
       
@@ -942,16 +1156,18 @@ price + tax`;
       // Count calculations (lines with non-empty results)
       let calcCount = 0;
       let total = 0;
+      const units = new Set();
       
-      results.forEach((result, index) => {
-          if (result && result.trim() !== '') {
-              calcCount++;
-              // Try to extract numeric value for total
-              const numMatch = result.replace(/[^0-9.-]/g, '');
-              const num = parseFloat(numMatch);
-              if (!isNaN(num) && isFinite(num)) {
-                  total += num;
-              }
+      results.forEach((record, index) => {
+          if (!hasDisplayValue(record)) return;
+          calcCount++;
+          // Only plain numbers and money contribute to the total; sum/total/avg
+          // lines already add up the lines above them
+          if ((record.kind === 'number' || record.kind === 'currency') &&
+              typeof record.value === 'number' && isFinite(record.value) &&
+              !STATS_AGGREGATE_REGEX.test(lines[index] || '')) {
+              total += record.value;
+              units.add(record.kind === 'currency' ? record.unit : null);
           }
       });
       
@@ -961,24 +1177,37 @@ price + tax`;
           return /^[\$]?[a-zA-Z_][a-zA-Z0-9_]*\s*=/.test(trimmed);
       }).length;
       
+      // User-defined functions, listed by signature
+      const definitions = results
+          .filter(record => record && record.kind === 'definition')
+          .map(record => record.value);
+      
       // Update UI
       this.elements.statLines.textContent = lineCount;
       this.elements.statCalculations.textContent = calcCount;
       this.elements.statVariables.textContent = varCount;
+      this.elements.statDefinitions.textContent = definitions.length > 0 ? definitions.join(', ') : '—';
       
-      // Format total nicely
+      // Format total nicely; amounts in different currencies (or money and
+      // plain numbers) have no meaningful total
+      if (units.size > 1) {
+          this.elements.statTotal.textContent = '—';
+          return;
+      }
+      const [unit] = units;
+      let formatted;
       if (Math.abs(total) >= 1000000) {
-          this.elements.statTotal.textContent = total.toExponential(2);
+          formatted = total.toExponential(2);
       } else if (Math.abs(total) >= 1000) {
-          this.elements.statTotal.textContent = total.toLocaleString(undefined, { maximumFractionDigits: 2 });
+          formatted = total.toLocaleString(undefined, { maximumFractionDigits: 2 });
       } else {
-          this.elements.statTotal.textContent = total.toLocaleString(undefined, { maximumFractionDigits: 4 });
+          formatted = total.toLocaleString(undefined, { maximumFractionDigits: 4 });
       }
+      this.elements.statTotal.textContent = unit ? `${formatted} ${unit}` : formatted;
   },
 
   _escapeHtml(unsafe) {
-    // Use cached regex and map for performance
-    return unsafe.replace(HTML_ESCAPE_REGEX, char => HTML_ESCAPE_MAP[char]);
+    return escapeHtml(unsafe);
  },
 
   _getDisplayTitle(title) {
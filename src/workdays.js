@@ -0,0 +1,155 @@
+/**
+ * Working Calendar - business days and working hours
+ * A workweek says when people work:
+ *   {
+ *     weekend,                  weekdays off, 0 = Sunday: [6, 0]
+ *     hours,                    working time of a workday, in minutes after
+ *                               midnight: [540, 1020] is 9:00-17:00
+ *     region                    holiday calendar whose public holidays are
+ *                               days off (see HOLIDAY_CALENDARS)
+ *   }
+ * Dates are local. A workday is a day that is neither weekend nor a public
+ * holiday, as observed when the holiday falls on the weekend.
+ * workingHoursOverlap applies a workweek's hours and weekend in other time
+ * zones, for meetings across them.
+ */
+
+import { DEFAULT_HOLIDAY_REGION, HOLIDAY_CALENDARS, holidayDate, holidayRegion } from './holidays.js';
+import { zonedTime } from './timezones.js';
+
+const MAX_DAYS = 100000; // About 270 years; keeps a typo like "1e9 business days" from hanging the note
+
+export const DEFAULT_WORKWEEK = { weekend: [6, 0], hours: [9 * 60, 17 * 60], region: DEFAULT_HOLIDAY_REGION };
+
+const daysOffCache = new Map(); // "region:weekend:year" → Set of dayKey()s
+
+export function isWorkday(date, workweek = DEFAULT_WORKWEEK) {
+    return !workweek.weekend.includes(date.getDay()) && !daysOff(date.getFullYear(), workweek).has(dayKey(date));
+}
+
+/**
+ * The day `count` workdays after `date` (before it, for a negative count);
+ * `date` itself is not counted
+ */
+export function addWorkdays(date, count, workweek = DEFAULT_WORKWEEK) {
+    checkSpan(count);
+    const step = count < 0 ? -1 : 1;
+    let day = startOfDay(date);
+    for (let left = Math.abs(count); left > 0;) {
+        day = shiftDays(day, step);
+        if (isWorkday(day, workweek)) left--;
+    }
+    return day;
+}
+
+/**
+ * Workdays from one day to another, both included; negative when `to`
+ * comes first
+ */
+export function countWorkdays(from, to, workweek = DEFAULT_WORKWEEK) {
+    let day = startOfDay(from);
+    const last = startOfDay(to);
+    if (last < day) return -countWorkdays(to, from, workweek);
+
+    let count = 0;
+    for (let span = 0; day <= last; day = shiftDays(day, 1)) {
+        checkSpan(++span);
+        if (isWorkday(day, workweek)) count++;
+    }
+    return count;
+}
+
+/**
+ * Working hours between two moments: the parts of each workday's working
+ * time that fall between them; negative when `to` comes first
+ */
+export function countWorkingHours(from, to, workweek = DEFAULT_WORKWEEK) {
+    if (to < from) return -countWorkingHours(to, from, workweek);
+
+    const [start, end] = workweek.hours;
+    let ms = 0;
+    for (let day = startOfDay(from), span = 0; day <= to; day = shiftDays(day, 1)) {
+        checkSpan(++span);
+        if (!isWorkday(day, workweek)) continue;
+        const opens = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, start);
+        const closes = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, end);
+        ms += Math.max(0, Math.min(closes, to) - Math.max(opens, from));
+    }
+    return ms / (60 * 60 * 1000);
+}
+
+/**
+ * When the working hours of every zone overlap, on the day of `date` in the
+ * first zone: [[start, end], ...] as Dates, earliest first. Others may be
+ * on the day before or after there. Weekend days have no working hours.
+ */
+export function workingHoursOverlap(zones, date, workweek = DEFAULT_WORKWEEK) {
+    const [start, end] = workweek.hours;
+    const shifts = (zone, days) => days
+        .map(offset => shiftDays(date, offset))
+        .filter(day => !workweek.weekend.includes(day.getDay()))
+        .map(day => [start, end].map(minutes => zonedTime(day.getFullYear(), day.getMonth(), day.getDate(), minutes, zone).getTime()));
+
+    let windows = shifts(zones[0], [0]);
+    for (const zone of zones.slice(1)) {
+        const others = shifts(zone, [-1, 0, 1]);
+        windows = windows.flatMap(([from, to]) => others
+            .map(([otherFrom, otherTo]) => [Math.max(from, otherFrom), Math.min(to, otherTo)])
+            .filter(([from, to]) => from < to));
+    }
+    return windows.map(([from, to]) => [new Date(from), new Date(to)]);
+}
+
+// Public holidays of a year as observed (plus the neighbouring years' that
+// move into it, like a Saturday New Year's Day observed on December 31)
+function daysOff(year, workweek) {
+    const region = holidayRegion(workweek.region) || DEFAULT_HOLIDAY_REGION;
+    const key = `${region}:${workweek.weekend.join(',')}:${year}`;
+    let days = daysOffCache.get(key);
+    if (days) return days;
+
+    const calendar = HOLIDAY_CALENDARS[region];
+    const isWeekend = date => workweek.weekend.includes(date.getDay());
+    const holidays = [year - 1, year, year + 1]
+        .flatMap(y => calendar.daysOff.map(name => holidayDate(name, y, region)))
+        .sort((a, b) => a - b);
+    const taken = new Set(holidays.map(dayKey));
+
+    days = new Set();
+    for (const date of holidays) {
+        let observed = date;
+        if (isWeekend(date) && calendar.observed) {
+            const before = shiftDays(date, -1);
+            if (calendar.observed === 'nearest' && !isWeekend(before)) {
+                observed = before;
+            } else {
+                // Past the weekend and any holiday already there ("next": Christmas
+                // on Saturday, Boxing Day on Sunday → Monday and Tuesday)
+                do {
+                    observed = shiftDays(observed, 1);
+                } while (isWeekend(observed) || taken.has(dayKey(observed)) || days.has(dayKey(observed)));
+            }
+        }
+        days.add(dayKey(observed));
+    }
+    daysOffCache.set(key, days);
+    return days;
+}
+
+function checkSpan(days) {
+    if (Math.abs(days) > MAX_DAYS) {
+        throw new RangeError('Too many days to count');
+    }
+}
+
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function shiftDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function dayKey(date) {
+    return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
@@ -0,0 +1,371 @@
+/**
+ * Calculation Engine Test Suite
+ * Tests for the worker message protocol, in and out of a worker
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { createCalcEngine, attachEngine } from '../src/calcEngine.js';
+import { createCalcClient } from '../src/calcClient.js';
+import { currencyService } from '../src/currencyService.js';
+
+// Mock currencyService
+vi.mock('../src/currencyService.js', () => ({
+    currencyService: {
+        fetchRates: vi.fn().mockResolvedValue({ USD: 1, EUR: 0.92 }),
+        fetchAssetPrices: vi.fn().mockResolvedValue({}),
+        getRates: vi.fn().mockReturnValue({ USD: 1, EUR: 0.92 }),
+        importRatesFile: vi.fn().mockReturnValue(1),
+        onHistoricalRates: vi.fn(),
+        setProvider: vi.fn(),
+        getRatesInfo: vi.fn().mockReturnValue({ provider: 'stub', source: 'Stub', fetchedAt: 1, rates: { USD: 1, EUR: 0.92 }, error: null }),
+        restoreRates: vi.fn().mockReturnValue(true),
+        expireRates: vi.fn()
+    }
+}));
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 20));
+
+function manyLines(count) {
+    return Array.from({ length: count }, (_, i) => `${i} + 1`).join('\n');
+}
+
+/**
+ * A fake Worker whose "inside" is wired with attachEngine, exactly like
+ * calculatorWorker.js does with the real worker global scope.
+ */
+function createFakeWorker() {
+    const scope = { onmessage: null, postMessage: null };
+    const worker = {
+        onmessage: null,
+        onerror: null,
+        postMessage: (data) => setTimeout(() => scope.onmessage({ data }), 0),
+        terminate: vi.fn()
+    };
+    scope.postMessage = (data) => setTimeout(() => worker.onmessage({ data }), 0);
+    attachEngine(scope);
+    return worker;
+}
+
+describe('Calculation Engine', () => {
+    describe('createCalcEngine', () => {
+        it('should answer an evaluate request with records', async () => {
+            const messages = [];
+            const engine = createCalcEngine(message => messages.push(message));
+
+            await engine.handleMessage({ type: 'evaluate', noteId: 'a', revision: 1, text: '2 + 3\n$10' });
+
+            const results = messages.filter(m => m.type === 'result');
+            expect(results).toHaveLength(1);
+            expect(results[0]).toMatchObject({ noteId: 'a', revision: 1, start: 0, lineCount: 2, done: true });
+            expect(results[0].records[0]).toMatchObject({ kind: 'number', value: 5, text: '5' });
+            expect(results[0].records[1]).toMatchObject({ kind: 'currency', unit: 'USD' });
+        });
+
+        it('should stream large notes in chunks', async () => {
+            const messages = [];
+            const engine = createCalcEngine(message => messages.push(message));
+
+            await engine.handleMessage({ type: 'evaluate', noteId: 'a', revision: 1, text: manyLines(250) });
+
+            const results = messages.filter(m => m.type === 'result');
+            expect(results.map(m => m.start)).toEqual([0, 100, 200]);
+            expect(results.map(m => m.done)).toEqual([false, false, true]);
+            expect(results[2].records).toHaveLength(50);
+        });
+
+        it('should stop a stale revision when a newer one arrives', async () => {
+            const messages = [];
+            const engine = createCalcEngine(message => messages.push(message));
+
+            const first = engine.handleMessage({ type: 'evaluate', noteId: 'a', revision: 1, text: manyLines(300) });
+            const second = engine.handleMessage({ type: 'evaluate', noteId: 'a', revision: 2, text: '1 + 1' });
+            await Promise.all([first, second]);
+
+            const results = messages.filter(m => m.type === 'result');
+            expect(results.filter(m => m.revision === 1 && m.done)).toHaveLength(0);
+            expect(results.filter(m => m.revision === 2 && m.done)).toHaveLength(1);
+        });
+
+        it('should stop work on cancel', async () => {
+            const messages = [];
+            const engine = createCalcEngine(message => messages.push(message));
+
+            const run = engine.handleMessage({ type: 'evaluate', noteId: 'a', revision: 1, text: manyLines(300) });
+            engine.handleMessage({ type: 'cancel', noteId: 'a' });
+            await run;
+
+            expect(messages.filter(m => m.type === 'result' && m.done)).toHaveLength(0);
+        });
+
+        it('should keep notes independent', async () => {
+            const messages = [];
+            const engine = createCalcEngine(message => messages.push(message));
+
+            await engine.handleMessage({ type: 'evaluate', noteId: 'a', revision: 1, text: 'x = 1\nx' });
+            await engine.handleMessage({ type: 'evaluate', noteId: 'b', revision: 2, text: 'x' });
+
+            const last = messages.filter(m => m.type === 'result').pop();
+            expect(last.records[0].text).toBe('');
+        });
+
+        it('should apply the configured locale to every note', async () => {
+            const messages = [];
+            const engine = createCalcEngine(message => messages.push(message));
+
+            engine.handleMessage({ type: 'config', locale: 'en-US' });
+            await engine.handleMessage({ type: 'evaluate', noteId: 'a', revision: 1, text: '1.5 + 1,000' });
+
+            const [result] = messages.filter(m => m.type === 'result');
+            expect(result.records[0].text).toBe('1,001.5');
+        });
+
+        it('should import rate tables and announce historical rates', async () => {
+            const messages = [];
+            const engine = createCalcEngine(message => messages.push(message));
+
+            engine.handleMessage({ type: 'rates', text: 'date,EUR\n2024-03-01,0.92' });
+            expect(currencyService.importRatesFile).toHaveBeenCalledWith('date,EUR\n2024-03-01,0.92');
+
+            const [listener] = currencyService.onHistoricalRates.mock.calls.at(-1);
+            listener();
+            expect(messages).toContainEqual({ type: 'rates' });
+        });
+
+        it('should switch rate providers and announce the new rates', async () => {
+            const messages = [];
+            const engine = createCalcEngine(message => messages.push(message));
+            engine.handleMessage({ type: 'start' });
+            await vi.waitFor(() => expect(messages.map(m => m.type)).toContain('ready'));
+            messages.length = 0;
+
+            engine.handleMessage({ type: 'provider', id: 'frankfurter' });
+            expect(currencyService.setProvider).toHaveBeenLastCalledWith('frankfurter');
+            engine.handleMessage({ type: 'provider', id: 'file', file: 'date,EUR\n2024-03-01,0.92', name: 'treasury.csv' });
+            expect(currencyService.setProvider).toHaveBeenLastCalledWith(expect.objectContaining({ id: 'file', name: 'treasury.csv', offline: true }));
+
+            await vi.waitFor(() => expect(messages.filter(m => m.type === 'ready')).toHaveLength(2));
+        });
+
+        it('should restore saved rates and announce refreshed ones', async () => {
+            const messages = [];
+            const engine = createCalcEngine(message => messages.push(message));
+            const saved = { provider: 'stub', source: 'Stub', fetchedAt: 1, rates: { USD: 1, EUR: 0.9 } };
+
+            engine.handleMessage({ type: 'restoreRates', rates: saved });
+            expect(currencyService.restoreRates).toHaveBeenCalledWith(saved);
+            engine.handleMessage({ type: 'start' });
+            await vi.waitFor(() => expect(messages.filter(m => m.type === 'ready')).toHaveLength(1));
+
+            engine.handleMessage({ type: 'refreshRates' });
+            expect(currencyService.expireRates).toHaveBeenCalled();
+            await vi.waitFor(() => expect(messages.filter(m => m.type === 'ready')).toHaveLength(2));
+            expect(messages.at(-1).rates).toMatchObject({ source: 'Stub', fetchedAt: 1 });
+        });
+
+        it('should configure currencies only once started', async () => {
+            const messages = [];
+            const engine = createCalcEngine(message => messages.push(message));
+            await flush();
+            expect(messages).toEqual([]);
+
+            engine.handleMessage({ type: 'start' });
+            await vi.waitFor(() => expect(messages.map(m => m.type)).toEqual(['ready']));
+        });
+
+        it('should make non-plain values cloneable', async () => {
+            const messages = [];
+            const engine = createCalcEngine(message => messages.push(message));
+
+            await engine.handleMessage({ type: 'evaluate', noteId: 'a', revision: 1, text: '[1, 2] + [3, 4]' });
+
+            const [result] = messages.filter(m => m.type === 'result');
+            expect(() => structuredClone(result)).not.toThrow();
+            expect(result.records[0].value).toBe(result.records[0].text);
+        });
+    });
+
+    describe('Cross-note References', () => {
+        const resultsOf = (messages, noteId) =>
+            messages.filter(m => m.type === 'result' && m.noteId === noteId).pop().records;
+
+        it('should resolve references against synced notes', async () => {
+            const messages = [];
+            const engine = createCalcEngine(message => messages.push(message));
+
+            engine.handleMessage({ type: 'notes', notes: [
+                { id: 'salary', content: '# Salary\nnet = 3000\n1000' },
+                { id: 'rent', content: 'Rent split\nshare = [[salary]].net / 3' }
+            ] });
+            await engine.handleMessage({ type: 'evaluate', noteId: 'trip', revision: 1, text: 'Trip\n[[Rent split]].share\n[[Salary]]' });
+
+            const records = resultsOf(messages, 'trip');
+            expect(records[1].text).toBe('1.000');
+            expect(records[2].text).toBe('4.000');
+        });
+
+        it('should report circular references', async () => {
+            const messages = [];
+            const engine = createCalcEngine(message => messages.push(message));
+
+            engine.handleMessage({ type: 'notes', notes: [
+                { id: 'a', content: 'A\n[[B]] + 1' },
+                { id: 'b', content: 'B\n[[A]] + 1' }
+            ] });
+            await engine.handleMessage({ type: 'evaluate', noteId: 'a', revision: 1, text: 'A\n[[B]] + 1' });
+
+            expect(resultsOf(messages, 'a')[1].error).toMatchObject({
+                type: 'circular-reference',
+                message: 'Circular reference: A → B → A'
+            });
+        });
+
+        it('should notify dependents when a referenced note changes', async () => {
+            const messages = [];
+            const engine = createCalcEngine(message => messages.push(message));
+
+            engine.handleMessage({ type: 'notes', notes: [{ id: 'salary', content: 'Salary\nnet = 3000' }] });
+            await engine.handleMessage({ type: 'evaluate', noteId: 'trip', revision: 1, text: 'Trip\n[[Salary]].net' });
+            engine.handleMessage({ type: 'note', id: 'salary', content: 'Salary\nnet = 3500' });
+
+            expect(messages.filter(m => m.type === 'stale')).toEqual([{ type: 'stale', noteIds: ['trip'] }]);
+
+            await engine.handleMessage({ type: 'evaluate', noteId: 'trip', revision: 2, text: 'Trip\n[[Salary]].net' });
+            expect(resultsOf(messages, 'trip')[1].text).toBe('3.500');
+        });
+
+        it('should notify every note that depends on a change, directly or not', async () => {
+            const messages = [];
+            const engine = createCalcEngine(message => messages.push(message));
+
+            engine.handleMessage({ type: 'notes', notes: [
+                { id: 'salary', content: 'Salary\nnet = 3000' },
+                { id: 'rent', content: 'Rent split\nshare = [[Salary]].net / 3' }
+            ] });
+            await engine.handleMessage({ type: 'evaluate', noteId: 'trip', revision: 1, text: 'Trip\n[[Salary]].net' });
+            await engine.handleMessage({ type: 'evaluate', noteId: 'budget', revision: 1, text: 'Budget\n[[Rent split]].share' });
+            engine.handleMessage({ type: 'note', id: 'salary', content: 'Salary\nnet = 3600' });
+
+            expect(messages.filter(m => m.type === 'stale')).toEqual([{ type: 'stale', noteIds: ['trip', 'budget'] }]);
+        });
+
+                it('should notify dependents when a missing note is created', async () => {
+            const messages = [];
+            const engine = createCalcEngine(message => messages.push(message));
+
+            await engine.handleMessage({ type: 'evaluate', noteId: 'trip', revision: 1, text: 'Trip\n[[Budget]]' });
+            expect(resultsOf(messages, 'trip')[1].error.type).toBe('unknown-note');
+
+            engine.handleMessage({ type: 'note', id: 'budget', content: 'Budget\n200' });
+            expect(messages.filter(m => m.type === 'stale')).toHaveLength(1);
+        });
+
+        it('should not notify notes unrelated to the change', async () => {
+            const messages = [];
+            const engine = createCalcEngine(message => messages.push(message));
+
+            engine.handleMessage({ type: 'notes', notes: [{ id: 'salary', content: 'Salary\n3000' }] });
+            await engine.handleMessage({ type: 'evaluate', noteId: 'trip', revision: 1, text: 'Trip\n1 + 1' });
+            engine.handleMessage({ type: 'note', id: 'salary', content: null });
+
+            expect(messages.filter(m => m.type === 'stale')).toHaveLength(0);
+        });
+    });
+
+    describe('createCalcClient', () => {
+        it('should evaluate in-process when no worker is available', async () => {
+            const client = createCalcClient({ createWorker: () => null });
+            expect(client.usesWorker).toBe(false);
+
+            const records = await client.evaluate('a', '6 * 7');
+            expect(records[0].text).toBe('42');
+        });
+
+        it('should evaluate through a worker', async () => {
+            const client = createCalcClient({ createWorker: createFakeWorker });
+            expect(client.usesWorker).toBe(true);
+
+            const records = await client.evaluate('a', '6 * 7\nsum');
+            expect(records.map(r => r.text)).toEqual(['42', '42']);
+        });
+
+        it('should report streamed chunks of the current revision', async () => {
+            const client = createCalcClient({ createWorker: createFakeWorker });
+            const updates = [];
+
+            await client.evaluate('a', manyLines(150), (records, { done }) => updates.push([records.length, done]));
+
+            expect(updates).toEqual([[100, false], [150, true]]);
+        });
+
+        it('should resolve superseded revisions with null', async () => {
+            const client = createCalcClient({ createWorker: createFakeWorker });
+
+            const first = client.evaluate('a', '1 + 1');
+            const second = client.evaluate('a', '2 + 2');
+
+            expect(await first).toBeNull();
+            expect((await second)[0].text).toBe('4');
+        });
+
+        it('should fall back to in-process evaluation when the worker fails', async () => {
+            const worker = createFakeWorker();
+            worker.postMessage = vi.fn();
+            const client = createCalcClient({ createWorker: () => worker });
+
+            const pending = client.evaluate('a', '3 * 3');
+            worker.onerror({ message: 'boom' });
+
+            expect((await pending)[0].text).toBe('9');
+            expect(worker.terminate).toHaveBeenCalled();
+            expect(client.usesWorker).toBe(false);
+        });
+
+        it('should reject requests when no engine can be loaded', async () => {
+            const error = new Error('offline');
+            const client = createCalcClient({ createWorker: () => null, loadEngine: () => Promise.reject(error) });
+            vi.spyOn(console, 'error').mockImplementation(() => {});
+
+            await expect(client.evaluate('a', '1 + 1')).rejects.toBe(error);
+            await expect(client.evaluate('a', '2 + 2')).rejects.toBe(error);
+            console.error.mockRestore();
+        });
+
+        it('should announce rates after start, also from the fallback engine', async () => {
+            const worker = createFakeWorker();
+            worker.postMessage = vi.fn();
+            const client = createCalcClient({ createWorker: () => worker });
+            const ready = vi.fn();
+            client.onReady(ready);
+
+            client.start();
+            expect(worker.postMessage).toHaveBeenLastCalledWith({ type: 'start' });
+            worker.onerror({ message: 'boom' });
+
+            await vi.waitFor(() => expect(ready).toHaveBeenCalled());
+        });
+
+        it('should forward stale notifications for synced notes', async () => {
+            const client = createCalcClient({ createWorker: createFakeWorker });
+            const stale = [];
+            client.onStale(noteIds => stale.push(noteIds));
+
+            client.syncNotes([{ id: 'salary', content: 'Salary\n3000' }]);
+            await client.evaluate('trip', 'Trip\n[[Salary]] * 2');
+            client.updateNote('salary', 'Salary\n4000');
+            await flush();
+
+            expect(stale).toEqual([['trip']]);
+            expect((await client.evaluate('trip', 'Trip\n[[Salary]] * 2'))[1].text).toBe('8.000');
+        });
+
+        it('should resolve cancelled requests with null', async () => {
+            const client = createCalcClient({ createWorker: createFakeWorker });
+
+            const pending = client.evaluate('a', '1 + 1');
+            client.cancel('a');
+
+            expect(await pending).toBeNull();
+            await flush();
+        });
+    });
+});
@@ -18,6 +18,7 @@ vi.mock('../src/currencyService.js', () => ({
             CAD: 1.35,
             AUD: 1.53
         }),
+        fetchAssetPrices: vi.fn().mockResolvedValue({}),
         getRates: vi.fn().mockReturnValue({
             USD: 1,
             EUR: 0.92,
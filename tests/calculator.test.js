@@ -3,8 +3,9 @@
  * Tests for the Numla calculator functionality
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { Calculator } from '../src/calculator.js';
+import { currencyService } from '../src/currencyService.js';
 
 // Mock currencyService
 vi.mock('../src/currencyService.js', () => ({
@@ -15,12 +16,14 @@ vi.mock('../src/currencyService.js', () => ({
             GBP: 0.79,
             JPY: 150.0
         }),
+        fetchAssetPrices: vi.fn().mockResolvedValue({}),
         getRates: vi.fn().mockReturnValue({
             USD: 1,
             EUR: 0.92,
             GBP: 0.79,
             JPY: 150.0
-        })
+        }),
+        getHistoricalRates: vi.fn().mockReturnValue({ status: 'missing' })
     }
 }));
 
@@ -121,6 +124,23 @@ describe('Calculator', () => {
             const results = calc.evaluate('£10');
             expect(results[0]).toContain('10');
         });
+
+        it('should read currency signs before or after the amount', () => {
+            const records = calc.evaluateLines('50€\n5k€\n€ 1,5M\n¥1500\n1500 円\n100 zł\nR$50');
+            expect(records.slice(0, 5).map(r => r.text)).toEqual(['€ 50', '€ 5.000', '€ 1.500.000', '¥ 1.500', '¥ 1.500']);
+            expect(records[5].error.message).toBe('Unknown currency "PLN"');
+            expect(records[6].error.message).toBe('Unknown currency "BRL"');
+        });
+
+        it('should read a shared sign as the currency of the note\'s region', () => {
+            expect(new Calculator({ locale: 'nb-NO' }).evaluateLines('100 kr')[0].error.message).toBe('Unknown currency "NOK"');
+            expect(new Calculator({ locale: 'sv-SE' }).evaluateLines('kr 100')[0].error.message).toBe('Unknown currency "SEK"');
+        });
+
+        it('should show amounts with the currency\'s own decimals', () => {
+            const records = calc.evaluateLines('¥1500,6\n€1,256\n$10,1 in JPY');
+            expect(records.map(r => r.text)).toEqual(['¥ 1.501', '€ 1,26', '¥ 1.515']);
+        });
     });
 
     describe('Variable Assignment', () => {
@@ -360,6 +380,55 @@ describe('Calculator', () => {
             const results = calc.evaluate('time in Tokyo');
             expect(results[0]).toMatch(/\d{1,2}:\d{2}\s*(AM|PM)/i);
         });
+
+        describe('in January', () => {
+            // Intl puts a narrow no-break space before AM/PM
+            const text = (record) => record.text.replace(/[^\S\n]/g, ' ');
+
+            beforeEach(() => {
+                vi.useFakeTimers({ toFake: ['Date'] });
+                vi.setSystemTime(new Date(Date.UTC(2026, 0, 15, 12)));
+            });
+
+            afterEach(() => {
+                vi.useRealTimers();
+            });
+
+            it('should know any IANA zone and its cities', () => {
+                const results = calc.evaluateLines('time in Lisbon\ntime in São Paulo\nAsia/Kathmandu time\ntime in Japan');
+                expect(results.map(text)).toEqual(['12:00 PM WET', '9:00 AM BRT', '5:45 PM NPT', '9:00 PM JST']);
+            });
+
+            it('should show one time in several places', () => {
+                const results = calc.evaluateLines('3pm PST in London, Tokyo and Berlin\ntime in New York, Sydney');
+                expect(results.map(text)).toEqual(['11:00 PM GMT, 8:00 AM JST (+1 day), 12:00 AM CET (+1 day)', '7:00 AM EST, 11:00 PM AEDT']);
+                expect(calc.evaluateLines('time in London, Atlantis')[0].kind).toBe('empty');
+            });
+
+            it('should convert times on a given day', () => {
+                const results = calc.evaluateLines('Friday 9am EST in Tokyo\n2026-03-29 02:30 CET in UTC\n9am Tokyo in New York\nMarch 10 2027 at 9:30 New York in London, Sydney');
+                expect(results.map(text)).toEqual([
+                    'Fri 11:00 PM JST',
+                    // 2:30 does not exist that night in Paris: still standard time
+                    'Sun 1:30 AM UTC',
+                    '7:00 PM EST (−1 day)',
+                    'Wed 2:30 PM GMT, Thu 1:30 AM AEDT'
+                ]);
+                expect(calc.evaluateLines('100 USD in EUR')[0].kind).toBe('currency');
+            });
+
+            it('should plan meetings where working hours overlap', () => {
+                const records = calc.evaluateLines('overlap New York, Berlin 9-18\noverlap New York, Berlin, Tokyo 9-18\noverlap New York, Berlin on Saturday');
+                expect(text(records[0])).toBe('9:00 AM – 12:00 PM EST\n3:00 – 6:00 PM CET');
+                expect(records.slice(1).map(text)).toEqual(['No overlap', 'No overlap']);
+            });
+
+            it('should use the note\'s working hours and report unknown places', () => {
+                const records = calc.evaluateLines('working hours 8-16\noverlap London, Dubai\noverlap London, Atlantis');
+                expect(text(records[1])).toBe('8:00 AM – 12:00 PM GMT\n12:00 – 4:00 PM GST');
+                expect(records[2].error).toMatchObject({ type: 'unknown-timezone', message: 'Unknown place "Atlantis"' });
+            });
+        });
     });
 
     describe('CSS Units', () => {
@@ -402,4 +471,731 @@ describe('Calculator', () => {
             expect(results[1]).toContain('10');
         });
     });
+    describe('Structured Results', () => {
+        it('should return one record per line', () => {
+            const records = calc.evaluateLines('2 + 3\n\n# note');
+            expect(records).toHaveLength(3);
+            expect(records[0]).toMatchObject({ kind: 'number', value: 5, unit: null, text: '5', error: null });
+            expect(records[1].kind).toBe('empty');
+            expect(records[2].kind).toBe('empty');
+        });
+
+        it('should expose currency value and unit', () => {
+            const [record] = calc.evaluateLines('$1234.5');
+            expect(record.kind).toBe('currency');
+            expect(record.unit).toBe('USD');
+            expect(record.value).toBeCloseTo(1234.5);
+            expect(record.text).toBe('$ 1.234,5');
+        });
+
+        it('should describe units, percentages and dates', () => {
+            const records = calc.evaluateLines('5 km + 3000 m\ntax = 22%\ntoday');
+            expect(records[0]).toMatchObject({ kind: 'unit', value: 8, unit: 'km' });
+            expect(records[1]).toMatchObject({ kind: 'percent', value: 0.22, text: '22 %' });
+            expect(records[2].kind).toBe('date');
+            expect(records[2].value).toBeInstanceOf(Date);
+        });
+
+        it('should keep the raw number for base-formatted output', () => {
+            const [record] = calc.evaluateLines('255 in hex');
+            expect(record).toMatchObject({ kind: 'number', value: 255, text: '0xFF' });
+        });
+
+        it('should record an error for lines that fail to evaluate', () => {
+            const [record] = calc.evaluateLines('prce * 2');
+            expect(record.kind).toBe('empty');
+            expect(record.text).toBe('');
+            expect(record.error).not.toBeNull();
+        });
+
+        it('should render the same markup through evaluate()', () => {
+            const [html] = calc.evaluate('6 * 7');
+            expect(html).toBe('<span class="text-blue-600 dark:text-blue-400 font-medium">42</span>');
+        });
+    });
+
+    describe('Error Diagnostics', () => {
+        it('should report undefined symbols', () => {
+            const [record] = calc.evaluateLines('prce * 2');
+            expect(record.error).toMatchObject({ type: 'undefined-symbol', message: '"prce" is not defined' });
+        });
+
+        it('should report undefined $ variables by their typed name', () => {
+            const [record] = calc.evaluateLines('$RATE * 8');
+            expect(record.error.message).toContain('$RATE');
+        });
+
+        it('should report incompatible units', () => {
+            const [record] = calc.evaluateLines('5 km + 3 kg');
+            expect(record.error.type).toBe('incompatible-units');
+        });
+
+        it('should report unknown currencies and keep the unconverted value', () => {
+            const [record] = calc.evaluateLines('$10 in XYZ');
+            expect(record.text).toContain('10');
+            expect(record.error).toMatchObject({ type: 'unknown-currency', message: 'Unknown currency "XYZ"' });
+        });
+
+        it('should report syntax errors with a column', () => {
+            const [record] = calc.evaluateLines('  5 +* 3');
+            expect(record.error.type).toBe('syntax');
+            expect(record.error.column).toBe(6);
+        });
+
+        it('should not flag prose lines', () => {
+            const records = calc.evaluateLines('Monthly budget\nTrip to Paris 2024\nfollow-up with Anna\nItems (see below)\nrent = 5\nRent is due');
+            records.filter(record => record.kind === 'empty').forEach(record => expect(record.error).toBeNull());
+        });
+
+        it('should suggest a name for a misspelled variable or keyword', () => {
+            const records = calc.evaluateLines('rent = 500\nrnt * 2\ntotl');
+            expect(records[1].error.message).toBe('"rnt" is not defined, did you mean "rent"?');
+            expect(records[2].error.message).toBe('"totl" is not defined, did you mean "total"?');
+        });
+
+        it('should only flag the definition of a built-in name, not its calls', () => {
+            const records = calc.evaluateLines('g(x) = x * 2\ng(3)\nsum(a) = a\nsum(2)');
+            expect(records[0].error.type).toBe('reserved-name');
+            expect(records[1].error).toBeNull();
+            expect(records[2].error.type).toBe('reserved-name');
+            expect(records[3].error).toBeNull();
+        });
+
+        it('should keep legacy evaluate() output empty for failed lines', () => {
+            expect(calc.evaluate('prce * 2')[0]).toBe('');
+        });
+    });
+
+    describe('Incremental Evaluation', () => {
+        it('should only re-evaluate the edited line', () => {
+            calc.evaluateLines('1 + 1\n2 + 2\n3 + 3');
+            const records = calc.evaluateLines('1 + 1\n2 + 2\n4 + 4');
+            expect(records[2].text).toBe('8');
+            expect(calc.lastRunStats).toEqual({ evaluated: 1, reused: 2 });
+        });
+
+        it('should re-evaluate lines that read a changed variable', () => {
+            calc.evaluateLines('$A = 1\n$A * 2\n5');
+            const records = calc.evaluateLines('$A = 2\n$A * 2\n5');
+            expect(records[1].text).toBe('4');
+            expect(calc.lastRunStats).toEqual({ evaluated: 2, reused: 1 });
+        });
+
+        it('should recompute running aggregates downstream of an edit', () => {
+            calc.evaluateLines('10\n20\nsum\nprev * 2');
+            const records = calc.evaluateLines('15\n20\nsum\nprev * 2');
+            expect(records[2].text).toBe('35');
+            expect(records[3].text).toBe('40');
+            // "20" reads nothing and prev is still 20 after the informational sum line
+            expect(calc.lastRunStats).toEqual({ evaluated: 2, reused: 2 });
+        });
+
+        it('should keep cached lines when lines are inserted above them', () => {
+            calc.evaluateLines('x = 1\nx + 1');
+            const records = calc.evaluateLines('# header\nx = 1\nx + 1');
+            expect(records[2].text).toBe('2');
+            expect(calc.lastRunStats).toEqual({ evaluated: 1, reused: 2 });
+        });
+
+        it('should keep reading replayed assignments', () => {
+            calc.evaluateLines('x = 3\nx * 2\ny = 1');
+            const records = calc.evaluateLines('x = 3\nx * 2\ny = 1\nx + y');
+            expect(records[3].text).toBe('4');
+        });
+
+        it('should always re-evaluate clock and date lines', () => {
+            calc.evaluateLines('time\ntoday');
+            calc.evaluateLines('time\ntoday');
+            expect(calc.lastRunStats).toEqual({ evaluated: 2, reused: 0 });
+        });
+
+        it('should start over after invalidate()', () => {
+            calc.evaluateLines('1\n2');
+            calc.invalidate();
+            calc.evaluateLines('1\n2');
+            expect(calc.lastRunStats).toEqual({ evaluated: 2, reused: 0 });
+        });
+    });
+
+    describe('Cross-note References', () => {
+        let salary;
+        let withNotes;
+
+        beforeEach(() => {
+            salary = new Calculator();
+            salary.evaluateLines('Salary\nnet = 3000\nbonus = 500\n\n');
+            withNotes = new Calculator({
+                resolveNote: (title) => (title.toLowerCase() === 'salary' ? salary : null)
+            });
+        });
+
+        it('should use the final total of a referenced note', () => {
+            const records = withNotes.evaluateLines('[[Salary]]');
+            expect(records[0].text).toBe('3.500');
+        });
+
+        it('should read a variable from a referenced note', () => {
+            const records = withNotes.evaluateLines('share = [[Salary]].net / 2\nshare');
+            expect(records[0].text).toBe('1.500');
+            expect(records[1].text).toBe('1.500');
+        });
+
+        it('should not leak reference symbols into the scope', () => {
+            withNotes.evaluateLines('[[Salary]].net + 1');
+            expect(Object.keys(withNotes.scope).some(name => name.startsWith('__ref'))).toBe(false);
+        });
+
+        it('should re-evaluate reference lines when the source note changes', () => {
+            withNotes.evaluateLines('[[Salary]].net');
+            salary.evaluateLines('Salary\nnet = 4000');
+            const records = withNotes.evaluateLines('[[Salary]].net');
+            expect(records[0].text).toBe('4.000');
+        });
+
+        it('should report unknown notes and variables', () => {
+            const records = withNotes.evaluateLines('[[Rent]]\n[[Salary]].gross');
+            expect(records[0].error.type).toBe('unknown-note');
+            expect(records[1].error).toMatchObject({ type: 'undefined-symbol', message: '"gross" is not defined in "Salary"' });
+        });
+
+        it('should report circular references from the resolver', () => {
+            const looping = new Calculator({
+                resolveNote: () => { throw new Error('Circular reference: A → B → A'); }
+            });
+            const records = looping.evaluateLines('[[B]]');
+            expect(records[0].error).toMatchObject({ type: 'circular-reference', message: 'Circular reference: A → B → A' });
+        });
+
+        it('should report references when no resolver is configured', () => {
+            const records = calc.evaluateLines('[[Salary]]');
+            expect(records[0].error.type).toBe('unknown-note');
+        });
+    });
+
+    describe('User-defined Functions', () => {
+        it('should define a function and use it on later lines', () => {
+            const records = calc.evaluateLines('markup(price, rate) = price * (1 + rate)\nmarkup(100, 0.2)');
+            expect(records[0]).toMatchObject({ kind: 'definition', value: 'markup(price, rate)', text: '', error: null });
+            expect(records[1].text).toBe('120');
+        });
+
+        it('should work with currencies, units and percentages', () => {
+            const records = calc.evaluateLines('markup(price, rate) = price * (1 + rate)\nmarkup($100, 20%)\narea(w, h) = w * h\narea(2 m, 3 m)');
+            expect(records[1].text).toBe('$ 120');
+            expect(records[3].text).toBe('6 m²');
+        });
+
+        it('should not strip a constant body as an appended result', () => {
+            const records = calc.evaluateLines('fee(x) = 5\nfee(1)');
+            expect(records[0].kind).toBe('definition');
+            expect(records[1].text).toBe('5');
+        });
+
+        it('should not add definitions to the running total', () => {
+            const records = calc.evaluateLines('10\ndouble(x) = 2 * x\ndouble(5)\nsum');
+            expect(records[3].text).toBe('20');
+        });
+
+        it('should refuse to redefine built-in names', () => {
+            const records = calc.evaluateLines('sum(a) = a\nsqrt(x) = 1\nm(x) = x\nUSD(x) = x');
+            records.forEach(record => expect(record.error.type).toBe('reserved-name'));
+            expect(records[0].error.message).toBe('"sum" is a built-in keyword and can\'t be redefined');
+            expect(calc.evaluateLines('sqrt(16)\n5 m')[0].text).toBe('4');
+        });
+
+        it('should re-evaluate callers when a definition changes', () => {
+            calc.evaluateLines('tax(x) = x * 0.2\ntax(100)');
+            const records = calc.evaluateLines('tax(x) = x * 0.25\ntax(100)');
+            expect(records[1].text).toBe('25');
+        });
+
+        it('should re-evaluate callers when a variable the function reads changes', () => {
+            expect(calc.evaluateLines('f(x) = x * k\nk = 2\nf(3)')[2].text).toBe('6');
+            expect(calc.evaluateLines('f(x) = x * k\nk = 3\nf(3)')[2].text).toBe('9');
+        });
+    });
+
+    describe('Precision Modes', () => {
+        it('should default to floating point', () => {
+            const records = calc.evaluateLines('0.1 + 0.2');
+            expect(records[0].value).toBe(0.30000000000000004);
+        });
+
+        it('should add decimals exactly in exact mode', () => {
+            const records = calc.evaluateLines('precision exact\n0.1 + 0.2\n$0.10 + $0.20');
+            expect(records[0]).toMatchObject({ kind: 'empty', error: null });
+            expect(records[1].value).toBe(0.3);
+            expect(records[2]).toMatchObject({ kind: 'currency', value: 0.3 });
+        });
+
+        it('should keep running sums exact', () => {
+            const lines = Array.from({ length: 10 }, () => '$0.10').join('\n');
+            expect(calc.evaluateLines(`${lines}\nsum`)[10].value).not.toBe(1);
+            expect(calc.evaluateLines(`precision exact\n${lines}\nsum`)[11].value).toBe(1);
+            expect(calc.evaluateLines(`precision 20 digits\n${lines}\nsum`)[11].value).toBe(1);
+        });
+
+        it('should convert currencies in BigNumber mode', () => {
+            const records = calc.evaluateLines('precision 34 digits\n10 EUR in USD');
+            expect(records[1]).toMatchObject({ kind: 'currency', unit: 'USD' });
+            expect(records[1].value).toBeCloseTo(10 / 0.92, 10);
+        });
+
+        it('should fall back to float for irrational results in exact mode', () => {
+            const records = calc.evaluateLines('precision exact\nsqrt(16)\nsqrt(2)');
+            expect(records[1].text).toBe('4');
+            expect(records[2].text).toBe('1,41');
+        });
+
+        it('should round cents from the exact value', () => {
+            expect(calc.evaluateLines('precision exact\n1,005 USD')[1].text).toBe('$ 1,01');
+            expect(calc.evaluateLines('precision exact\n$1 / 3 * 3')[1].text).toBe('$ 1');
+        });
+
+        it('should not leak the mode into other notes', () => {
+            const other = new Calculator();
+            calc.evaluateLines('precision exact\n1 + 1');
+            expect(other.evaluateLines('0.1 + 0.2')[0].value).toBe(0.30000000000000004);
+        });
+
+        it('should re-evaluate cached lines when the mode changes', () => {
+            calc.evaluateLines('0.1 + 0.2');
+            const records = calc.evaluateLines('precision exact\n0.1 + 0.2');
+            expect(records[1].value).toBe(0.3);
+        });
+    });
+
+    describe('Number Locales', () => {
+        it('should keep the historical format without a locale', () => {
+            const records = calc.evaluateLines('1.500 + 0,5\n3/1/2027');
+            expect(records[0].text).toBe('1.500,5');
+            expect(records[1].text).toBe('3/1/27');
+        });
+
+        it('should read and write decimal points in en-US', () => {
+            const us = new Calculator({ locale: 'en-US' });
+            const records = us.evaluateLines('1.5 + 2.25\n1.500\n1,000,000 * 2\n$1,200.50');
+            expect(records.map(r => r.text)).toEqual(['3.75', '1.5', '2,000,000', '$ 1,200.5']);
+        });
+
+        it('should read and write decimal commas in de-DE', () => {
+            const de = new Calculator({ locale: 'de-DE' });
+            const records = de.evaluateLines('1.200,50 EUR\nv = 12,5%\n5 km to mile');
+            expect(records[0].text).toBe('€ 1.200,5');
+            expect(records[1].text).toBe('12,5 %');
+            expect(records[2].text).toBe('3,107 mile');
+        });
+
+        it('should parse and format dates day-first where the locale does', () => {
+            const gb = new Calculator({ locale: 'en-GB' });
+            const [record] = gb.evaluateLines('3/1/2027');
+            expect(record.value.getMonth()).toBe(0);
+            expect(record.text).toBe('03/01/27');
+        });
+
+        it('should let a note override the locale', () => {
+            const us = new Calculator({ locale: 'en-US' });
+            const records = us.evaluateLines('locale it-IT\n1.500 + 0,5');
+            expect(records[0]).toMatchObject({ kind: 'empty', error: null });
+            expect(records[1].text).toBe('1.500,5');
+        });
+
+        it('should re-evaluate cached lines when the locale changes', () => {
+            calc.evaluateLines('1.500');
+            calc.locale = 'en-US';
+            expect(calc.evaluateLines('1.500')[0].text).toBe('1.5');
+        });
+    });
+
+    describe('Output Formatting', () => {
+        it('should show a fixed number of decimals', () => {
+            const records = calc.evaluateLines('10 / 3 to 4 dp\n2 to 2 decimals\n$10 / 3 to 3 dp');
+            expect(records.map(r => r.text)).toEqual(['3,3333', '2,00', '$ 3,333']);
+            expect(records[0].value).toBeCloseTo(10 / 3, 10);
+        });
+
+        it('should round to a step, up or down', () => {
+            const records = calc.evaluateLines('1,12 rounded up to 0,05\n1,12 rounded down to 0,05\n1,1 rounded up to 0,05\n1234 rounded to nearest 100\n3,14159 rounded up to 2 dp');
+            expect(records.map(r => r.text)).toEqual(['1,15', '1,10', '1,10', '1.200', '3,15']);
+        });
+
+        it('should show engineering notation and fractions', () => {
+            const records = calc.evaluateLines('12345,678 in engineering notation\n3 / 8 as fraction\n1,5 as a fraction\n0,1 + 0,2 as fraction');
+            expect(records.map(r => r.text)).toEqual(['12,35E3', '3/8', '1 1/2', '3/10']);
+        });
+
+        it('should apply a note-level format to every number', () => {
+            const records = calc.evaluateLines('format to 3 dp\n2\n$5\n5 km to mile\n7 to 1 dp');
+            expect(records[0]).toMatchObject({ kind: 'empty', error: null });
+            expect(records.slice(1).map(r => r.text)).toEqual(['2,000', '$ 5,000', '3,107 mile', '7,0']);
+        });
+
+        it('should format exact and BigNumber results without going through floats', () => {
+            const records = calc.evaluateLines('precision 40 digits\n1/3 to 20 dp\n2/3 as fraction');
+            expect(records[1].text).toBe('0,33333333333333333333');
+            expect(records[2].text).toBe('2/3');
+        });
+
+        it('should re-evaluate cached lines when the note format changes', () => {
+            calc.evaluateLines('format to 1 dp\n2');
+            expect(calc.evaluateLines('format to 2 dp\n2')[1].text).toBe('2,00');
+        });
+    });
+
+    describe('Historical Exchange Rates', () => {
+        const march = { status: 'ok', date: '2024-03-01', rates: { USD: 1, EUR: 0.9, GBP: 0.8 } };
+
+        it('should convert at the rates of the given date and show it', () => {
+            currencyService.getHistoricalRates.mockReturnValue(march);
+            const records = calc.evaluateLines('€450 in USD on 2024-03-03\n100 GBP to EUR as of 2024-03-01\nsum');
+
+            expect(currencyService.getHistoricalRates).toHaveBeenCalledWith('2024-03-03');
+            expect(records[0]).toMatchObject({ kind: 'currency', unit: 'USD', value: 500, text: '$ 500 (3/1/24 rate)' });
+            expect(records[1].text).toBe('€ 112,5 (3/1/24 rate)');
+            expect(records[2].value).toBeCloseTo(500 + 112.5 / 0.92, 6);
+        });
+
+        it('should read dates in the note\'s locale', () => {
+            currencyService.getHistoricalRates.mockReturnValue(march);
+            new Calculator({ locale: 'en-GB' }).evaluateLines('€450 in USD on 3/1/2024');
+            expect(currencyService.getHistoricalRates).toHaveBeenLastCalledWith('2024-01-03');
+        });
+
+        it('should report rates that are loading or missing', () => {
+            currencyService.getHistoricalRates.mockReturnValueOnce({ status: 'loading' });
+            currencyService.getHistoricalRates.mockReturnValueOnce({ status: 'missing' });
+            const records = calc.evaluateLines('€500 in USD on 2024-03-01\n€500 in USD on 1999-01-04\n5 km in USD on 2024-03-01');
+
+            expect(records[0].error).toMatchObject({ type: 'exchange-rate', message: 'Loading exchange rates for 2024-03-01…' });
+            expect(records[1].error).toMatchObject({ type: 'exchange-rate', message: 'No exchange rates for 1999-01-04' });
+            expect(records[2].error.message).toBe('Only currency amounts can be converted at past rates');
+        });
+
+        it('should re-evaluate once the rates arrive', () => {
+            currencyService.getHistoricalRates.mockReturnValueOnce({ status: 'loading' });
+            calc.evaluateLines('€450 in USD on 2024-03-01');
+            currencyService.getHistoricalRates.mockReturnValue(march);
+            expect(calc.evaluateLines('€450 in USD on 2024-03-01')[0].value).toBe(500);
+        });
+    });
+
+    describe('Note Currencies', () => {
+        it('should override a rate for the note only', () => {
+            const records = calc.evaluateLines('rate EUR = 1.10 USD\n100 EUR in USD\n€50 + $5');
+            expect(records[0]).toMatchObject({ kind: 'empty', error: null });
+            expect(records[1]).toMatchObject({ unit: 'USD', text: '$ 110' });
+            expect(records[2].value).toBeCloseTo(50 + 5 / 1.1, 6);
+
+            expect(new Calculator().evaluateLines('100 EUR in USD')[0].value).toBeCloseTo(100 / 0.92, 6);
+        });
+
+        it('should define custom currencies with a symbol', () => {
+            const records = calc.evaluateLines('currency GOLD (⛁) = 0.02 USD\n⛁50\n$1 in gold\nsum');
+            expect(records[1].text).toBe('⛁ 50');
+            expect(records[2]).toMatchObject({ kind: 'currency', unit: 'GOLD', value: 50, text: '⛁ 50' });
+            expect(records[3].value).toBe(100);
+
+            expect(new Calculator().evaluateLines('$1 in GOLD')[0].error).not.toBeNull();
+        });
+
+        it('should total currency lines in the report currency', () => {
+            const records = calc.evaluateLines('report currency EUR\nHotel: $100\nTaxi: €8\n3 * 2\nsum\navg\n\n10\n20\nsum');
+            expect(records[0]).toMatchObject({ kind: 'empty', error: null });
+            expect(records[4]).toMatchObject({ kind: 'currency', unit: 'EUR' });
+            expect(records[4].value).toBeCloseTo(100 * 0.92 + 8, 6);
+            expect(records[5].value).toBeCloseTo((100 * 0.92 + 8) / 2, 6);
+            expect(records[9].value).toBe(30);
+            expect(calc.lastTotal).toBe(30);
+        });
+
+        it('should add up the block\'s currency lines with "sum in"', () => {
+            const records = calc.evaluateLines('$100\n€46\n5\n£7,9\nsum\nsum in EUR\navg in USD');
+            expect(records[4].text).toBe('£ 7,9');
+            expect(records[5].value).toBeCloseTo(92 + 46 + 7.9 / 0.79 * 0.92, 6);
+            expect(records[6].value).toBeCloseTo((100 + 50 + 10) / 3, 6);
+        });
+
+        it('should flag an unknown report currency', () => {
+            const records = calc.evaluateLines('report currency XYZ\n$1\n€1\nsum');
+            expect(records[0].error).toMatchObject({ type: 'unknown-currency', message: 'Unknown currency "XYZ"' });
+            expect(records[3].text).toBe('$ 2,09');
+        });
+
+        it('should report definitions that cannot be used', () => {
+            const records = calc.evaluateLines('currency kg = 2 USD\nrate EUR = 5 km\nrate GBP = -1 USD');
+            expect(records[0].error).toMatchObject({ type: 'currency-definition', message: '"kg" is already a unit' });
+            expect(records.slice(1).map(r => r.error && r.error.type)).toEqual(['currency-definition', 'currency-definition']);
+        });
+    });
+
+    describe('Crypto and Metals', () => {
+        it('should convert crypto priced by a rate line, with its decimals', () => {
+            const records = calc.evaluateLines('rate BTC = 64000 USD\n0,5 BTC in EUR\n100 EUR in btc\n₿0,001 + $36');
+            expect(records[1]).toMatchObject({ kind: 'currency', unit: 'EUR' });
+            expect(records[1].value).toBeCloseTo(32000 * 0.92, 6);
+            expect(records[2].text).toBe('₿ 0,00169837');
+            expect(records[3].text).toBe('₿ 0,0015625');
+        });
+
+        it('should read precious metals by weight in troy ounces', () => {
+            const records = calc.evaluateLines('rate XAU = 2400 USD\n2 oz gold in USD\n31,1034768 g of gold\n$1200 in gold');
+            expect(records[1].text).toBe('$ 4.800');
+            expect(records[2]).toMatchObject({ unit: 'XAU', text: 'XAU 1' });
+            expect(records[3].text).toBe('XAU 0,5');
+        });
+
+        it('should say when an asset has no price', () => {
+            const records = new Calculator().evaluateLines('0,5 ETH in EUR\n2 oz gold in USD');
+            expect(records[0].error).toMatchObject({ type: 'exchange-rate', message: 'No price known for ETH' });
+            expect(records[1].error).toMatchObject({ type: 'exchange-rate', message: 'No price known for XAU' });
+        });
+    });
+
+    describe('Holidays', () => {
+        const day = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+        beforeEach(() => {
+            vi.useFakeTimers({ toFake: ['Date'] });
+            vi.setSystemTime(new Date(2026, 11, 26, 9));
+        });
+
+        afterEach(() => {
+            vi.useRealTimers();
+        });
+
+        it('should count down to the next occurrence', () => {
+            const records = calc.evaluateLines('christmas\ntoday + christmas\neaster\nthanksgiving 2027\ndays until easter 2027');
+            expect(day(records[0].value)).toEqual([2027, 12, 25]);
+            expect(records[1].value).toBe(364);
+            expect(day(records[2].value)).toEqual([2027, 3, 28]);
+            expect(day(records[3].value)).toEqual([2027, 11, 25]);
+            expect(records[4].value).toBe(93);
+        });
+
+        it('should date holidays by the note\'s calendar', () => {
+            expect(day(calc.evaluateLines("mother's day")[0].value)).toEqual([2027, 5, 9]);
+            expect(day(calc.evaluateLines("holidays UK\nmother's day")[1].value)).toEqual([2027, 3, 7]);
+            expect(day(new Calculator({ locale: 'en-CA' }).evaluateLines('thanksgiving')[0].value)).toEqual([2027, 10, 11]);
+
+            const [directive] = calc.evaluateLines('holidays XX');
+            expect(directive.error).toMatchObject({ type: 'unknown-calendar', message: 'No holiday calendar for "XX"' });
+        });
+
+        it('should leave labels that name a holiday alone', () => {
+            const records = calc.evaluateLines('Christmas gifts: $200\nThanksgiving: 30');
+            expect(records.map(r => r.text)).toEqual(['$ 200', '30']);
+        });
+    });
+
+    describe('Business Days', () => {
+        const day = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+        beforeEach(() => {
+            vi.useFakeTimers({ toFake: ['Date'] });
+            vi.setSystemTime(new Date(2026, 9, 19, 10, 30)); // Monday
+        });
+
+        afterEach(() => {
+            vi.useRealTimers();
+        });
+
+        it('should add business days to a date', () => {
+            const records = calc.evaluateLines('10 business days from today\nin 5 workdays\n3 working days before christmas');
+            expect(records.map(r => r.kind)).toEqual(['date', 'date', 'date']);
+            expect(day(records[0].value)).toEqual([2026, 11, 2]);
+            expect(day(records[1].value)).toEqual([2026, 10, 26]);
+            expect(day(records[2].value)).toEqual([2026, 12, 22]);
+        });
+
+        it('should count workdays and working hours', () => {
+            const records = calc.evaluateLines('workdays between Jan 3 2027 and Mar 1 2027\nbusiness days until Friday\nworking hours until Friday 5pm');
+            expect(records.map(r => r.value)).toEqual([39, 4, 38.5]);
+        });
+
+        it('should follow the note\'s weekend, working hours and holidays', () => {
+            const records = calc.evaluateLines('weekend fri sat\nworking hours 8-16\nworkdays between Jan 10 2027 and Jan 16 2027\nworking hours until Tuesday 12pm');
+            expect(records.slice(0, 2).map(r => r.error)).toEqual([null, null]);
+            expect(records.slice(2).map(r => r.value)).toEqual([5, 9.5]);
+
+            // Christmas and Boxing Day 2027 fall on the weekend: UK substitute days follow
+            expect(calc.evaluateLines('holidays UK\nworkdays between Dec 20 2027 and Dec 31 2027')[1].value).toBe(8);
+
+            expect(calc.evaluateLines('working hours 17-9')[0].error).toMatchObject({ type: 'working-hours' });
+        });
+
+        it('should flag a span too long to count on its own line', () => {
+            const records = calc.evaluateLines('1 + 1\n200000 business days from today\n2 + 2');
+            expect(records.map(r => r.text)).toEqual(['2', '', '4']);
+            expect(records[1].error.message).toBe('Too many days to count');
+        });
+    });
+
+    describe('Date Formats', () => {
+        beforeEach(() => {
+            vi.useFakeTimers({ toFake: ['Date'] });
+            vi.setSystemTime(new Date(2026, 9, 19, 10, 30)); // Monday
+        });
+
+        afterEach(() => {
+            vi.useRealTimers();
+        });
+
+        it('should keep the time of day when one is given', () => {
+            const records = calc.evaluateLines('next friday 3pm + 2 hours\nnext friday\ntoday + 2 days');
+            expect(records.map(r => r.text)).toEqual(['10/30/26, 5:00 PM', '10/30/26', '10/21/26']);
+            expect(records[0].value).toEqual(new Date(2026, 9, 30, 17));
+        });
+
+        it('should show dates in the requested style', () => {
+            const records = calc.evaluateLines('next friday in ISO\nnext friday 3pm in iso\nchristmas as weekday\nchristmas 2027 as long date\nnext friday 3pm as full date');
+            expect(records[0].text).toBe('2026-10-30');
+            expect(records[1].text).toMatch(/^2026-10-30T15:00:00[+-]\d{2}:\d{2}$/);
+            expect(records.slice(2).map(r => r.text)).toEqual(['Friday', 'December 25, 2027', 'Friday, October 30, 2026 at 3:00 PM']);
+        });
+
+        it('should convert to and from unix timestamps', () => {
+            const records = calc.evaluateLines('1700000000 as date\n1700000000000 in iso\nnext friday 3pm in unix timestamp\n2024-03-01 in unix');
+            expect(records[0].kind).toBe('date');
+            expect(records[0].value.getTime()).toBe(1700000000000);
+            expect(records[1].value.getTime()).toBe(1700000000000);
+            expect(records[2]).toMatchObject({ kind: 'number', value: new Date(2026, 9, 30, 15).getTime() / 1000 });
+            expect(records[3].value).toBe(new Date(2024, 2, 1).getTime() / 1000);
+        });
+
+        it('should follow the note\'s locale and default format', () => {
+            const german = new Calculator({ locale: 'de-DE' });
+            expect(german.evaluateLines('next friday 3pm + 2 hours\nchristmas 2027 as weekday').map(r => r.text)).toEqual(['30.10.26, 17:00', 'Samstag']);
+            const records = calc.evaluateLines('format as long date\nchristmas 2027\n5 + 5');
+            expect(records.slice(1).map(r => r.text)).toEqual(['December 25, 2027', '10']);
+        });
+    });
+
+    describe('Durations', () => {
+        it('should work out time spans and time sheets', () => {
+            const records = calc.evaluateLines('9:15 to 17:40 - 45 min lunch\n1h20 + 2h45 + 35m\n9am to 5:30pm\n22:00 to 6:00\n1:30 + 0:45\nsum of 1h20 + 2h45 + 35m');
+            expect(records.map(r => r.text)).toEqual(['7:40', '4:40', '8:30', '8:00', '2:15', '4:40']);
+            expect(records[0]).toMatchObject({ kind: 'unit', unit: 'h' });
+            expect(records[0].value).toBeCloseTo(7.667, 3);
+        });
+
+        it('should read durations in words', () => {
+            const records = calc.evaluateLines('90 min\n2 hrs 35 mins in minutes\nhalf an hour + an hour and a half\n1 day and 4 hours to hours');
+            expect(records.map(r => r.text)).toEqual(['90 minutes', '155 minutes', '120 minutes', '28 hours']);
+        });
+
+        it('should show durations as h:mm or decimal hours', () => {
+            const records = calc.evaluateLines('38.5 hours as h:mm\n7:40 as decimal hours\n9:15 to 17:40 in hours\n100 min as h:mm:ss\n0:45 - 1:30');
+            expect(records.map(r => r.text)).toEqual(['38:30', '7,67 h', '8.417 hours', '1:40:00', '-0:45']);
+        });
+
+        it('should add up and bill durations', () => {
+            const records = calc.evaluateLines('$RATE = $80 per hour\nMon: 9:00 to 17:30\nTue: 8:15 to 16:45 - 30 min\nsum as h:mm\nsum * $RATE\n7:40 * 2');
+            expect(records.slice(1, 4).map(r => r.text)).toEqual(['8:30', '8:00', '16:30']);
+            expect(records[4]).toMatchObject({ kind: 'currency', unit: 'USD', value: 1320 });
+            expect(records[5].text).toBe('15:20');
+        });
+
+        it('should show spans in several units and totals of durations as h:mm', () => {
+            expect(calc.evaluateLines('9:00 to 17:30\n8:00 to 12:00\ntotal')[2].text).toBe('12:30');
+            expect(calc.evaluateLines('1h 20m\n2 hours 45 minutes\nsum').map(r => r.text)).toEqual(['1:20', '2:45', '4:05']);
+            expect(calc.evaluateLines('2 hours 45 minutes')[0].text).toBe('2:45');
+        });
+
+        it('should read a bare "35m" after a duration as minutes', () => {
+            const records = calc.evaluateLines('1h20m\n2h45m\n35m\nsum');
+            expect(records[2].text).toBe('35 minutes');
+            expect(records[3].text).toBe('4:40');
+            // Re-read when the line above is no longer a duration
+            expect(calc.evaluateLines('5 kg\n2h45m\n35m')[2].text).toBe('35 minutes');
+            expect(calc.evaluateLines('5 kg\n5 kg\n35m')[2].text).toBe('35 m');
+        });
+
+        it('should bill durations at a rate written as a plain amount', () => {
+            const records = calc.evaluateLines('$RATE = $80\n7:40 * $RATE\n1h20 * $RATE');
+            expect(records[1]).toMatchObject({ kind: 'currency', unit: 'USD', text: '$ 613,33' });
+            expect(records[2].text).toBe('$ 106,67');
+        });
+
+        it('should leave times of day and other units alone', () => {
+            const records = calc.evaluateLines('10:30 + 2 hours\n5 km + 35m\n100 m / 10 seconds to km/h\n5 m + 2 hours');
+            expect(records[0].kind).toBe('date');
+            expect(records[1].text).toBe('5.035 km');
+            // "m" is only minutes in h and m notation: these are metres
+            expect(records[2].text).toBe('36 km / h');
+            expect(records[3].error.message).toMatch(/Incompatible units/);
+        });
+    });
+
+    describe('Financial Functions', () => {
+        it('should work out loan payments', () => {
+            const records = calc.evaluateLines('Mortgage $300k at 4.5% for 30 years\nloan of €20k at 6% over 60 months\namortization of $300k at 4.5% for 30 years');
+            expect(records[0]).toMatchObject({ kind: 'currency', unit: 'USD', text: '$ 1.520,06 / month' });
+            expect(records[1].text).toBe('€ 386,66 / month');
+            expect(records[2].text).toBe('$ 1.520,06 / month\n$ 547.220,13 in 360 payments\n$ 247.220,13 interest');
+        });
+
+        it('should compound interest and adjust for inflation', () => {
+            const records = calc.evaluateLines('$10k at 5% for 10 years\n$10k at 5% for 10 years compounded monthly\ninterest on $10k at 5% for 10 years\n$50k after 10 years of 3% inflation\nCAGR from $100 to $250 over 5 years');
+            expect(records.map(r => r.text)).toEqual(['$ 16.288,95', '$ 16.470,09', '$ 6.288,95', '$ 37.204,7', '20,11 %']);
+            expect(records[4]).toMatchObject({ kind: 'percent' });
+            expect(records[4].value).toBeCloseTo(0.2011, 4);
+        });
+
+        it('should value cash flows', () => {
+            const records = calc.evaluateLines('NPV of -$1000, $300, $400, $500 at 8%\nIRR of -$1000, $300, $400, $500 to 3 dp\nIRR of $100, $200');
+            expect(records.map(r => r.text)).toEqual(['$ 17,63', '8,896 %', '']);
+            expect(records[2].error.message).toBe('A rate of return needs money both paid and received');
+        });
+
+        it('should provide them as functions', () => {
+            const records = calc.evaluateLines('pmt(4.5% / 12, 360, $300k)\nnpv(8%, [-1000, 300, 400, 500])\nirr(-1000, 300, 400, 500) * 100\ncompound($1000, 5%, 10)\npmt(5%, 10, 3 kg)');
+            expect(records.slice(0, 4).map(r => r.text)).toEqual(['$ 1.520,06', '17,63', '8,9', '$ 1.628,89']);
+            expect(records[4].error.message).toBe('Expected an amount of money, not kg');
+        });
+
+        it('should show rates as percentages in both forms', () => {
+            const records = calc.evaluateLines('irr(-1000, 300, 400, 500)\nIRR of -$1000, $300, $400, $500\ncagr($100, $250, 5)\nCAGR from $100 to $250 over 5 years\nr = irr(-1000, 300, 400, 500)\n$1000 * (1 + r)');
+            expect(records.slice(0, 5).map(r => r.text)).toEqual(['8,9 %', '8,9 %', '20,11 %', '20,11 %', '8,9 %']);
+            expect(records.slice(0, 5).every(r => r.kind === 'percent')).toBe(true);
+            expect(records[0].value).toBeCloseTo(records[1].value, 10);
+            expect(records[2].value).toBeCloseTo(records[3].value, 10);
+            expect(records[5].text).toBe('$ 1.088,96');
+        });
+    });
+
+    describe('Programmer Mode', () => {
+        it('should read base-prefixed literals with grouping', () => {
+            const records = calc.evaluateLines('0xFF_FF\n0b1010_0101\n0o755\n0x1B');
+            expect(records.map(r => r.value)).toEqual([65535, 165, 493, 27]);
+        });
+
+        it('should show word-size output in two\'s complement', () => {
+            const records = calc.evaluateLines('-1 in hex 32-bit\n255 in bin 8-bit\n-1 in hex');
+            expect(records.map(r => r.text)).toEqual(['0xFFFFFFFF', '0b11111111', '-0x1']);
+        });
+
+        it('should use bitwise words and wrap to the word size', () => {
+            const records = calc.evaluateLines('programmer 32-bit\n0xFFFFFFFF + 1\nmask = 0xF0 and 0x3C\nmask in hex\n0xF0 xor 0xFF\nnot 0\n1 shl 31\n10 / 3');
+            expect(records[0]).toMatchObject({ kind: 'empty', error: null });
+            expect(records.slice(1).map(r => r.text)).toEqual(['0', '48', '0x30', '15', '-1', '-2.147.483.648', '3']);
+        });
+
+        it('should keep 64-bit values exact', () => {
+            const records = calc.evaluateLines('programmer\n0x7FFF_FFFF_FFFF_FFFF\n0x7FFF_FFFF_FFFF_FFFF in hex\n0xFFFF_FFFF_FFFF_FFFF');
+            expect(records[1].text).toBe('9.223.372.036.854.775.807');
+            expect(records[2].text).toBe('0x7FFFFFFFFFFFFFFF');
+            expect(records[3].text).toBe('-1');
+        });
+
+        it('should treat an unsigned word size as unsigned', () => {
+            const records = calc.evaluateLines('programmer 8-bit unsigned\n250 + 10\n-1\n0 - 1 in bin');
+            expect(records.slice(1).map(r => r.text)).toEqual(['4', '255', '0b11111111']);
+        });
+
+        it('should fall back to floats for non-integer results', () => {
+            const records = calc.evaluateLines('programmer\n2^-1\n1,5 * 4');
+            expect(records[1].text).toBe('0,5');
+            expect(records[2].text).toBe('6');
+        });
+    });
 });
@@ -8,6 +8,19 @@ import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 // Mock fetch globally
 global.fetch = vi.fn();
 
+// A provider that never goes to the network
+const stubProvider = (overrides = {}) => ({
+    id: 'stub',
+    name: 'Stub',
+    base: 'USD',
+    currencies: null,
+    historical: false,
+    offline: false,
+    fetch: vi.fn(async () => ({ EUR: 0.9, GBP: 0.8 })),
+    parse: (payload) => ({ date: '2024-03-01', rates: payload }),
+    ...overrides
+});
+
 // We need to re-import the module for each test to reset state
 describe('CurrencyService', () => {
     let currencyService;
@@ -187,4 +200,210 @@ describe('CurrencyService', () => {
             expect(rates).toHaveProperty('USD', 1);
         });
     });
+
+    describe('Historical Rates', () => {
+        it('should parse wide, long and non-USD based CSV tables', async () => {
+            const { parseRatesCsv } = await import('../src/rateProviders.js');
+
+            const wide = parseRatesCsv('date,EUR,GBP\n2024-03-01,0.92,0.79\nnot a date,1,1');
+            expect([...wide.keys()]).toEqual(['2024-03-01']);
+            expect(wide.get('2024-03-01')).toEqual({ USD: 1, EUR: 0.92, GBP: 0.79 });
+
+            const long = parseRatesCsv('Date,Currency,Rate\n2024-03-01,EUR,0.92\n2024-03-01,GBP,0.79');
+            expect(long.get('2024-03-01')).toEqual({ USD: 1, EUR: 0.92, GBP: 0.79 });
+
+            const ecb = parseRatesCsv('date;base;USD;GBP\n2024-03-01;EUR;1,25;0,85');
+            expect(ecb.get('2024-03-01').EUR).toBeCloseTo(0.8, 10);
+            expect(ecb.get('2024-03-01').GBP).toBeCloseTo(0.68, 10);
+        });
+
+        it('should fetch a date from the provider once and cache it', async () => {
+            global.fetch.mockResolvedValue({
+                ok: true,
+                json: async () => ({ base: 'USD', date: '2024-03-01', rates: { EUR: 0.9 } })
+            });
+            const listener = vi.fn();
+            currencyService.onHistoricalRates(listener);
+
+            expect(currencyService.getHistoricalRates('2024-03-03')).toEqual({ status: 'loading' });
+            await vi.waitFor(() => expect(listener).toHaveBeenCalled());
+
+            expect(global.fetch).toHaveBeenCalledWith(expect.stringContaining('2024-03-03'), expect.any(Object));
+            expect(currencyService.getHistoricalRates('2024-03-03')).toEqual({
+                status: 'ok', date: '2024-03-01', rates: { USD: 1, EUR: 0.9 }
+            });
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+        });
+
+        it('should work offline from imported tables', () => {
+            currencyService.setProvider(stubProvider({ offline: true }));
+            expect(currencyService.importRatesFile('date,EUR\n2024-03-01,0.9')).toBe(1);
+
+            expect(currencyService.getHistoricalRates('2024-03-01')).toMatchObject({ status: 'ok', date: '2024-03-01' });
+            // Weekend: the last earlier rates
+            expect(currencyService.getHistoricalRates('2024-03-03')).toMatchObject({ status: 'ok', date: '2024-03-01' });
+            expect(currencyService.getHistoricalRates('2024-04-01')).toEqual({ status: 'missing' });
+        });
+
+        it('should not ask the provider for future dates', () => {
+            expect(currencyService.getHistoricalRates('2999-01-01')).toEqual({ status: 'missing' });
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Providers', () => {
+        it('should take latest rates from the chosen provider', async () => {
+            const provider = stubProvider();
+            currencyService.setProvider(provider);
+
+            const rates = await currencyService.fetchRates();
+
+            expect(provider.fetch).toHaveBeenCalledWith(null);
+            expect(global.fetch).not.toHaveBeenCalled();
+            expect(rates).toEqual({ USD: 1, EUR: 0.9, GBP: 0.8 });
+        });
+
+        it('should re-base rates and keep only supported currencies', async () => {
+            currencyService.setProvider(stubProvider({
+                base: 'EUR',
+                currencies: ['USD', 'GBP'],
+                fetch: async () => ({ USD: 1.25, GBP: 0.85, XYZ: 3 })
+            }));
+
+            const rates = await currencyService.fetchRates();
+
+            expect(rates.EUR).toBeCloseTo(0.8, 10);
+            expect(rates.GBP).toBeCloseTo(0.68, 10);
+            expect(rates).not.toHaveProperty('XYZ');
+        });
+
+        it('should fetch again after switching provider', async () => {
+            await currencyService.fetchRates();
+            currencyService.setProvider('frankfurter');
+            await currencyService.fetchRates();
+
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+            expect(global.fetch).toHaveBeenLastCalledWith(expect.stringContaining('frankfurter.app/latest'), expect.any(Object));
+            expect(() => currencyService.setProvider('nope')).toThrow('Unknown exchange rate provider: nope');
+        });
+
+        it('should read latest and past rates from a rates file offline', async () => {
+            const { createFileProvider } = await import('../src/rateProviders.js');
+            const file = JSON.stringify([
+                { base: 'EUR', date: '2024-03-01', rates: { USD: 1.25, GBP: 0.85 } },
+                { date: '2024-04-02', rates: { EUR: 0.9 } }
+            ]);
+            currencyService.setProvider(createFileProvider(file, 'treasury.json'));
+
+            expect(await currencyService.fetchRates()).toEqual({ USD: 1, EUR: 0.9 });
+
+            const listener = vi.fn();
+            currencyService.onHistoricalRates(listener);
+            currencyService.getHistoricalRates('2024-03-15');
+            await vi.waitFor(() => expect(listener).toHaveBeenCalled());
+
+            expect(currencyService.getHistoricalRates('2024-03-15')).toMatchObject({ status: 'ok', date: '2024-03-01' });
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+
+        it('should fall back once when a rates file has no rates', async () => {
+            const { createFileProvider } = await import('../src/rateProviders.js');
+            currencyService.setProvider(createFileProvider('not rates'));
+
+            const rates = await currencyService.fetchRates();
+
+            expect(rates).toHaveProperty('EUR', 0.95);
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Asset Prices', () => {
+        const coinPrices = () => ({ ok: true, json: async () => ({ bitcoin: { usd: 64000 }, dogecoin: { usd: 0.125 } }) });
+
+        it('should add crypto prices to the rates', async () => {
+            await currencyService.fetchRates();
+            global.fetch.mockResolvedValueOnce(coinPrices());
+            await currencyService.fetchAssetPrices();
+
+            expect(global.fetch).toHaveBeenLastCalledWith(expect.stringContaining('api.coingecko.com'), expect.any(Object));
+            expect(currencyService.getRate('BTC')).toBeCloseTo(1 / 64000, 12);
+            expect(currencyService.getRate('DOGE')).toBe(8);
+
+            // Kept across a refresh of the exchange rates
+            currencyService.expireRates();
+            await currencyService.fetchRates();
+            expect(currencyService.getRate('BTC')).toBeCloseTo(1 / 64000, 12);
+        });
+
+        it('should keep the exchange rates when prices are unavailable', async () => {
+            await currencyService.fetchRates();
+            global.fetch.mockRejectedValueOnce(new Error('Network error'));
+
+            await expect(currencyService.fetchAssetPrices()).resolves.toEqual({});
+            expect(currencyService.getRate('EUR')).toBe(0.92);
+            expect(currencyService.getRate('BTC')).toBeNull();
+        });
+
+        it('should take prices from a rates file without the network', async () => {
+            const { createFileProvider } = await import('../src/rateProviders.js');
+            currencyService.setProvider(createFileProvider('date,EUR,BTC,XAU\n2024-03-01,0.92,0.0000156,0.0004'));
+
+            await currencyService.fetchRates();
+            await currencyService.fetchAssetPrices();
+
+            expect(currencyService.getRate('XAU')).toBe(0.0004);
+            expect(currencyService.getRate('BTC')).toBe(0.0000156);
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Saved Rates', () => {
+        const saved = (overrides = {}) => ({
+            provider: 'exchangerate-api',
+            source: 'ExchangeRate-API',
+            fetchedAt: Date.now() - 60 * 60 * 1000,
+            rates: { USD: 1, EUR: 0.9 },
+            ...overrides
+        });
+
+        it('should describe where the rates came from', async () => {
+            expect(currencyService.getRatesInfo()).toMatchObject({ provider: null, fetchedAt: null, error: null });
+
+            await currencyService.fetchRates();
+
+            const info = currencyService.getRatesInfo();
+            expect(info).toMatchObject({ provider: 'exchangerate-api', source: 'ExchangeRate-API', error: null });
+            expect(info.fetchedAt).toBeGreaterThan(Date.now() - 1000);
+            expect(info.rates).toHaveProperty('EUR', 0.92);
+        });
+
+        it('should reuse recent saved rates without fetching', async () => {
+            expect(currencyService.restoreRates(saved())).toBe(true);
+
+            expect(await currencyService.fetchRates()).toEqual({ USD: 1, EUR: 0.9 });
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+
+        it('should ignore rates saved from another provider', () => {
+            expect(currencyService.restoreRates(saved({ provider: 'frankfurter' }))).toBe(false);
+            expect(currencyService.getRatesInfo().fetchedAt).toBeNull();
+        });
+
+        it('should keep old saved rates when offline', async () => {
+            const old = saved({ fetchedAt: Date.now() - 3 * 24 * 60 * 60 * 1000 });
+            currencyService.restoreRates(old);
+            global.fetch.mockRejectedValue(new Error('Network error'));
+
+            expect(await currencyService.fetchRates()).toEqual({ USD: 1, EUR: 0.9 });
+            expect(currencyService.getRatesInfo()).toMatchObject({ fetchedAt: old.fetchedAt, error: 'Network error' });
+        });
+
+        it('should fetch again when expired by hand', async () => {
+            await currencyService.fetchRates();
+            currencyService.expireRates();
+            await currencyService.fetchRates();
+
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+        });
+    });
 });
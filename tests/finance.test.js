@@ -0,0 +1,37 @@
+/**
+ * Financial Math Test Suite
+ * Tests for loans, interest and investment returns
+ */
+
+import { describe, it, expect } from 'vitest';
+import { amortization, cagr, compound, deflate, irr, npv, payment } from '../src/finance.js';
+
+describe('Finance', () => {
+    it('should work out loan payments', () => {
+        expect(payment(0.045 / 12, 360, 300000)).toBeCloseTo(1520.06, 2);
+        expect(payment(0, 10, 5000)).toBe(500);
+        const loan = amortization(0.045 / 12, 360, 300000);
+        expect(loan.total).toBeCloseTo(547220.13, 1);
+        expect(loan.interest).toBeCloseTo(247220.13, 1);
+        expect(() => payment(0.01, 0, 1000)).toThrow(RangeError);
+    });
+
+    it('should compound interest and adjust for inflation', () => {
+        expect(compound(10000, 0.05, 10)).toBeCloseTo(16288.95, 2);
+        expect(deflate(50000, 0.03, 10)).toBeCloseTo(37204.70, 2);
+        expect(cagr(100, 250, 5)).toBeCloseTo(0.2011, 4);
+        expect(() => cagr(0, 250, 5)).toThrow(RangeError);
+    });
+
+    it('should value cash flows and find their rate of return', () => {
+        const flows = [-1000, 300, 400, 500];
+        expect(npv(0.08, flows)).toBeCloseTo(17.63, 2);
+        expect(irr(flows)).toBeCloseTo(0.0890, 4);
+        expect(npv(irr(flows), flows)).toBeCloseTo(0, 6);
+        // Money lost: Newton's method overshoots past -100%, the bracket search finds it
+        const loss = [-1000, 100, 100];
+        expect(irr(loss)).toBeCloseTo(-0.6298, 4);
+        expect(npv(irr(loss), loss)).toBeCloseTo(0, 6);
+        expect(() => irr([100, 200])).toThrow(RangeError);
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * Result Formatter Test Suite
+ * Tests for HTML rendering of calculator line records
+ */
+
+import { describe, it, expect } from 'vitest';
+import { escapeHtml, hasDisplayValue, isBlockResult, renderErrorHtml, renderResultHtml, resultsToPlainText } from '../src/formatter.js';
+
+const record = (text, kind = 'number', value = null) => ({ kind, value, unit: null, text, error: null });
+
+describe('Formatter', () => {
+    describe('renderResultHtml', () => {
+        it('should render an empty string for empty records', () => {
+            expect(renderResultHtml(record(''))).toBe('');
+            expect(renderResultHtml(null)).toBe('');
+        });
+
+        it('should render a result span', () => {
+            expect(renderResultHtml(record('42'))).toBe('<span class="text-blue-600 dark:text-blue-400 font-medium">42</span>');
+        });
+
+        it('should add copy attributes to interactive spans', () => {
+            const html = renderResultHtml(record('$ 1.234,56'), { interactive: true });
+            expect(html).toContain('result-item');
+            expect(html).toContain('data-value="$ 1.234,56"');
+        });
+
+        it('should escape result text', () => {
+            expect(renderResultHtml(record('<b>'))).toContain('&lt;b&gt;');
+        });
+
+        it('should render results with several lines as a block', () => {
+            const block = record('9:00 AM – 12:00 PM EDT\n3:00 – 6:00 PM CEST', 'time');
+            expect(isBlockResult(block)).toBe(true);
+            expect(isBlockResult(record('42'))).toBe(false);
+            expect(renderResultHtml(block)).toContain('whitespace-pre');
+        });
+    });
+
+    describe('renderErrorHtml', () => {
+        it('should render nothing without an error', () => {
+            expect(renderErrorHtml(null)).toBe('');
+        });
+
+        it('should render a marker with the message as tooltip', () => {
+            const html = renderErrorHtml({ type: 'undefined-symbol', message: '"x" is not defined', column: null });
+            expect(html).toContain('result-error');
+            expect(html).toContain('data-error-type="undefined-symbol"');
+            expect(html).toContain('title="&quot;x&quot; is not defined"');
+        });
+    });
+
+    describe('helpers', () => {
+        it('should escape HTML special characters', () => {
+            expect(escapeHtml(`<a href="x">'&'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;&#039;&amp;&#039;&lt;/a&gt;');
+        });
+
+        it('should detect displayable records', () => {
+            expect(hasDisplayValue(record('1'))).toBe(true);
+            expect(hasDisplayValue(record(''))).toBe(false);
+        });
+
+        it('should join non-empty results as plain text', () => {
+            expect(resultsToPlainText([record('1'), record(''), record('€ 2')])).toBe('1\n€ 2');
+        });
+    });
+});
@@ -0,0 +1,53 @@
+/**
+ * Holiday Calendar Test Suite
+ * Tests for computed holiday dates and regional calendars
+ */
+
+import { describe, it, expect } from 'vitest';
+import { HOLIDAY_NAME_PATTERN, holidayDate, holidayRegion, nextHoliday } from '../src/holidays.js';
+
+const day = (date) => date && [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+describe('Holidays', () => {
+    describe('holidayDate', () => {
+        it('should compute Easter and the feasts that move with it', () => {
+            expect(day(holidayDate('easter', 2024))).toEqual([2024, 3, 31]);
+            expect(day(holidayDate('easter', 2025))).toEqual([2025, 4, 20]);
+            expect(day(holidayDate('Easter Monday', 2026))).toEqual([2026, 4, 6]);
+            expect(day(holidayDate('good friday', 2027))).toEqual([2027, 3, 26]);
+        });
+
+        it('should compute weekday rules for any year', () => {
+            expect(day(holidayDate('thanksgiving', 2025))).toEqual([2025, 11, 27]);
+            expect(day(holidayDate('thanksgiving', 2026))).toEqual([2026, 11, 26]);
+            expect(day(holidayDate('memorial day', 2027))).toEqual([2027, 5, 31]);
+            expect(day(holidayDate('black friday', 2026))).toEqual([2026, 11, 27]);
+        });
+
+        it('should use the region\'s own calendar first', () => {
+            expect(day(holidayDate("Mother's Day", 2026, 'US'))).toEqual([2026, 5, 10]);
+            expect(day(holidayDate('mothers day', 2026, 'UK'))).toEqual([2026, 3, 15]);
+            expect(day(holidayDate('mothers day', 2024, 'FR'))).toEqual([2024, 5, 26]);
+            expect(day(holidayDate('thanksgiving', 2026, 'CA'))).toEqual([2026, 10, 12]);
+            expect(day(holidayDate('victoria day', 2026, 'CA'))).toEqual([2026, 5, 18]);
+            // Names the region lacks come from another calendar
+            expect(day(holidayDate('thanksgiving', 2026, 'IT'))).toEqual([2026, 11, 26]);
+            expect(holidayDate('festivus', 2026)).toBeNull();
+        });
+    });
+
+    describe('nextHoliday', () => {
+        it('should pick this year\'s date until it has passed', () => {
+            expect(day(nextHoliday('christmas', 'US', new Date(2026, 11, 25, 18)))).toEqual([2026, 12, 25]);
+            expect(day(nextHoliday('christmas', 'US', new Date(2026, 11, 26)))).toEqual([2027, 12, 25]);
+            expect(day(nextHoliday('newyear', 'US', new Date(2026, 5, 1)))).toEqual([2027, 1, 1]);
+        });
+    });
+
+    it('should match names as written in notes', () => {
+        const regex = new RegExp(`^(?:${HOLIDAY_NAME_PATTERN})$`, 'i');
+        expect(["New Year's Eve", 'mothers  day', 'XMAS', 'All Saints’ Day'].every(name => regex.test(name))).toBe(true);
+        expect(holidayRegion('uk')).toBe('GB');
+        expect(holidayRegion('XX')).toBeNull();
+    });
+});
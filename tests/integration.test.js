@@ -14,6 +14,7 @@ vi.mock('../src/currencyService.js', () => ({
             GBP: 0.79,
             JPY: 150.0
         }),
+        fetchAssetPrices: vi.fn().mockResolvedValue({}),
         getRates: vi.fn().mockReturnValue({
             USD: 1,
             EUR: 0.92,
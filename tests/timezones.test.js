@@ -0,0 +1,45 @@
+/**
+ * Time Zones Test Suite
+ * Tests for place names and zone abbreviations
+ */
+
+import { describe, it, expect } from 'vitest';
+import { resolveTimeZone, timeZoneAbbreviation, timeZoneOffset, zonedTime } from '../src/timezones.js';
+
+// Intl may use an older name for a zone ("Asia/Katmandu"); compare what it resolves to
+const zone = (name) => new Intl.DateTimeFormat('en-US', { timeZone: name }).resolvedOptions().timeZone;
+
+describe('Time Zones', () => {
+    it('should resolve IANA names, their cities and bundled places', () => {
+        expect(resolveTimeZone('Asia/Kathmandu')).toBe(zone('Asia/Kathmandu'));
+        expect(resolveTimeZone('asia/tokyo')).toBe('Asia/Tokyo');
+        expect(resolveTimeZone('Lisbon')).toBe('Europe/Lisbon');
+        expect(resolveTimeZone('São  Paulo')).toBe('America/Sao_Paulo');
+        expect(resolveTimeZone('Mumbai')).toBe(zone('Asia/Kolkata'));
+        expect(resolveTimeZone('Japan')).toBe('Asia/Tokyo');
+        expect(resolveTimeZone('PST')).toBe('America/Los_Angeles');
+        expect(resolveTimeZone('Atlantis')).toBeNull();
+        expect(resolveTimeZone('km')).toBeNull();
+    });
+
+    it('should name summer and standard time', () => {
+        const january = new Date(Date.UTC(2026, 0, 15, 12));
+        const july = new Date(Date.UTC(2026, 6, 15, 12));
+        expect([january, july].map(date => timeZoneAbbreviation('Europe/London', date))).toEqual(['GMT', 'BST']);
+        expect([january, july].map(date => timeZoneAbbreviation('Australia/Sydney', date))).toEqual(['AEDT', 'AEST']);
+        expect(timeZoneAbbreviation(resolveTimeZone('kathmandu'), july)).toBe('NPT');
+        expect(timeZoneAbbreviation('Africa/Abidjan', july)).toBeNull();
+    });
+
+    it('should give offsets from UTC', () => {
+        expect(timeZoneOffset(new Date(Date.UTC(2026, 6, 15, 12)), 'America/New_York')).toBe(-240);
+        expect(timeZoneOffset(new Date(Date.UTC(2026, 0, 15, 12)), 'Asia/Kathmandu')).toBe(345);
+    });
+
+    it('should find the moment a zone shows a local time', () => {
+        expect(zonedTime(2026, 6, 15, 9 * 60, 'Europe/Berlin').toISOString()).toBe('2026-07-15T07:00:00.000Z');
+        expect(zonedTime(2026, 0, 15, 9 * 60, 'Europe/Berlin').toISOString()).toBe('2026-01-15T08:00:00.000Z');
+        // The day the clocks go back in New York
+        expect(zonedTime(2026, 10, 1, 12 * 60, 'America/New_York').toISOString()).toBe('2026-11-01T17:00:00.000Z');
+    });
+});
@@ -0,0 +1,51 @@
+/**
+ * Working Calendar Test Suite
+ * Tests for business days and working hours
+ */
+
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_WORKWEEK, addWorkdays, countWorkdays, countWorkingHours, isWorkday, workingHoursOverlap } from '../src/workdays.js';
+
+const day = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+const uk = { ...DEFAULT_WORKWEEK, region: 'UK' };
+
+describe('Workdays', () => {
+    it('should skip weekends and observed public holidays', () => {
+        expect(isWorkday(new Date(2026, 9, 19))).toBe(true);
+        expect(isWorkday(new Date(2026, 9, 17))).toBe(false);
+        // New Year's Day 2022 was a Saturday: observed on Friday in the US
+        expect(isWorkday(new Date(2021, 11, 31))).toBe(false);
+        // Christmas 2027 on Saturday, Boxing Day on Sunday: both moved in the UK
+        expect([27, 28, 29].map(date => isWorkday(new Date(2027, 11, date), uk))).toEqual([false, false, true]);
+    });
+
+    it('should add workdays in either direction', () => {
+        expect(day(addWorkdays(new Date(2026, 9, 19), 10))).toEqual([2026, 11, 2]);
+        expect(day(addWorkdays(new Date(2026, 11, 28), -3))).toEqual([2026, 12, 22]);
+        expect(() => addWorkdays(new Date(), 1e9)).toThrow(RangeError);
+    });
+
+    it('should count workdays with both ends included', () => {
+        expect(countWorkdays(new Date(2027, 0, 3), new Date(2027, 2, 1))).toBe(39);
+        expect(countWorkdays(new Date(2027, 2, 1), new Date(2027, 0, 3))).toBe(-39);
+        const gulf = { ...DEFAULT_WORKWEEK, weekend: [5, 6] };
+        expect(countWorkdays(new Date(2027, 0, 3), new Date(2027, 0, 9), gulf)).toBe(5);
+    });
+
+    it('should count working hours within each workday', () => {
+        expect(countWorkingHours(new Date(2026, 9, 19, 10, 30), new Date(2026, 9, 23, 17))).toBe(38.5);
+        expect(countWorkingHours(new Date(2026, 9, 16, 16), new Date(2026, 9, 19, 10), { ...DEFAULT_WORKWEEK, hours: [8 * 60, 16 * 60] })).toBe(2);
+    });
+
+    it('should find when working hours overlap across time zones', () => {
+        const utc = (date) => date.toISOString().slice(11, 16);
+        const hours = { ...DEFAULT_WORKWEEK, hours: [9 * 60, 18 * 60] };
+        const [[start, end]] = workingHoursOverlap(['America/New_York', 'Europe/Berlin'], new Date(2026, 9, 19), hours);
+        expect([utc(start), utc(end)]).toEqual(['13:00', '16:00']);
+        // Sydney's Tuesday morning is Monday afternoon in Los Angeles
+        const [[from, to]] = workingHoursOverlap(['Australia/Sydney', 'America/Los_Angeles'], new Date(2026, 9, 20), { ...hours, hours: [7 * 60, 19 * 60] });
+        expect([utc(from), utc(to)]).toEqual(['20:00', '02:00']);
+        expect(workingHoursOverlap(['America/New_York', 'Europe/Berlin', 'Asia/Tokyo'], new Date(2026, 9, 19), hours)).toEqual([]);
+        expect(workingHoursOverlap(['America/New_York', 'Europe/Berlin'], new Date(2026, 9, 17), hours)).toEqual([]);
+    });
+});